@@ -1,4 +1,7 @@
 import { baseShopifyApi as shopify } from './shopify.js';
+import { shopifyRest } from './shopifyClient.js';
+import { createHash } from 'crypto';
+import { claimIdempotencyKey, saveIdempotentResponse, releaseIdempotencyKey } from './idempotencyManager.js';
 
 // In-memory cache for valid Shopify sessions for background tasks
 // Consider replacing with a more persistent cache if scaling or long-term persistence is needed
@@ -29,13 +32,7 @@ export const verifyApiRequest = async (req, res, next) => {
     let shopDetailsResponse = null;
     try {
         console.log(`[verifyApiRequest] Verifying token for ${shop} via API call...`);
-        const client = new shopify.clients.Rest({
-            session: { 
-              shop: shop,
-              accessToken: token,
-              isOnline: false, 
-            }
-        });
+        const client = shopifyRest({ shop: shop, accessToken: token, isOnline: false });
         shopDetailsResponse = await client.get({ path: 'shop' });
 
         console.log('[verifyApiRequest] Raw shopDetailsResponse structure:', shopDetailsResponse ? Object.keys(shopDetailsResponse) : 'null/undefined');
@@ -107,11 +104,84 @@ export const validateSession = async (req, res, next) => {
     }
 };
 
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Middleware for mutating routes (after validateSession): honours an Idempotency-Key header by replaying the stored
+// response of the key's first request (see idempotencyManager.js). Requests without the header run as before.
+export const withIdempotencyKey = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters.` });
+    }
+    const shop = req.shopifySession?.shop || req.query.shop || req.body.shop;
+    const path = `${req.baseUrl}${req.path}`;
+    const request = {
+        method: req.method,
+        path,
+        hash: createHash('sha256').update(JSON.stringify({ method: req.method, path, query: req.query, body: req.body ?? null })).digest('hex')
+    };
+
+    let claim;
+    try {
+        claim = await claimIdempotencyKey(shop, key, request);
+    } catch (error) {
+        console.error(`[withIdempotencyKey] Error claiming key ${key} for shop ${shop}:`, error.message);
+        return res.status(500).json({ error: 'Could not check the Idempotency-Key. Try again.' });
+    }
+    if (claim.replay) {
+        console.log(`[withIdempotencyKey] Replaying the stored ${claim.replay.status} response for key ${key} (${req.method} ${path}, shop ${shop}).`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.replay.status).json(claim.replay.body);
+    }
+    if (claim.error) return res.status(claim.status).json({ error: claim.error, ...(claim.inProgress ? { in_progress: true } : {}) });
+
+    // Store the response before sending it, so a repeat that arrives after the client got it always replays it
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (settled) return sendJson(body);
+        settled = true;
+        const stored = res.statusCode >= 500
+            ? releaseIdempotencyKey(shop, key)
+            : saveIdempotentResponse(shop, key, res.statusCode, body);
+        stored.finally(() => sendJson(body));
+        return res;
+    };
+    // Responses sent another way (res.send from a middleware) aren't replayable; free the key instead
+    res.on('finish', () => {
+        if (settled) return;
+        settled = true;
+        releaseIdempotencyKey(shop, key);
+    });
+    next();
+};
+
 // Function to get a valid session from the cache (used by background processes like statusMonitor)
 export function getValidShopSession(shop) {
     return validShopSessions[shop] || null;
 }
 
+// Function to get a session for background work, falling back to session storage when the cache is cold
+// (the scheduler starts at boot, before any request or socket has populated the cache)
+export async function loadShopSession(shop) {
+    const cachedSession = getValidShopSession(shop);
+    if (cachedSession) return cachedSession;
+    try {
+        const sessions = await shopify.config.sessionStorage.findSessionsByShop(shop);
+        const offlineSession = sessions?.find(s => !s.isOnline && s.accessToken) || sessions?.find(s => s.accessToken);
+        if (offlineSession) {
+            validShopSessions[shop] = offlineSession;
+            console.log(`[SessionCache] Loaded session from storage for background tasks (shop: ${shop})`);
+            return offlineSession;
+        }
+        console.warn(`[SessionCache] No stored session with an access token found for shop ${shop}.`);
+    } catch (error) {
+        console.error(`[SessionCache] Error loading session from storage for shop ${shop}:`, error.message);
+    }
+    return null;
+}
+
 // Function to set/update a session in the cache (could be used after explicit re-auth or token refresh)
 export function setValidShopSession(shop, session) {
     if (shop && session && session.accessToken) {
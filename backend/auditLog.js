@@ -0,0 +1,65 @@
+import { supabase } from './supabaseClient.js';
+
+// Persistent trail of drop events (see migrations/create_drop_events.sql), so "why did this go live early / where
+// did it go" can be answered without the console logs. Every entry records:
+//   event_type - created, edited, rescheduled, reordered, activated, paused, resumed, completed, skipped, cancelled,
+//                missed, failed, trashed, restored, purged, metafield_written, metafield_failed
+//   source     - 'scheduler' ('scheduler:rotation' for drops added by queue rotation), the API route
+//                ('api:POST /api/drops/reorder'), a debug route ('debug:...') or the metafield update's caller
+//                ('metafield:activateDrop')
+//   actor      - 'system', or 'staff' for requests made from the app (the app uses offline tokens, so the staff
+//                member is only known when the session is an online one: 'staff:<user id>')
+// Writing an event never fails the operation it describes; errors are logged and swallowed.
+
+export const SCHEDULER_AUDIT = { source: 'scheduler', actor: 'system' };
+
+const MAX_EVENTS_PAGE = 200;
+
+// Audit context for an Express request: the matched route as the source and the staff member as the actor
+export function auditFromRequest(req) {
+    const routePath = `${req.baseUrl || ''}${req.route?.path || ''}`;
+    const associatedUser = req.shopifySession?.onlineAccessInfo?.associated_user;
+    return {
+        source: `${routePath.startsWith('/api/debug') ? 'debug' : 'api'}:${req.method} ${routePath}`,
+        actor: associatedUser?.id ? `staff:${associatedUser.id}` : 'staff'
+    };
+}
+
+// entries: [{ dropId, eventType, details }]; dropId may be null for shop-level events (e.g. clearing the metafield)
+export async function recordDropEvents(shop, entries, audit = SCHEDULER_AUDIT) {
+    if (!shop || entries.length === 0) return;
+    const rows = entries.map(({ dropId = null, eventType, details = null }) => ({
+        shop,
+        drop_id: dropId,
+        event_type: eventType,
+        source: audit.source,
+        actor: audit.actor,
+        details
+    }));
+    try {
+        const { error } = await supabase.from('drop_events').insert(rows);
+        if (error) throw error;
+    } catch (error) {
+        console.error(`[AuditLog] Failed to record ${rows.length} event(s) (${rows[0].event_type}) for shop ${shop}:`, error.message);
+    }
+}
+
+export async function recordDropEvent(shop, dropId, eventType, audit = SCHEDULER_AUDIT, details = null) {
+    return recordDropEvents(shop, [{ dropId, eventType, details }], audit);
+}
+
+// Newest first. dropId narrows to one drop; beforeId pages back through older events. Ids rather than timestamps
+// are the cursor because a bulk write (e.g. clearing the queue) gives many events the same created_at.
+export async function getDropEvents(shop, { dropId = null, limit = 50, beforeId = null } = {}) {
+    let query = supabase
+        .from('drop_events')
+        .select('*')
+        .eq('shop', shop)
+        .order('id', { ascending: false })
+        .limit(Math.min(Math.max(limit, 1), MAX_EVENTS_PAGE));
+    if (dropId) query = query.eq('drop_id', dropId);
+    if (beforeId) query = query.lt('id', beforeId);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
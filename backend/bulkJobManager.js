@@ -0,0 +1,145 @@
+import { randomUUID } from 'crypto';
+
+// Schedule-all and append on a large collection take a while (every page of products, then batched inserts), so the
+// routes run them as background jobs and answer right away with the job. A job is
+//   { id, shop, kind, status, cancel_requested, progress, result, error, started_at, finished_at }
+//   kind     - schedule_all or append
+//   status   - running, completed, rejected (the 'reject' conflict policy found overlaps, or the plan no longer matches
+//              the confirmed preview), cancelled or failed
+//   progress - { stage, fetched, checked, planned, scheduled, shifted, skipped, skipped_by_reason }; stage is
+//              fetching, checking, planned or inserting. scheduled and shifted count what was actually written
+//   result   - once finished, the body the route would have answered with: { message, scheduled_count,
+//              shifted_count, skipped }, or the 409 body for a rejected job (conflicts, or plan_changed)
+// Every change is emitted to the shop's room as 'bulk_job' (progress at most every PROGRESS_EMIT_INTERVAL_MS).
+// Jobs are kept in memory on the instance running them, one running job per shop, and finished jobs are kept for
+// JOB_RETENTION_MS so a reloaded page can still show the summary. A cancel takes effect at the next progress point:
+// drops inserted before it stay scheduled, and existing drops are only pushed back as far as those need.
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const MAX_JOBS_PER_SHOP = 20;
+const PROGRESS_EMIT_INTERVAL_MS = 250;
+
+class BulkJobCancelledError extends Error {}
+
+let ioInstance;
+const jobsByShop = new Map(); // Structure: { shop: [job, ...] } oldest first
+const emitStates = new Map(); // job id -> { lastEmitAt, timer }
+
+export function initializeBulkJobs(io) {
+    ioInstance = io;
+}
+
+function emitJob(job, { immediate = false } = {}) {
+    if (!ioInstance) return;
+    const emitState = emitStates.get(job.id);
+    if (!emitState) return;
+    const send = () => {
+        emitState.lastEmitAt = Date.now();
+        emitState.timer = null;
+        ioInstance.to(job.shop).emit('bulk_job', job);
+    };
+    const waitMs = PROGRESS_EMIT_INTERVAL_MS - (Date.now() - emitState.lastEmitAt);
+    if (immediate || waitMs <= 0) {
+        clearTimeout(emitState.timer);
+        send();
+    } else if (!emitState.timer) {
+        emitState.timer = setTimeout(send, waitMs);
+    }
+}
+
+function pruneJobs(shop) {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    const jobs = (jobsByShop.get(shop) || []).filter(job => job.status === 'running' || new Date(job.finished_at).getTime() > cutoff);
+    const kept = jobs.slice(-MAX_JOBS_PER_SHOP);
+    jobs.filter(job => !kept.includes(job)).forEach(job => emitStates.delete(job.id));
+    jobsByShop.set(shop, kept);
+    return kept;
+}
+
+function finishJob(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finished_at = new Date().toISOString();
+    emitJob(job, { immediate: true });
+    emitStates.delete(job.id);
+    console.log(`[BulkJobs] ${job.kind} job ${job.id} for shop ${job.shop} finished: ${status}${error ? ` (${error})` : ''}.`);
+}
+
+// Starts run(context) in the background and returns { job }, or { status: 409, error, job } when the shop already has
+// a job running. run resolves to { status = 'completed', result }; throwing fails the job. context:
+//   report(update)    - merges { stage, fetched, checked, planned, scheduled, shifted, skipped: [{ reason }] } into progress
+//   isCancelled()     - whether a cancel was requested
+//   throwIfCancelled()- stops the job as cancelled (for work that has written nothing yet)
+export function startBulkJob(shop, kind, run) {
+    const runningJob = pruneJobs(shop).find(job => job.status === 'running');
+    if (runningJob) {
+        return { status: 409, error: 'A bulk scheduling job is already running for this shop. Wait for it to finish or cancel it.', job: runningJob };
+    }
+
+    const job = {
+        id: randomUUID(),
+        shop,
+        kind,
+        status: 'running',
+        cancel_requested: false,
+        progress: { stage: 'fetching', fetched: 0, checked: 0, planned: 0, scheduled: 0, shifted: 0, skipped: 0, skipped_by_reason: {} },
+        result: null,
+        error: null,
+        started_at: new Date().toISOString(),
+        finished_at: null
+    };
+    jobsByShop.get(shop).push(job);
+    emitStates.set(job.id, { lastEmitAt: 0, timer: null });
+
+    const context = {
+        report: ({ skipped, ...counts }) => {
+            Object.assign(job.progress, counts);
+            if (skipped) {
+                job.progress.skipped = skipped.length;
+                job.progress.skipped_by_reason = skipped.reduce((byReason, { reason }) => ({ ...byReason, [reason]: (byReason[reason] || 0) + 1 }), {});
+            }
+            emitJob(job);
+        },
+        isCancelled: () => job.cancel_requested,
+        throwIfCancelled: () => {
+            if (job.cancel_requested) throw new BulkJobCancelledError();
+        }
+    };
+
+    console.log(`[BulkJobs] Started ${kind} job ${job.id} for shop ${shop}.`);
+    emitJob(job, { immediate: true });
+    Promise.resolve()
+        .then(() => run(context))
+        .then(({ status = 'completed', result = null } = {}) => finishJob(job, status, { result }))
+        .catch(error => {
+            if (error instanceof BulkJobCancelledError) {
+                finishJob(job, 'cancelled', { result: { message: 'Cancelled before any drops were scheduled.', scheduled_count: 0, shifted_count: 0, skipped: [] } });
+                return;
+            }
+            console.error(`[BulkJobs] ${kind} job ${job.id} for shop ${shop} failed:`, error);
+            finishJob(job, 'failed', { error: error.message || 'Bulk scheduling failed.' });
+        });
+    return { job };
+}
+
+// Returns { job }, { status, error } when the job can't be cancelled, or null when the shop has no such job
+export function cancelBulkJob(shop, jobId) {
+    const job = getBulkJob(shop, jobId);
+    if (!job) return null;
+    if (job.status !== 'running') return { status: 409, error: `Job already finished (${job.status}).`, job };
+    if (!job.cancel_requested) {
+        job.cancel_requested = true;
+        console.log(`[BulkJobs] Cancel requested for ${job.kind} job ${job.id} (shop ${shop}).`);
+        emitJob(job, { immediate: true });
+    }
+    return { job };
+}
+
+export function getBulkJob(shop, jobId) {
+    return pruneJobs(shop).find(job => job.id === jobId) || null;
+}
+
+// Newest first
+export function listBulkJobs(shop) {
+    return [...pruneJobs(shop)].reverse();
+}
@@ -1,6 +1,7 @@
 import express from 'express';
 import { supabase } from './supabaseClient.js';
-import { baseShopifyApi as shopify } from './shopify.js';
+import { shopifyGraphql } from './shopifyClient.js';
+import { getShopifyApiMetrics } from './shopifyRateLimiter.js';
 import { verifyApiRequest, validateSession } from './apiMiddlewares.js';
 import { 
     updateShopMetafield, 
@@ -22,7 +23,7 @@ router.get('/metafield', verifyApiRequest, validateSession, async (req, res) =>
     if (!shop || !req.shopifySession) {
       return res.status(400).json({ success: false, error: 'Shop or session missing' });
     }
-    const client = new shopify.clients.Graphql({ session: req.shopifySession });
+    const client = shopifyGraphql(req.shopifySession);
     const query = `
       query GetShopMetafield { 
         shop {
@@ -32,12 +33,8 @@ router.get('/metafield', verifyApiRequest, validateSession, async (req, res) =>
         }
       }
     `;
-    const response = await client.query({ data: { query } }); // Use client.request for shopify-api v9+
-    if (response.body?.errors) {
-      console.error(`[Debug Metafield] GraphQL errors for shop ${shop}:`, response.body.errors);
-      return res.status(500).json({ success: false, error: 'GraphQL errors', details: response.body.errors });
-    }
-    const metafield = response.body?.data?.shop?.metafield;
+    const response = await client.request(query); // GraphQL errors throw and are reported by the catch below
+    const metafield = response?.data?.shop?.metafield;
     const cacheState = {
       shopGid: shopMetafieldCache[shop]?.shopGid || null,
       instanceGid: shopMetafieldCache[shop]?.instanceGid || null,
@@ -93,20 +90,20 @@ router.get('/metafield-test', verifyApiRequest, validateSession, async (req, res
     if (!shop || !req.shopifySession) return res.status(400).json({ success: false, error: 'Shop/session missing' });
     
     console.log(`[Metafield Test Debug] Starting full metafield test for shop ${shop}`);
-    const client = new shopify.clients.Graphql({ session: req.shopifySession });
+    const client = shopifyGraphql(req.shopifySession);
     const gqlQuery = `{ shop { id metafield(namespace:"custom",key:"active_drop_product_handle"){id value} } }`;
     
     console.log(`[Metafield Test Debug] Fetching initial metafield state for ${shop}`);
-    const initialResponse = await client.query({ data: { query: gqlQuery } });
-    const initialMetafield = initialResponse?.body?.data?.shop?.metafield;
+    const initialResponse = await client.request(gqlQuery);
+    const initialMetafield = initialResponse?.data?.shop?.metafield;
     console.log(`[Metafield Test Debug] Initial metafield for ${shop}: ${JSON.stringify(initialMetafield)}`);
 
     console.log(`[Metafield Test Debug] Calling updateShopMetafield for ${shop}`);
     await updateShopMetafield(shop, req.shopifySession, true, 'debug_metafield_test');
     
     console.log(`[Metafield Test Debug] Fetching metafield state after updateShopMetafield call for ${shop}`);
-    const verifyResponse = await client.query({ data: { query: gqlQuery } });
-    const verifiedMetafield = verifyResponse?.body?.data?.shop?.metafield;
+    const verifyResponse = await client.request(gqlQuery);
+    const verifiedMetafield = verifyResponse?.data?.shop?.metafield;
     console.log(`[Metafield Test Debug] Metafield for ${shop} after update call: ${JSON.stringify(verifiedMetafield)}`);
     
     res.json({ 
@@ -136,4 +133,11 @@ router.get('/force-metafield-update', verifyApiRequest, validateSession, async (
   }
 });
 
+// GET /api/debug/shopify-metrics - Shopify API call counts, throttling, GraphQL cost and bucket estimates for the shop
+router.get('/shopify-metrics', verifyApiRequest, validateSession, async (req, res) => {
+  const shop = req.query.shop || req.shopifySession?.shop;
+  if (!shop) return res.status(400).json({ success: false, error: 'Shop missing' });
+  res.json({ success: true, shop, metrics: getShopifyApiMetrics(shop) });
+});
+
 export default router; 
\ No newline at end of file
@@ -1,7 +1,36 @@
 import express from 'express';
 import { supabase } from './supabaseClient.js';
 import { baseShopifyApi as shopify } from './shopify.js';
-import { validateSession } from './apiMiddlewares.js';
+import { validateSession, withIdempotencyKey } from './apiMiddlewares.js';
+import { requestScheduleCheck, activateDrop, completeActiveDrop, checkDropProduct } from './statusMonitor.js';
+import {
+    getQueuedDrops,
+    getOccupiedDrops,
+    resolveScheduleConflicts,
+    moveDropInQueue,
+    swapDropsInQueue,
+    chainStartTimes,
+    assignSlots,
+    chainDailySlots,
+    chainDailySlotsAfter,
+    applyStartTimes,
+    shiftStartTimes,
+    insertDropsWithConflictPolicy,
+    conflictErrorBody,
+    planChangedErrorBody,
+    CONFLICT_POLICIES,
+    DEFAULT_CONFLICT_POLICY
+} from './queueManager.js';
+import { getShopSettings, getShopTimezone, getScheduleConstraints, SCHEDULE_MODES } from './settingsManager.js';
+import { buildScheduleAllPlan, buildAppendPlan, previewPlan } from './scheduleBuilder.js';
+import { nextAllowedStart, nextCadenceDate } from './schedulePlanner.js';
+import { zonedDateTimeToUtc, formatZonedDate, formatZonedTime } from './timeUtils.js';
+import { getPauseState, pauseQueue, resumeQueue } from './pauseManager.js';
+import { withTiming, summarizePunctuality } from './dropTiming.js';
+import { transitionDrop, LIVE_STATUSES, TERMINAL_STATUSES, historyStatusesFor } from './dropState.js';
+import { auditFromRequest, recordDropEvent, getDropEvents } from './auditLog.js';
+import { trashQueuedDrops, trashHistoryDrops, listTrash, restoreFromTrash, TRASH_RETENTION_DAYS } from './trashManager.js';
+import { startBulkJob, cancelBulkJob, getBulkJob, listBulkJobs } from './bulkJobManager.js';
 // Note: io, broadcastRefreshInstruction, broadcastScheduledDrops, broadcastCompletedDrops, \
 // updateShopMetafield, and lastActiveProductHandleSet are external dependencies
 // that will need to be passed to this module or refactored.
@@ -47,7 +76,7 @@ router.get('/active', validateSession, async (req, res) => {
             .from('drops')
             .select('*')
             .eq('shop', shop)
-            .eq('status', 'active')
+            .in('status', LIVE_STATUSES) // A drop frozen by a queue pause is still the shop's live drop
             .order('start_time', { ascending: false })
             .limit(1)
             .maybeSingle();
@@ -68,24 +97,295 @@ router.get('/active', validateSession, async (req, res) => {
     }
 });
 
+// Fetch the shop's active drop for the adjust/end endpoints below
+async function getActiveDrop(shop) {
+    const { data, error } = await supabase
+        .from('drops')
+        .select('*')
+        .eq('shop', shop)
+        .eq('status', 'active')
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// How the queue is re-timed after it changes: in daily mode one drop per day at drop_time (cadence_duration_minutes
+// long, or until the next day's slot), otherwise back to back; either way within the schedule windows and blackout dates
+async function getRetimingRules(shop, session) {
+    const settings = await getShopSettings(shop);
+    return {
+        daily: settings.schedule_mode === 'daily',
+        dropTime: settings.drop_time || '10:00',
+        durationMinutes: settings.cadence_duration_minutes,
+        constraints: await getScheduleConstraints(shop, session)
+    };
+}
+
+// Moves every queued drop by deltaMs (never before notBefore), skipping slots outside the shop's schedule rules
+async function shiftQueueBehindActive(shop, session, deltaMs, notBefore, audit) {
+    const queuedDrops = await getQueuedDrops(shop);
+    const constraints = await getScheduleConstraints(shop, session);
+    return applyStartTimes(shop, shiftStartTimes(queuedDrops, deltaMs, { notBefore, constraints }), { audit });
+}
+
+// POST /api/drops/active/extend - Move the active drop's end_time by minutes (negative shortens it), or to an explicit end_time
+router.post('/active/extend', validateSession, withIdempotencyKey, async (req, res) => {
+    const shop = req.shopifySession?.shop;
+    const { minutes, end_time, shift_queue = false } = req.body;
+    console.log(`[/api/drops/active/extend POST] Request received for shop: ${shop}`, { minutes, end_time, shift_queue });
+    if (!shop) return res.status(400).json({ error: 'Shop could not be determined. Session may be invalid.' });
+
+    const minutesInt = parseInt(minutes, 10);
+    if (typeof end_time === 'undefined' && (isNaN(minutesInt) || minutesInt === 0)) {
+        return res.status(400).json({ error: 'Provide a non-zero number of minutes or an end_time.' });
+    }
+
+    try {
+        const activeDrop = await getActiveDrop(shop);
+        if (!activeDrop || !activeDrop.end_time) return res.status(404).json({ error: 'There is no active drop to adjust.' });
+
+        const currentEndMs = new Date(activeDrop.end_time).getTime();
+        const newEnd = typeof end_time !== 'undefined' ? new Date(end_time) : new Date(currentEndMs + minutesInt * 60000);
+        if (isNaN(newEnd.getTime())) return res.status(400).json({ error: 'Invalid end_time. Expected an ISO date string.' });
+        if (newEnd.getTime() <= Date.now()) {
+            return res.status(400).json({ error: 'The new end time has already passed. End the drop now instead.' });
+        }
+
+        // end_time is written directly; the calculate_end_time trigger only fires on start_time/duration changes
+        const { data: updatedDrop, error: updateError } = await supabase
+            .from('drops')
+            .update({ end_time: newEnd.toISOString() })
+            .eq('id', activeDrop.id)
+            .eq('shop', shop)
+            .eq('status', 'active')
+            .select()
+            .maybeSingle();
+        if (updateError) throw updateError;
+        if (!updatedDrop) return res.status(409).json({ error: 'The drop is no longer active.' });
+        const audit = auditFromRequest(req);
+        await recordDropEvent(shop, activeDrop.id, 'edited', audit, { end_time: updatedDrop.end_time, previous_end_time: activeDrop.end_time });
+
+        const deltaMs = newEnd.getTime() - currentEndMs;
+        const shiftedCount = shift_queue ? await shiftQueueBehindActive(shop, req.shopifySession, deltaMs, newEnd, audit) : 0;
+        console.log(`[/api/drops/active/extend POST] Moved end of drop ${activeDrop.id} by ${Math.round(deltaMs / 60000)} min for shop ${shop}. Shifted ${shiftedCount} queued drops.`);
+
+        requestScheduleCheck('active_drop_adjusted');
+        if (ioInstance) {
+            if (sharedFunctions.broadcastActiveDrop) sharedFunctions.broadcastActiveDrop(shop, updatedDrop);
+            if (sharedFunctions.broadcastStatusChange) {
+                sharedFunctions.broadcastStatusChange(shop, { type: deltaMs > 0 ? 'extended' : 'shortened', id: updatedDrop.id, title: updatedDrop.title, end_time: updatedDrop.end_time, timestamp: new Date().toISOString() });
+            }
+            if (shiftedCount > 0 && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        }
+        if (sharedFunctions.updateShopMetafield) {
+            await sharedFunctions.updateShopMetafield(shop, req.shopifySession, false, 'active_drop_adjusted');
+        }
+        res.status(200).json({
+            message: `Active drop now ends at ${updatedDrop.end_time}.${shift_queue ? ` ${shiftedCount} queued drop(s) shifted.` : ''}`,
+            drop: updatedDrop,
+            shifted_count: shiftedCount
+        });
+    } catch (error) {
+        console.error('[/api/drops/active/extend POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error adjusting the active drop.' });
+    }
+});
+
+// POST /api/drops/active/end - Complete the active drop now (shift_queue pulls the queue forward by the time saved)
+router.post('/active/end', validateSession, withIdempotencyKey, async (req, res) => {
+    const shop = req.shopifySession?.shop;
+    const { shift_queue = false } = req.body;
+    console.log(`[/api/drops/active/end POST] Request received for shop: ${shop}, shift_queue: ${shift_queue}`);
+    if (!shop) return res.status(400).json({ error: 'Shop could not be determined. Session may be invalid.' });
+
+    try {
+        const activeDrop = await getActiveDrop(shop);
+        if (!activeDrop) return res.status(404).json({ error: 'There is no active drop to end.' });
+
+        // Emits status_change, broadcasts and updates the metafield
+        const audit = auditFromRequest(req);
+        const completedDrop = await completeActiveDrop(shop, activeDrop.id, { endedEarly: true, reason: 'ended_early', audit });
+        if (!completedDrop) return res.status(409).json({ error: 'The drop could not be completed. It may have already ended.' });
+
+        let shiftedCount = 0;
+        if (shift_queue && activeDrop.end_time) {
+            const endedAt = new Date(completedDrop.end_time);
+            const deltaMs = endedAt.getTime() - new Date(activeDrop.end_time).getTime();
+            shiftedCount = await shiftQueueBehindActive(shop, req.shopifySession, deltaMs, endedAt, audit);
+        }
+        console.log(`[/api/drops/active/end POST] Ended drop ${activeDrop.id} early for shop ${shop}. Shifted ${shiftedCount} queued drops.`);
+
+        requestScheduleCheck('active_drop_ended');
+        if (ioInstance && shiftedCount > 0 && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        res.status(200).json({
+            message: `Ended '${completedDrop.title}'.${shift_queue ? ` ${shiftedCount} queued drop(s) moved up.` : ''}`,
+            drop: completedDrop,
+            shifted_count: shiftedCount
+        });
+    } catch (error) {
+        console.error('[/api/drops/active/end POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error ending the active drop.' });
+    }
+});
+
+const FALLBACK_ACTIVATION_ATTEMPTS = 3; // Queued drops tried in turn when the operator's choice fails to go live
+
+// Operator override shared by "activate now" and "skip": moves the current active drop (if any) to skipped with the
+// given reason, activates dropId immediately via the scheduler's activateDrop, then re-times the rest of the queue after it.
+// The target's product is checked before anything is ended, since only one drop can be live at a time. If activation
+// still fails once the current drop is off air (a lost race, or the product changed in between), the next queued drop
+// that can go live is activated instead so the storefront isn't left empty.
+// Returns { activatedDrop, completedDrop, retimedCount } or { error, status }.
+async function promoteDropNow(shop, session, dropId, reason, audit) {
+    const pauseState = await getPauseState(shop);
+    if (pauseState.paused) return { status: 409, error: 'The queue is paused. Resume it before activating a drop.' };
+
+    const { data: targetDrop, error: fetchError } = await supabase
+        .from('drops')
+        .select('id, status, product_id')
+        .eq('id', dropId)
+        .eq('shop', shop)
+        .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!targetDrop) return { status: 404, error: 'Drop not found.' };
+    if (targetDrop.status !== 'queued') return { status: 409, error: `Only queued drops can be activated. This drop is ${targetDrop.status}.` };
+    const { problem: productProblem } = await checkDropProduct(shop, targetDrop.product_id);
+    if (productProblem) {
+        const problemText = productProblem === 'product_not_found' ? 'no longer exists' : 'is not active in Shopify';
+        return { status: 409, error: `The drop can't go live because its product ${problemText}. The current drop was left running.` };
+    }
+
+    let completedDrop = null;
+    const activeDrop = await getActiveDrop(shop);
+    if (activeDrop) {
+        completedDrop = await completeActiveDrop(shop, activeDrop.id, { endedEarly: true, reason, finalStatus: 'skipped', audit });
+        if (!completedDrop) return { status: 409, error: 'The current active drop could not be ended. Please try again.' };
+    }
+
+    // null also covers a lost race (the scheduler activated something first, or the drop changed meanwhile)
+    const activatedDrop = await activateDrop(shop, dropId, { audit });
+    if (!activatedDrop) {
+        const fallbackDrop = completedDrop ? await activateNextQueuedDrop(shop, audit) : null;
+        if (fallbackDrop) await retimeQueueBehind(shop, session, fallbackDrop, audit);
+        const outcome = fallbackDrop
+            ? ` '${fallbackDrop.title}' went live instead.`
+            : completedDrop && !(await getActiveDrop(shop)) ? ' No other queued drop could go live.' : '';
+        return { status: 409, error: `The drop could not be activated. It may have gone live or changed in the meantime, or its product is no longer available.${outcome}` };
+    }
+
+    const retimedCount = await retimeQueueBehind(shop, session, activatedDrop, audit);
+    return { activatedDrop, completedDrop, retimedCount };
+}
+
+// After promoteDropNow's target failed to go live: activates the first queued drops in turn (activateDrop fails the
+// ones whose product can't go live) unless something is live already. Returns the activated drop or null.
+async function activateNextQueuedDrop(shop, audit) {
+    for (let attempt = 0; attempt < FALLBACK_ACTIVATION_ATTEMPTS; attempt++) {
+        if (await getActiveDrop(shop)) return null;
+        const [nextDrop] = await getQueuedDrops(shop);
+        if (!nextDrop) return null;
+        const activatedDrop = await activateDrop(shop, nextDrop.id, { audit });
+        if (activatedDrop) {
+            console.log(`[promoteDropNow] Activated fallback drop ${activatedDrop.id} for shop ${shop} so the storefront isn't left empty.`);
+            return activatedDrop;
+        }
+    }
+    return null;
+}
+
+// Re-times the queue after a drop that was just put live: chained back to back after it, or in daily mode left in
+// its day slots unless it now overlaps the live drop (then moved back by whole days). Returns how many queued drops moved.
+async function retimeQueueBehind(shop, session, activatedDrop, audit) {
+    const remainingDrops = await getQueuedDrops(shop);
+    const rules = await getRetimingRules(shop, session);
+    const updates = rules.daily
+        ? chainDailySlotsAfter(remainingDrops, activatedDrop.end_time, rules)
+        : chainStartTimes(remainingDrops, 0, activatedDrop.end_time, rules.constraints);
+    return applyStartTimes(shop, updates, { audit });
+}
+
+// POST /api/drops/active/skip - Skip the active drop and start the next queued drop immediately
+router.post('/active/skip', validateSession, withIdempotencyKey, async (req, res) => {
+    const shop = req.shopifySession?.shop;
+    console.log(`[/api/drops/active/skip POST] Request received for shop: ${shop}`);
+    if (!shop) return res.status(400).json({ error: 'Shop could not be determined. Session may be invalid.' });
+
+    try {
+        const activeDrop = await getActiveDrop(shop);
+        if (!activeDrop) return res.status(404).json({ error: 'There is no active drop to skip.' });
+        const [nextDrop] = await getQueuedDrops(shop);
+        if (!nextDrop) {
+            const completedDrop = await completeActiveDrop(shop, activeDrop.id, { endedEarly: true, reason: 'skipped_by_operator', finalStatus: 'skipped', audit: auditFromRequest(req) });
+            if (!completedDrop) return res.status(409).json({ error: 'The drop could not be skipped. It may have already ended.' });
+            requestScheduleCheck('active_drop_skipped');
+            return res.status(200).json({ message: `Skipped '${completedDrop.title}'. The queue is empty.`, completed: completedDrop, activated: null, retimed_count: 0 });
+        }
+
+        const result = await promoteDropNow(shop, req.shopifySession, nextDrop.id, 'skipped_by_operator', auditFromRequest(req));
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        console.log(`[/api/drops/active/skip POST] Skipped drop ${activeDrop.id} and activated ${nextDrop.id} for shop ${shop}. Re-timed ${result.retimedCount} queued drops.`);
+
+        requestScheduleCheck('active_drop_skipped');
+        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        res.status(200).json({
+            message: `Skipped '${activeDrop.title}'. '${result.activatedDrop.title}' is now live.`,
+            completed: result.completedDrop,
+            activated: result.activatedDrop,
+            retimed_count: result.retimedCount
+        });
+    } catch (error) {
+        console.error('[/api/drops/active/skip POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error skipping the active drop.' });
+    }
+});
+
+// POST /api/drops/:id/activate - Put a specific queued drop live now, ending the current active drop
+router.post('/:id/activate', validateSession, withIdempotencyKey, async (req, res) => {
+    const shop = req.shopifySession?.shop;
+    const dropId = req.params.id;
+    console.log(`[/api/drops/:id/activate POST] Request received for drop ${dropId}, shop: ${shop}`);
+    if (!shop) return res.status(400).json({ error: 'Shop could not be determined. Session may be invalid.' });
+
+    try {
+        const result = await promoteDropNow(shop, req.shopifySession, dropId, 'superseded', auditFromRequest(req));
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        console.log(`[/api/drops/:id/activate POST] Activated drop ${dropId} now for shop ${shop}. Re-timed ${result.retimedCount} queued drops.`);
+
+        requestScheduleCheck('drop_activated_now');
+        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        res.status(200).json({
+            message: `'${result.activatedDrop.title}' is now live.${result.completedDrop ? ` '${result.completedDrop.title}' was ended early.` : ''}`,
+            completed: result.completedDrop,
+            activated: result.activatedDrop,
+            retimed_count: result.retimedCount
+        });
+    } catch (error) {
+        console.error('[/api/drops/:id/activate POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error activating the drop.' });
+    }
+});
+
 // GET /api/drops/completed - Retrieve recently completed drops
 router.get('/completed', validateSession, async (req, res) => {
     const shop = req.query.shop;
     const page = parseInt(req.query.page, 10) || 1;
     const limit = Math.min(parseInt(req.query.limit, 10) || 5, 50);
     const offset = (page - 1) * limit;
-    console.log(`[/api/drops/completed GET] Request for shop: ${shop}, page: ${page}, limit: ${limit}`);
+    const statuses = historyStatusesFor(req.query.status);
+    console.log(`[/api/drops/completed GET] Request for shop: ${shop}, page: ${page}, limit: ${limit}, status: ${req.query.status || 'all'}`);
+    if (!statuses) return res.status(400).json({ error: `Invalid status filter. Expected 'all' or one of: ${TERMINAL_STATUSES.join(', ')}.` });
     try {
         const { data, error, count } = await supabase
             .from('drops')
             .select('*', { count: 'exact' })
             .eq('shop', shop)
-            .eq('status', 'completed')
+            .in('status', statuses)
+            .is('deleted_at', null) // trashed drops are hidden
             .order('end_time', { ascending: false })
             .range(offset, offset + limit - 1);
         if (error) throw error;
         console.log(`[/api/drops/completed GET] Found ${data?.length || 0} drops on page ${page}. Total count: ${count}`);
-        res.status(200).json({ data: data || [], totalCount: count });
+        res.status(200).json({ data: (data || []).map(withTiming), totalCount: count });
     } catch (error) {
         console.error('[/api/drops/completed GET] Server Error:', error);
         const errorMessage = error.message || 'Internal server error retrieving completed drops.';
@@ -123,14 +423,16 @@ router.get('/queued', validateSession, async (req, res) => {
 });
 
 // POST /api/drops - Create a new drop
-router.post('/', validateSession, async (req, res) => {
+router.post('/', validateSession, withIdempotencyKey, async (req, res) => {
     const { 
         product_id, 
         title, 
         thumbnail_url, 
+        product_handle,
         start_time, 
         duration_minutes,
-        shop 
+        shop,
+        conflict_policy = DEFAULT_CONFLICT_POLICY
     } = req.body;
     
     console.log(`[/api/drops POST] Request received for shop: ${shop}`);
@@ -140,11 +442,15 @@ router.post('/', validateSession, async (req, res) => {
         console.log('[/api/drops POST] Missing required fields.');
         return res.status(400).json({ error: 'Missing required fields: product_id, title, start_time, duration_minutes, shop.' });
     }
+    if (!CONFLICT_POLICIES.includes(conflict_policy)) {
+        return res.status(400).json({ error: `Invalid conflict_policy. Expected one of: ${CONFLICT_POLICIES.join(', ')}.` });
+    }
 
     const dropData = {
         product_id, 
         title,
         thumbnail_url: thumbnail_url || null,
+        product_handle: product_handle || null,
         start_time, 
         duration_minutes,
         shop,
@@ -152,13 +458,13 @@ router.post('/', validateSession, async (req, res) => {
     };
 
     try {
-        const { data, error } = await supabase
-            .from('drops')
-            .insert([dropData])
-            .select()
-            .single();
-        if (error) throw error;
+        const constraints = await getScheduleConstraints(shop, req.shopifySession);
+        const result = await insertDropsWithConflictPolicy(shop, [dropData], conflict_policy, '[/api/drops POST]', constraints, auditFromRequest(req));
+        if (result.rejected) return res.status(409).json(conflictErrorBody(result.conflicts));
+        const data = result.insertedDrops[0];
         console.log('[/api/drops POST] Drop created successfully in Supabase:', data);
+        if (result.shiftedCount > 0 && ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        requestScheduleCheck('drop_created');
         res.status(201).json(data);
     } catch (error) {
         console.error('[/api/drops POST] Server Error:', error);
@@ -168,143 +474,162 @@ router.post('/', validateSession, async (req, res) => {
     }
 });
 
-// POST /api/drops/schedule-all - Bulk schedule drops from a collection
-router.post('/schedule-all', validateSession, async (req, res) => {
-    const { shop, queued_collection_id, initial_start_time_utc, duration_minutes } = req.body;
-    console.log(`[/api/drops/schedule-all POST] Start Handler. Shop: ${shop}, Collection GID: ${queued_collection_id}`);
-    
-    if (!initial_start_time_utc || typeof initial_start_time_utc !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(initial_start_time_utc)) {
-        console.error('[/api/drops/schedule-all POST] Invalid or missing initial_start_time_utc:', initial_start_time_utc);
-        return res.status(400).json({ error: 'Invalid or missing initial start time (UTC). Expected UTC ISO string.' });
+// Body of a schedule-all/append bulk job (see bulkJobManager): builds the plan with progress, inserts it in batches
+// and finishes with the body these routes used to answer with synchronously. planHash is the confirmed preview's
+// plan_hash; the job is rejected without writing anything when the plan no longer matches it.
+async function runSchedulingJob(shop, job, buildPlan, { conflictPolicy, constraints, audit, logPrefix, reason, verb, planHash = null }) {
+    const plan = await buildPlan((update) => {
+        job.report(update);
+        job.throwIfCancelled();
+    });
+    if (plan.error) throw new Error(plan.error);
+    job.report({ stage: 'planned', planned: plan.drops.length, skipped: plan.skipped });
+    if (plan.drops.length === 0) {
+        return { result: { message: plan.message, scheduled_count: 0, shifted_count: 0, skipped: plan.skipped } };
+    }
+    job.throwIfCancelled();
+
+    const announceChanges = () => {
+        requestScheduleCheck(reason);
+        if (ioInstance && sharedFunctions.broadcastRefreshInstruction) sharedFunctions.broadcastRefreshInstruction(shop);
+        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+    };
+    job.report({ stage: 'inserting' });
+    let insertedSoFar = 0;
+    let result;
+    try {
+        result = await insertDropsWithConflictPolicy(shop, plan.drops, conflictPolicy, logPrefix, constraints, audit, {
+            onBatchInserted: (scheduled) => {
+                insertedSoFar = scheduled;
+                job.report({ scheduled });
+            },
+            isCancelled: job.isCancelled,
+            expectedPlan: planHash ? { hash: planHash, startsNow: plan.starts_now } : null
+        });
+    } catch (error) {
+        // Batches inserted before the failure stay scheduled, so the dashboards still need to hear about them
+        if (insertedSoFar > 0) announceChanges();
+        throw error;
+    }
+    if (result.planChanged) return { status: 'rejected', result: planChangedErrorBody(conflictPolicy) };
+    if (result.rejected) return { status: 'rejected', result: conflictErrorBody(result.conflicts) };
+
+    const scheduledCount = result.insertedDrops.length;
+    job.report({ scheduled: scheduledCount, shifted: result.shiftedCount });
+    if (scheduledCount > 0 || result.shiftedCount > 0) announceChanges();
+    return {
+        status: result.cancelled ? 'cancelled' : 'completed',
+        result: {
+            message: result.cancelled
+                ? `Cancelled after scheduling ${scheduledCount} of ${plan.drops.length} drops.`
+                : `Successfully ${verb} ${scheduledCount} new drops.`,
+            scheduled_count: scheduledCount,
+            shifted_count: result.shiftedCount,
+            skipped: plan.skipped
+        }
+    };
+}
+
+// POST /api/drops/schedule-all - Bulk schedule drops from a collection. Previews answer with the plan; otherwise the
+// scheduling runs as a bulk job and the response is 202 with the job (progress follows as 'bulk_job' socket events).
+// Confirming a preview sends its plan_hash back (see runSchedulingJob).
+router.post('/schedule-all', validateSession, withIdempotencyKey, async (req, res) => {
+    const { shop, queued_collection_id, drop_date, drop_time, initial_start_time_utc, duration_minutes, schedule_mode, cadence_duration_minutes, conflict_policy = DEFAULT_CONFLICT_POLICY, plan_hash = null } = req.body;
+    const isPreview = req.body.preview === true || req.query.preview === 'true'; // Dry run: return the plan without inserting
+    console.log(`[/api/drops/schedule-all POST] Start Handler. Shop: ${shop}, Collection GID: ${queued_collection_id}${isPreview ? ' (preview)' : ''}`);
+    if (!CONFLICT_POLICIES.includes(conflict_policy)) {
+        return res.status(400).json({ error: `Invalid conflict_policy. Expected one of: ${CONFLICT_POLICIES.join(', ')}.` });
+    }
+    if (schedule_mode !== undefined && !SCHEDULE_MODES.includes(schedule_mode)) {
+        return res.status(400).json({ error: `Invalid schedule_mode. Expected one of: ${SCHEDULE_MODES.join(', ')}.` });
     }
-    const durationMinsInt = parseInt(duration_minutes, 10);
-    if (isNaN(durationMinsInt) || durationMinsInt <= 0) {
-        console.error('[/api/drops/schedule-all POST] Invalid duration_minutes:', duration_minutes);
-        return res.status(400).json({ error: 'Invalid duration. Must be a positive number.' });
+    const usesShopLocalTime = drop_date !== undefined || drop_time !== undefined;
+    if (!usesShopLocalTime && (!initial_start_time_utc || typeof initial_start_time_utc !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(initial_start_time_utc))) {
+        console.error('[/api/drops/schedule-all POST] Invalid or missing initial_start_time_utc:', initial_start_time_utc);
+        return res.status(400).json({ error: 'Missing start time. Provide drop_date (YYYY-MM-DD) and drop_time (HH:MM) in shop time, or initial_start_time_utc.' });
     }
 
+    let constraints;
+    let timeZone;
+    let scheduleMode;
+    let cadenceDurationMins;
     let initialStartTime;
     try {
-        initialStartTime = new Date(initial_start_time_utc);
-        if (isNaN(initialStartTime.getTime())) throw new Error('Invalid date/time combination after parsing UTC string.');
+        const settings = await getShopSettings(shop);
+        constraints = await getScheduleConstraints(shop, req.shopifySession);
+        timeZone = constraints.timeZone;
+        scheduleMode = schedule_mode || settings.schedule_mode || 'back_to_back';
+        cadenceDurationMins = cadence_duration_minutes !== undefined ? cadence_duration_minutes : settings.cadence_duration_minutes;
+        // drop_date/drop_time are wall-clock values in the shop's timezone, not the browser's
+        initialStartTime = usesShopLocalTime ? zonedDateTimeToUtc(drop_date, drop_time, timeZone) : new Date(initial_start_time_utc);
+        if (!initialStartTime || isNaN(initialStartTime.getTime())) {
+            return res.status(400).json({ error: 'Invalid start date/time. Expected drop_date as YYYY-MM-DD and drop_time as HH:MM.' });
+        }
     } catch (e) { 
-        console.error('[/api/drops/schedule-all POST] Error parsing date/time', e);
-        return res.status(400).json({ error: `Invalid start date/time: ${e.message}` });
+        console.error('[/api/drops/schedule-all POST] Error resolving start time', e);
+        return res.status(500).json({ error: `Could not resolve start time: ${e.message}` });
+    }
+    console.log(`[/api/drops/schedule-all POST] Parsed initialStartTime: ${initialStartTime.toISOString()} (shop timezone ${timeZone}, mode ${scheduleMode})`);
+
+    // Daily mode needs no duration (each drop runs until the next day's slot unless a cadence duration is set)
+    let durationMinsInt = null;
+    if (scheduleMode === 'back_to_back' || cadenceDurationMins) {
+        const requestedDuration = scheduleMode === 'daily' ? cadenceDurationMins : duration_minutes;
+        durationMinsInt = parseInt(requestedDuration, 10);
+        if (isNaN(durationMinsInt) || durationMinsInt <= 0) {
+            console.error('[/api/drops/schedule-all POST] Invalid duration:', requestedDuration);
+            return res.status(400).json({ error: 'Invalid duration. Must be a positive number.' });
+        }
     }
-    console.log(`[/api/drops/schedule-all POST] Parsed initialStartTime: ${initialStartTime?.toISOString()}`);
 
     try {
         const session = req.shopifySession;
         if (!session || !session.accessToken) { throw new Error('Session or accessToken missing.'); }
-        
-        const client = new shopify.clients.Graphql({ session });
-        const productsQuery = `
-          query getCollectionProducts($id: ID!, $first: Int!) {
-            collection(id: $id) {
-              id
-              title
-              products(first: $first, sortKey: CREATED) { 
-                nodes {
-                  id
-                  title
-                  featuredImage {
-                    url
-                  }
-                }
-              }
-            }
-          }
-        `;
-        const productsResponse = await client.request(productsQuery, { variables: { id: queued_collection_id, first: 250 } });
-        
-        if (productsResponse?.data?.errors) {
-             throw new Error(`GraphQL error fetching products: ${productsResponse.data.errors[0].message}`); 
-        }
-        const shopifyProductsData = productsResponse?.data?.collection?.products?.nodes;
-        if (!shopifyProductsData) { 
-            if (!productsResponse?.data?.collection) {
-                return res.status(404).json({ error: `Collection with ID ${queued_collection_id} not found or access denied.` });
-            }
-            return res.status(502).json({ error: 'Failed to parse products from Shopify GraphQL response.' });
-        }
-        const shopifyProducts = shopifyProductsData.map(node => ({
-            id: node.id, 
-            title: node.title,
-            image: { src: node.featuredImage?.url || null } 
-        }));
-        if (shopifyProducts.length === 0) { return res.status(200).json({ message: 'No products found in the specified collection to schedule.', scheduled_count: 0 }); }
-
-        const activeShopifyProducts = [];
-        const restClient = new shopify.clients.Rest({ session });
-        for (const product of shopifyProducts) {
-            try {
-                const productIdNumeric = product.id.split('/').pop();
-                if (!productIdNumeric) {
-                    console.warn(`[/api/drops/schedule-all POST] Could not extract numeric ID from GID ${product.id}`);
-                    continue;
-                }
-                const productDetailsResponse = await restClient.get({
-                    path: `products/${productIdNumeric}`,
-                    query: { fields: 'id,status' }
-                });
-                if (productDetailsResponse?.body?.product?.status === 'active') {
-                    activeShopifyProducts.push(product); 
-                } else {
-                    console.log(`[/api/drops/schedule-all POST] Product ${product.title} (ID: ${product.id}) is not active. Skipping.`);
-                }
-            } catch (statusError) {
-                console.error(`[/api/drops/schedule-all POST] Error fetching status for product ${product.id}:`, statusError.message);
-            }
-        }
-        if (activeShopifyProducts.length === 0) { 
-            return res.status(200).json({ message: 'No ACTIVE products found in the specified collection to schedule.', scheduled_count: 0 }); 
-        }
 
-        const { data: existingQueuedDrops, error: fetchError } = await supabase
-            .from('drops')
-            .select('product_id')
-            .eq('shop', shop)
-            .eq('status', 'queued');
-        if (fetchError) { throw fetchError; }
-        const existingQueuedProductIds = new Set(existingQueuedDrops.map(d => d.product_id));
-        const productsToSchedule = activeShopifyProducts.filter(p => !existingQueuedProductIds.has(p.id));
-        if (productsToSchedule.length === 0) { return res.status(200).json({ message: 'All active products in the collection are already scheduled.', scheduled_count: 0 }); }
-
-        let currentStartTime = initialStartTime;
-        const dropsToInsert = productsToSchedule.map(product => {
-            const dropData = {
-                product_id: product.id, 
-                title: product.title,
-                thumbnail_url: product.image?.src || null,
-                start_time: currentStartTime.toISOString(),
-                duration_minutes: durationMinsInt,
-                shop: shop,
-                status: 'queued'
-            };
-            currentStartTime = new Date(currentStartTime.getTime() + durationMinsInt * 60000);
-            return dropData;
+        const buildPlan = (onProgress) => buildScheduleAllPlan(shop, session, queued_collection_id, {
+            scheduleMode,
+            startTime: initialStartTime,
+            firstDate: usesShopLocalTime ? drop_date : formatZonedDate(initialStartTime, timeZone),
+            dropTime: usesShopLocalTime ? drop_time : formatZonedTime(initialStartTime, timeZone),
+            durationMinutes: durationMinsInt,
+            constraints,
+            onProgress
         });
 
-        const { data: insertedData, error: insertError } = await supabase.from('drops').insert(dropsToInsert).select();
-        if (insertError) { throw insertError; }
+        if (isPreview) {
+            const plan = await buildPlan();
+            if (plan.error) return res.status(plan.status).json({ error: plan.error });
+            const preview = await previewPlan(shop, plan, conflict_policy, constraints);
+            console.log(`[/api/drops/schedule-all POST] Preview: ${preview.planned.length} planned, ${preview.skipped.length} skipped, ${preview.shifted.length} shifted.`);
+            return res.status(200).json({ preview: true, message: plan.message, conflict_policy, timezone: timeZone, ...preview });
+        }
 
-        if (ioInstance && sharedFunctions.broadcastRefreshInstruction) sharedFunctions.broadcastRefreshInstruction(shop);
-        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
-        res.status(201).json({ 
-            message: `Successfully scheduled ${insertedData?.length || 0} new drops.`, 
-            scheduled_count: insertedData?.length || 0,
-        });
+        const started = startBulkJob(shop, 'schedule_all', (job) => runSchedulingJob(shop, job, buildPlan, {
+            conflictPolicy: conflict_policy,
+            constraints,
+            audit: auditFromRequest(req),
+            logPrefix: '[/api/drops/schedule-all POST]',
+            reason: 'schedule_all',
+            verb: 'scheduled',
+            planHash: plan_hash
+        }));
+        if (started.error) return res.status(started.status).json({ error: started.error, job: started.job });
+        res.status(202).json({ message: 'Scheduling started.', job: started.job });
     } catch (error) {
         console.error('[/api/drops/schedule-all POST] CAUGHT ERROR:', error);
         res.status(500).json({ error: error.message || 'Internal server error scheduling drops.' });
     }
 });
 
-// POST /api/drops/append - Add only new products to the end of the queue
-router.post('/append', validateSession, async (req, res) => {
-    const { shop, queued_collection_id } = req.body;
-    console.log(`[/api/drops/append POST] Request received for shop: ${shop}, Collection: ${queued_collection_id}`);
+// POST /api/drops/append - Add only new products to the end of the queue (a bulk job like schedule-all, except previews)
+router.post('/append', validateSession, withIdempotencyKey, async (req, res) => {
+    const { shop, queued_collection_id, conflict_policy = DEFAULT_CONFLICT_POLICY, plan_hash = null } = req.body;
+    const isPreview = req.body.preview === true || req.query.preview === 'true'; // Dry run: return the plan without inserting
+    console.log(`[/api/drops/append POST] Request received for shop: ${shop}, Collection: ${queued_collection_id}${isPreview ? ' (preview)' : ''}`);
     if (!shop || !queued_collection_id) return res.status(400).json({ error: 'Missing required fields: shop, queued_collection_id.'});
+    if (!CONFLICT_POLICIES.includes(conflict_policy)) {
+        return res.status(400).json({ error: `Invalid conflict_policy. Expected one of: ${CONFLICT_POLICIES.join(', ')}.` });
+    }
     const collectionIdMatch = queued_collection_id.match(/\d+$/);
     if (!collectionIdMatch) return res.status(400).json({ error: 'Invalid queued_collection_id format.' });
     const numericCollectionId = collectionIdMatch[0];
@@ -314,125 +639,337 @@ router.post('/append', validateSession, async (req, res) => {
         if (!sessions || sessions.length === 0 || !sessions[0].accessToken) {
              throw new Error('Could not retrieve valid session token for append operation.');
         }
-        const shopifyClient = new shopify.clients.Rest({ session: sessions[0] });
+        const settings = await getShopSettings(shop);
+        const constraints = await getScheduleConstraints(shop, sessions[0]);
 
-        const { data: settingsData, error: settingsError } = await supabase
-            .from('app_settings')
-            .select('default_drop_duration_minutes')
-            .eq('shop', shop)
-            .maybeSingle();
-        if (settingsError) throw new Error('Could not fetch app settings to determine duration for append.');
-        const durationMinsInt = settingsData?.default_drop_duration_minutes || 60;
+        const buildPlan = (onProgress) => buildAppendPlan(shop, sessions[0], numericCollectionId, { settings, constraints, onProgress });
 
-        const productsResponse = await shopifyClient.get({
-            path: 'products',
-            query: { collection_id: numericCollectionId, fields: 'id,title,image', status: 'active' }
-        });
-        if (!productsResponse?.body?.products) {
-            return res.status(502).send('Error fetching products from Shopify for append (Invalid Response).');
+        if (isPreview) {
+            const plan = await buildPlan();
+            if (plan.error) return res.status(plan.status).json({ error: plan.error });
+            const preview = await previewPlan(shop, plan, conflict_policy, constraints);
+            console.log(`[/api/drops/append POST] Preview: ${preview.planned.length} planned, ${preview.skipped.length} skipped, ${preview.shifted.length} shifted.`);
+            return res.status(200).json({ preview: true, message: plan.message, conflict_policy, timezone: constraints.timeZone, ...preview });
         }
-        const shopifyProducts = productsResponse.body.products || [];
 
-        const { data: existingQueuedDrops, error: fetchDbError } = await supabase
-            .from('drops')
-            .select('id, product_id, start_time, end_time')
-            .eq('shop', shop)
-            .eq('status', 'queued')
-            .order('start_time', { ascending: false }); 
-        if (fetchDbError) throw fetchDbError;
-        const existingQueuedProductIds = new Set(existingQueuedDrops.map(d => d.product_id));
+        const started = startBulkJob(shop, 'append', (job) => runSchedulingJob(shop, job, buildPlan, {
+            conflictPolicy: conflict_policy,
+            constraints,
+            audit: auditFromRequest(req),
+            logPrefix: '[/api/drops/append POST]',
+            reason: 'append',
+            verb: 'appended',
+            planHash: plan_hash
+        }));
+        if (started.error) return res.status(started.status).json({ error: started.error, job: started.job });
+        res.status(202).json({ message: 'Append started.', job: started.job });
+    } catch (error) {
+        console.error('[/api/drops/append POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error appending drops.'});
+    }
+});
 
-        let nextStartTime;
-        if (existingQueuedDrops.length > 0 && existingQueuedDrops[0].end_time) {
-            nextStartTime = new Date(existingQueuedDrops[0].end_time);
-        } else {
-            nextStartTime = new Date(); 
+// GET /api/drops/jobs - The shop's recent bulk scheduling jobs (newest first)
+router.get('/jobs', validateSession, (req, res) => {
+    res.status(200).json({ jobs: listBulkJobs(req.shopifySession?.shop) });
+});
+
+// GET /api/drops/jobs/:jobId - One bulk job's progress, or its summary once finished
+router.get('/jobs/:jobId', validateSession, (req, res) => {
+    const job = getBulkJob(req.shopifySession?.shop, req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found.' });
+    res.status(200).json({ job });
+});
+
+// POST /api/drops/jobs/:jobId/cancel - Stop a running bulk job; drops it already inserted stay scheduled
+router.post('/jobs/:jobId/cancel', validateSession, withIdempotencyKey, (req, res) => {
+    const cancelled = cancelBulkJob(req.shopifySession?.shop, req.params.jobId);
+    if (!cancelled) return res.status(404).json({ error: 'Job not found.' });
+    if (cancelled.error) return res.status(cancelled.status).json({ error: cancelled.error, job: cancelled.job });
+    res.status(202).json({ message: 'Cancel requested.', job: cancelled.job });
+});
+
+// POST /api/drops/reorder - Move a queued drop to a position, or swap two queued drops, and re-time the rest of the queue
+router.post('/reorder', validateSession, withIdempotencyKey, async (req, res) => {
+    const { shop, drop_id, position, swap } = req.body;
+    console.log(`[/api/drops/reorder POST] Request received for shop: ${shop}`, { drop_id, position, swap });
+
+    const isSwap = Array.isArray(swap);
+    if (isSwap && (swap.length !== 2 || !swap[0] || !swap[1] || swap[0] === swap[1])) {
+        return res.status(400).json({ error: 'swap must contain two different drop IDs.' });
+    }
+    const positionInt = parseInt(position, 10);
+    if (!isSwap && (!drop_id || isNaN(positionInt) || positionInt < 1)) {
+        return res.status(400).json({ error: 'Provide either drop_id with a 1-based position, or swap: [dropIdA, dropIdB].' });
+    }
+
+    try {
+        const queuedDrops = await getQueuedDrops(shop);
+        const result = isSwap
+            ? swapDropsInQueue(queuedDrops, swap[0], swap[1])
+            : moveDropInQueue(queuedDrops, drop_id, positionInt - 1);
+        if (!result) {
+            return res.status(404).json({ error: 'Drop not found in the queue. It may have already gone live or been deleted.' });
         }
 
-        const productsToAppend = shopifyProducts.filter(p => 
-            !existingQueuedProductIds.has(`gid://shopify/Product/${p.id}`)
-        );
+        // Back to back: the first affected slot keeps its start time; every following drop is chained from there,
+        // skipping slots outside the shop's schedule windows and blackout dates. Daily: the queue keeps the day slots
+        // it occupies and only which drop sits in each slot changes.
+        const { firstChangedIndex, reordered } = result;
+        const rules = await getRetimingRules(shop, req.shopifySession);
+        const updates = rules.daily
+            ? assignSlots(reordered.slice(firstChangedIndex), queuedDrops.slice(firstChangedIndex))
+            : chainStartTimes(reordered, firstChangedIndex, queuedDrops[firstChangedIndex].start_time, rules.constraints);
+        await applyStartTimes(shop, updates, { audit: auditFromRequest(req), eventType: 'reordered' });
+        console.log(`[/api/drops/reorder POST] Re-timed ${updates.length} queued drops for shop ${shop}.`);
+
+        requestScheduleCheck('drops_reordered');
+        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        res.status(200).json({ message: `Queue reordered. ${updates.length} drop(s) re-timed.`, retimed_count: updates.length });
+    } catch (error) {
+        console.error('[/api/drops/reorder POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error reordering drops.' });
+    }
+});
 
-        if (productsToAppend.length === 0) {
-            return res.status(200).json({ message: 'All products in the collection are already scheduled.', scheduled_count: 0 });
+// PATCH /api/drops/:id - Edit the title, start time or duration of one queued drop. The edited slot must fit the shop's
+// schedule windows and avoid blackout dates (400 with next_allowed_start otherwise). Overlaps follow conflict_policy:
+// reject (409), push_back (later queued drops move back, into allowed slots) or first_gap (the edited drop moves).
+router.patch('/:id', validateSession, withIdempotencyKey, async (req, res) => {
+    const dropId = req.params.id;
+    const { shop, title, start_time, drop_date, drop_time, duration_minutes, conflict_policy = DEFAULT_CONFLICT_POLICY } = req.body;
+    console.log(`[/api/drops/:id PATCH] Request received for drop ${dropId}, shop: ${shop}`, req.body);
+    if (!CONFLICT_POLICIES.includes(conflict_policy)) {
+        return res.status(400).json({ error: `Invalid conflict_policy. Expected one of: ${CONFLICT_POLICIES.join(', ')}.` });
+    }
+
+    const changes = {};
+    if (typeof title !== 'undefined') {
+        if (typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ error: 'Title must be a non-empty string.' });
+        }
+        changes.title = title.trim();
+    }
+    if (typeof drop_date !== 'undefined' || typeof drop_time !== 'undefined') {
+        // Shop-local wall-clock alternative to start_time
+        let parsedStartTime;
+        try {
+            parsedStartTime = zonedDateTimeToUtc(drop_date, drop_time, await getShopTimezone(shop, req.shopifySession));
+        } catch (error) {
+            console.error(`[/api/drops/:id PATCH] Error resolving shop timezone for ${shop}:`, error.message);
+            return res.status(500).json({ error: 'Could not resolve the shop timezone.' });
+        }
+        if (!parsedStartTime) {
+            return res.status(400).json({ error: 'Invalid start date/time. Expected drop_date as YYYY-MM-DD and drop_time as HH:MM.' });
+        }
+        if (parsedStartTime.getTime() < Date.now()) {
+            return res.status(400).json({ error: 'start_time cannot be in the past.' });
+        }
+        changes.start_time = parsedStartTime.toISOString();
+    } else if (typeof start_time !== 'undefined') {
+        const parsedStartTime = new Date(start_time);
+        if (!start_time || isNaN(parsedStartTime.getTime())) {
+            return res.status(400).json({ error: 'Invalid start_time. Expected an ISO date string.' });
+        }
+        if (parsedStartTime.getTime() < Date.now()) {
+            return res.status(400).json({ error: 'start_time cannot be in the past.' });
         }
+        changes.start_time = parsedStartTime.toISOString();
+    }
+    if (typeof duration_minutes !== 'undefined') {
+        const durationMinsInt = parseInt(duration_minutes, 10);
+        if (isNaN(durationMinsInt) || durationMinsInt <= 0) {
+            return res.status(400).json({ error: 'Invalid duration. Must be a positive number.' });
+        }
+        changes.duration_minutes = durationMinsInt;
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update. Provide title, start_time (or drop_date and drop_time) and/or duration_minutes.' });
+    }
 
-        const dropsToInsert = [];
-        let currentStartTimeForAppend = nextStartTime;
-        for (const product of productsToAppend) {
-            const dropData = {
-                product_id: `gid://shopify/Product/${product.id}`, 
-                title: product.title,
-                thumbnail_url: product.image?.src || null,
-                start_time: currentStartTimeForAppend.toISOString(),
-                duration_minutes: durationMinsInt,
-                shop: shop,
-                status: 'queued'
+    try {
+        const { data: existingDrop, error: fetchError } = await supabase
+            .from('drops')
+            .select('*')
+            .eq('id', dropId)
+            .eq('shop', shop)
+            .maybeSingle();
+        if (fetchError) throw fetchError;
+        if (!existingDrop) return res.status(404).json({ error: 'Drop not found.' });
+        if (existingDrop.status !== 'queued') {
+            return res.status(409).json({ error: `Only queued drops can be edited. This drop is ${existingDrop.status}.` });
+        }
+
+        let shiftedDrops = [];
+        if (changes.start_time || changes.duration_minutes) {
+            const editedWindow = {
+                product_id: existingDrop.product_id,
+                title: changes.title || existingDrop.title,
+                start_time: changes.start_time || existingDrop.start_time,
+                duration_minutes: changes.duration_minutes || existingDrop.duration_minutes
             };
-            dropsToInsert.push(dropData);
-            currentStartTimeForAppend = new Date(currentStartTimeForAppend.getTime() + durationMinsInt * 60000); 
+            const constraints = await getScheduleConstraints(shop, req.shopifySession);
+            const allowedStart = nextAllowedStart(editedWindow.start_time, editedWindow.duration_minutes, constraints);
+            if (allowedStart.getTime() !== new Date(editedWindow.start_time).getTime()) {
+                console.log(`[/api/drops/:id PATCH] Rejected edit of drop ${dropId}: outside the schedule windows or on a blackout date.`);
+                return res.status(400).json({
+                    error: `The drop would run outside the shop's schedule windows or start on a blackout date. The next allowed start is ${formatZonedDate(allowedStart, constraints.timeZone)} ${formatZonedTime(allowedStart, constraints.timeZone)}.`,
+                    next_allowed_start: allowedStart.toISOString()
+                });
+            }
+
+            const otherDrops = (await getOccupiedDrops(shop)).filter(d => d.id !== dropId);
+            const placement = resolveScheduleConflicts(otherDrops, [editedWindow], conflict_policy, constraints);
+            if (placement.conflicts.length > 0 && conflict_policy === 'reject') {
+                console.log(`[/api/drops/:id PATCH] Rejected edit of drop ${dropId}: overlaps ${placement.conflicts.length} drop(s).`);
+                return res.status(409).json(conflictErrorBody(placement.conflicts));
+            }
+            if (placement.placedDrops[0].start_time !== editedWindow.start_time) changes.start_time = placement.placedDrops[0].start_time; // first_gap
+            shiftedDrops = placement.shiftedDrops;
         }
 
-        const { data: insertedData, error: insertError } = await supabase
+        // end_time is recalculated by the calculate_end_time trigger when start_time or duration_minutes change
+        const { data: updatedDrop, error: updateError } = await supabase
             .from('drops')
-            .insert(dropsToInsert) 
-            .select(); 
-        if (insertError) throw insertError;
+            .update(changes)
+            .eq('id', dropId)
+            .eq('shop', shop)
+            .eq('status', 'queued')
+            .select()
+            .maybeSingle();
+        if (updateError) throw updateError;
+        if (!updatedDrop) {
+            return res.status(409).json({ error: 'Drop is no longer queued. It may have just gone live.' });
+        }
+        console.log(`[/api/drops/:id PATCH] Drop ${dropId} updated for shop ${shop}.`);
+        await recordDropEvent(shop, dropId, 'edited', auditFromRequest(req), changes);
+        // Moved after the edit is saved, so a failed edit never leaves the queue pushed back around nothing
+        if (shiftedDrops.length > 0) {
+            const shiftedCount = await applyStartTimes(shop, shiftedDrops, { audit: auditFromRequest(req) });
+            console.log(`[/api/drops/:id PATCH] Pushed back ${shiftedCount} queued drop(s) after editing drop ${dropId}.`);
+        }
 
-        res.status(201).json({ 
-            message: `Successfully appended ${insertedData?.length || 0} new drops.`, 
-            scheduled_count: insertedData?.length || 0,
-        });
+        requestScheduleCheck('drop_edited');
+        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        res.status(200).json(updatedDrop);
     } catch (error) {
-        console.error('[/api/drops/append POST] Server Error:', error);
-        res.status(500).json({ error: error.message || 'Internal server error appending drops.'});
+        console.error('[/api/drops/:id PATCH] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error updating drop.' });
     }
 });
 
-// DELETE /api/drops - Delete one or more queued drops
-router.delete('/', validateSession, async (req, res) => {
+// DELETE /api/drops - Delete one or more queued drops (compact: true pulls the following drops forward to close the gap)
+router.delete('/', validateSession, withIdempotencyKey, async (req, res) => {
     const shop = req.query.shop;
-    const { dropIds } = req.body;
+    const { dropIds, compact } = req.body;
     if (!Array.isArray(dropIds) || dropIds.length === 0) {
         return res.status(400).json({ error: 'Missing or invalid dropIds array in request body.' });
     }
     try {
-        const { count, error } = await supabase
-            .from('drops')
-            .delete()
-            .in('id', dropIds)
-            .eq('shop', shop)
-            .eq('status', 'queued');
-        if (error) throw error;
-        console.log(`[/api/drops DELETE] Successfully deleted ${count ?? 0} queued drops for shop ${shop}.`);
-        res.status(200).json({ message: `Successfully deleted ${count ?? 0} queued drops.`, deleted_count: count ?? 0 });
+        let compactFromTime = null;
+        if (compact) {
+            const queuedDrops = await getQueuedDrops(shop);
+            const deletedStartTimes = queuedDrops.filter(d => dropIds.includes(d.id)).map(d => new Date(d.start_time).getTime());
+            if (deletedStartTimes.length > 0) compactFromTime = new Date(Math.min(...deletedStartTimes));
+        }
+
+        // Deleted drops go to the trash (cancelled) and can be restored with POST /trash/restore { batch_id }
+        const audit = auditFromRequest(req);
+        const { batchId, drops: trashedDrops } = await trashQueuedDrops(shop, dropIds, 'deleted', audit);
+        const count = trashedDrops.length;
+        console.log(`[/api/drops DELETE] Moved ${count} queued drops to the trash for shop ${shop} (batch ${batchId}).`);
+
+        let retimedCount = 0;
+        if (compactFromTime) {
+            const remainingDrops = await getQueuedDrops(shop);
+            const firstFollowingIndex = remainingDrops.findIndex(d => new Date(d.start_time) >= compactFromTime);
+            if (firstFollowingIndex !== -1) {
+                const rules = await getRetimingRules(shop, req.shopifySession);
+                let updates;
+                if (rules.daily) {
+                    // The following drops move up into the freed days (never onto a slot that has already started)
+                    const freedDate = formatZonedDate(compactFromTime, rules.constraints.timeZone);
+                    const nextOpenDate = nextCadenceDate({ dropTime: rules.dropTime, timeZone: rules.constraints.timeZone });
+                    updates = chainDailySlots(remainingDrops, firstFollowingIndex, freedDate > nextOpenDate ? freedDate : nextOpenDate, rules);
+                } else {
+                    updates = chainStartTimes(remainingDrops, firstFollowingIndex, compactFromTime, rules.constraints);
+                }
+                retimedCount = await applyStartTimes(shop, updates, { audit });
+            }
+            console.log(`[/api/drops DELETE] Compacted queue for shop ${shop}. Re-timed ${retimedCount} drops.`);
+        }
+
+        requestScheduleCheck('drops_deleted');
+        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        res.status(200).json({ message: `Successfully deleted ${count} queued drops.`, deleted_count: count, retimed_count: retimedCount, batch_id: batchId });
     } catch (error) {
         console.error('[/api/drops DELETE] Server Error:', error);
         res.status(500).json({ error: error.message || 'Internal server error deleting drops.' });
     }
 });
 
-// DELETE /api/drops/completed - Clear all completed drops
-router.delete('/completed', validateSession, async (req, res) => {
+// GET /api/drops/stats - Punctuality over recently finished drops: delays, drops cut short and missed drops
+router.get('/stats', validateSession, async (req, res) => {
     const shop = req.query.shop;
-    console.log(`[/api/drops/completed DELETE] Request received for shop: ${shop}`);
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    console.log(`[/api/drops/stats GET] Request for shop: ${shop}, days: ${days}`);
     try {
-        const { count, error } = await supabase
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const { data, error } = await supabase
             .from('drops')
-            .delete()
+            .select('id, status, scheduled_start_time, scheduled_end_time, activated_at, completed_at, end_time')
             .eq('shop', shop)
-            .eq('status', 'completed');
+            .in('status', TERMINAL_STATUSES)
+            .is('deleted_at', null)
+            .gte('end_time', since);
         if (error) throw error;
-        console.log(`[/api/drops/completed DELETE] Successfully deleted ${count ?? 0} completed drops for shop ${shop}.`);
-        res.status(200).json({ message: `Successfully cleared ${count ?? 0} completed drops.`, deleted_count: count ?? 0 });
+        res.status(200).json({ period_days: days, ...summarizePunctuality(data || []) });
+    } catch (error) {
+        console.error('[/api/drops/stats GET] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error computing drop stats.' });
+    }
+});
+
+// Shared by the shop-wide and per-drop event routes
+async function sendDropEvents(req, res, dropId, logPrefix) {
+    const shop = req.query.shop;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const beforeId = typeof req.query.before_id === 'undefined' ? null : parseInt(req.query.before_id, 10);
+    console.log(`${logPrefix} Request for shop: ${shop}, drop: ${dropId || 'all'}, limit: ${limit}, before_id: ${beforeId ?? '-'}`);
+    if (beforeId !== null && (isNaN(beforeId) || beforeId < 1)) return res.status(400).json({ error: 'Invalid before_id. Expected a positive event id.' });
+    try {
+        const events = await getDropEvents(shop, { dropId, limit, beforeId });
+        // The oldest returned id is the cursor for the next (older) page
+        res.status(200).json({ events, next_before_id: events.length > 0 ? events[events.length - 1].id : null });
+    } catch (error) {
+        console.error(`${logPrefix} Server Error:`, error);
+        res.status(500).json({ error: error.message || 'Internal server error retrieving drop events.' });
+    }
+}
+
+// GET /api/drops/events - The shop's audit log, newest first (?drop_id narrows to one drop, ?before_id pages back)
+router.get('/events', validateSession, (req, res) => sendDropEvents(req, res, req.query.drop_id || null, '[/api/drops/events GET]'));
+
+// GET /api/drops/:id/events - Timeline of one drop, newest first
+router.get('/:id/events', validateSession, (req, res) => sendDropEvents(req, res, req.params.id, '[/api/drops/:id/events GET]'));
+
+// DELETE /api/drops/completed - Clear the drop history (moved to the trash)
+router.delete('/completed', validateSession, withIdempotencyKey, async (req, res) => {
+    const shop = req.query.shop;
+    console.log(`[/api/drops/completed DELETE] Request received for shop: ${shop}`);
+    try {
+        const { batchId, drops: trashedDrops } = await trashHistoryDrops(shop, TERMINAL_STATUSES, auditFromRequest(req));
+        const count = trashedDrops.length;
+        console.log(`[/api/drops/completed DELETE] Moved ${count} finished drops to the trash for shop ${shop} (batch ${batchId}).`);
+        res.status(200).json({ message: `Successfully cleared ${count} completed drops.`, deleted_count: count, batch_id: batchId });
     } catch (error) {
         console.error('[/api/drops/completed DELETE] Server Error:', error);
         res.status(500).json({ error: error.message || 'Internal server error clearing completed drops.'});
     }
 });
 
-// POST /api/drops/stop-and-clear-queue - Complete active, clear queue, reset settings
-router.post('/stop-and-clear-queue', validateSession, async (req, res) => {
+// POST /api/drops/stop-and-clear-queue - Cancel the live drop and every queued drop, reset settings
+router.post('/stop-and-clear-queue', validateSession, withIdempotencyKey, async (req, res) => {
     const shop = req.shopifySession?.shop;
     if (!shop) {
         console.error('[/api/drops/stop-and-clear-queue POST] Critical: Shop could not be determined from validated session.');
@@ -441,26 +978,28 @@ router.post('/stop-and-clear-queue', validateSession, async (req, res) => {
     console.log(`[/api/drops/stop-and-clear-queue POST] Request received for shop: ${shop}`);
     let activeDropCompletedTitle = null;
     let queuedDropsDeletedCount = 0;
+    let trashBatchId = null;
     let settingsUpdated = false;
 
     try {
         const { data: activeDrop, error: activeDropError } = await supabase
             .from('drops')
-            .select('id, title')
+            .select('id, title, status')
             .eq('shop', shop)
-            .eq('status', 'active')
+            .in('status', LIVE_STATUSES)
             .maybeSingle();
         if (activeDropError) throw activeDropError;
 
         if (activeDrop) {
-            const { error: updateActiveError } = await supabase
-                .from('drops')
-                .update({ status: 'completed', end_time: new Date().toISOString() })
-                .eq('id', activeDrop.id)
-                .eq('shop', shop); // ensure we only update for the correct shop
-            if (updateActiveError) throw updateActiveError;
-            activeDropCompletedTitle = activeDrop.title;
-            console.log(`[/api/drops/stop-and-clear-queue POST] Active drop ${activeDrop.id} marked as completed.`);
+            const completedAt = new Date().toISOString();
+            const { lostRace } = await transitionDrop(shop, activeDrop.id, activeDrop.status, 'cancelled', {
+                reason: 'queue_stopped',
+                audit: auditFromRequest(req),
+                changes: { end_time: completedAt, completed_at: completedAt }
+            });
+            // A lost race means the scheduler completed it first; the metafield is still cleared below
+            if (!lostRace) activeDropCompletedTitle = activeDrop.title;
+            console.log(`[/api/drops/stop-and-clear-queue POST] Live drop ${activeDrop.id} ${lostRace ? 'had already ended' : 'cancelled'}.`);
             
             if (ioInstance) ioInstance.to(shop).emit('active_drop', null);
             if (sharedFunctions.broadcastCompletedDrops) sharedFunctions.broadcastCompletedDrops(shop);
@@ -472,14 +1011,12 @@ router.post('/stop-and-clear-queue', validateSession, async (req, res) => {
             }
         }
 
-        const { count: deletedCount, error: deleteQueuedError } = await supabase
-            .from('drops')
-            .delete()
-            .eq('shop', shop)
-            .eq('status', 'queued');
-        if (deleteQueuedError) throw deleteQueuedError;
-        queuedDropsDeletedCount = deletedCount || 0;
-        console.log(`[/api/drops/stop-and-clear-queue POST] Deleted ${queuedDropsDeletedCount} queued drops for shop ${shop}.`);
+        // The cleared queue goes to the trash as one batch; the live drop has already been taken off air and is not restorable
+        const { batchId, drops: trashedDrops } = await trashQueuedDrops(shop, null, 'queue_cleared', auditFromRequest(req));
+        trashBatchId = batchId;
+        queuedDropsDeletedCount = trashedDrops.length;
+        console.log(`[/api/drops/stop-and-clear-queue POST] Moved ${queuedDropsDeletedCount} queued drops to the trash for shop ${shop} (batch ${batchId}).`);
+        requestScheduleCheck('stop_and_clear_queue');
 
         const { error: updateSettingsError } = await supabase
             .from('app_settings')
@@ -498,8 +1035,8 @@ router.post('/stop-and-clear-queue', validateSession, async (req, res) => {
              await sharedFunctions.broadcastSettings(shop); // Assuming broadcastSettings might be async
         }
         
-        let message = activeDropCompletedTitle ? `Active drop '${activeDropCompletedTitle}' completed. ` : "No active drop to complete. ";
-        message += `${queuedDropsDeletedCount} scheduled drops cleared.`;
+        let message = activeDropCompletedTitle ? `Active drop '${activeDropCompletedTitle}' cancelled. ` : "No active drop to cancel. ";
+        message += `${queuedDropsDeletedCount} scheduled drops moved to the trash.`;
         if (settingsUpdated) message += " Queued collection setting reset.";
 
         console.log(`[/api/drops/stop-and-clear-queue POST] Operation successful for shop ${shop}. Message: ${message}`);
@@ -507,6 +1044,7 @@ router.post('/stop-and-clear-queue', validateSession, async (req, res) => {
             message: message,
             activeDropCompleted: !!activeDropCompletedTitle,
             queuedDropsCleared: queuedDropsDeletedCount,
+            batch_id: trashBatchId,
             settingsReset: settingsUpdated
         });
     } catch (error) {
@@ -515,5 +1053,124 @@ router.post('/stop-and-clear-queue', validateSession, async (req, res) => {
     }
 });
 
+// GET /api/drops/trash - Restorable batches from deletes and clears, newest first
+router.get('/trash', validateSession, async (req, res) => {
+    const shop = req.query.shop;
+    console.log(`[/api/drops/trash GET] Request for shop: ${shop}`);
+    try {
+        res.status(200).json({ batches: await listTrash(shop), retention_days: TRASH_RETENTION_DAYS });
+    } catch (error) {
+        console.error('[/api/drops/trash GET] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error fetching the trash.' });
+    }
+});
+
+// POST /api/drops/trash/restore - Restore a whole batch ({ batch_id }) or single drops ({ drop_ids }) from the trash.
+// Queue drops return at their original times; overlaps with drops scheduled since follow conflict_policy.
+router.post('/trash/restore', validateSession, withIdempotencyKey, async (req, res) => {
+    const shop = req.shopifySession?.shop;
+    const { batch_id, drop_ids, conflict_policy = DEFAULT_CONFLICT_POLICY } = req.body;
+    console.log(`[/api/drops/trash/restore POST] Request received for shop: ${shop}`, { batch_id, drop_ids, conflict_policy });
+    if (!shop) return res.status(400).json({ error: 'Shop could not be determined. Session may be invalid.' });
+    if (!batch_id && (!Array.isArray(drop_ids) || drop_ids.length === 0)) {
+        return res.status(400).json({ error: 'Provide a batch_id or a non-empty drop_ids array.' });
+    }
+    if (!CONFLICT_POLICIES.includes(conflict_policy)) {
+        return res.status(400).json({ error: `Invalid conflict_policy. Expected one of: ${CONFLICT_POLICIES.join(', ')}.` });
+    }
+
+    try {
+        const constraints = await getScheduleConstraints(shop, req.shopifySession);
+        const result = await restoreFromTrash(shop, {
+            batchId: batch_id || null,
+            dropIds: batch_id ? null : drop_ids,
+            conflictPolicy: conflict_policy,
+            constraints,
+            audit: auditFromRequest(req)
+        });
+        if (result.conflicts) return res.status(409).json(conflictErrorBody(result.conflicts));
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        requestScheduleCheck('drops_restored');
+        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        if (ioInstance && sharedFunctions.broadcastCompletedDrops) sharedFunctions.broadcastCompletedDrops(shop);
+        const movedNote = result.movedCount > 0 ? ` ${result.movedCount} drop(s) got a new start time because their original slot had passed or was taken.` : '';
+        res.status(200).json({
+            message: `Restored ${result.restoredCount} drop(s).${movedNote}`,
+            restored_count: result.restoredCount,
+            moved_count: result.movedCount,
+            shifted_count: result.shiftedCount
+        });
+    } catch (error) {
+        console.error('[/api/drops/trash/restore POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error restoring drops.' });
+    }
+});
+
+// GET /api/drops/queue-state - Whether the queue is paused
+router.get('/queue-state', validateSession, async (req, res) => {
+    const shop = req.query.shop;
+    try {
+        res.status(200).json(await getPauseState(shop));
+    } catch (error) {
+        console.error('[/api/drops/queue-state GET] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error fetching queue state.' });
+    }
+});
+
+// POST /api/drops/pause - Stop activating queued drops without touching the queue (freeze_active also stops the active drop's clock)
+router.post('/pause', validateSession, withIdempotencyKey, async (req, res) => {
+    const shop = req.shopifySession?.shop;
+    const { freeze_active = false } = req.body;
+    console.log(`[/api/drops/pause POST] Request received for shop: ${shop}, freeze_active: ${freeze_active}`);
+    if (!shop) return res.status(400).json({ error: 'Shop could not be determined. Session may be invalid.' });
+
+    try {
+        const pauseState = await pauseQueue(shop, { freezeActive: freeze_active === true, audit: auditFromRequest(req) });
+        if (!pauseState) return res.status(409).json({ error: 'The queue is already paused.' });
+
+        requestScheduleCheck('queue_paused');
+        if (sharedFunctions.updateShopMetafield) {
+            await sharedFunctions.updateShopMetafield(shop, req.shopifySession, true, 'queue_paused');
+        }
+        if (ioInstance && sharedFunctions.broadcastQueueState) sharedFunctions.broadcastQueueState(shop);
+        // A frozen active drop is now 'paused'
+        if (ioInstance && pauseState.freeze_active && sharedFunctions.broadcastRefreshInstruction) sharedFunctions.broadcastRefreshInstruction(shop);
+        res.status(200).json({ message: pauseState.freeze_active ? 'Queue paused. The active drop is frozen.' : 'Queue paused.', ...pauseState });
+    } catch (error) {
+        console.error('[/api/drops/pause POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error pausing the queue.' });
+    }
+});
+
+// POST /api/drops/resume - Shift the queue by the paused duration and let the scheduler continue
+router.post('/resume', validateSession, withIdempotencyKey, async (req, res) => {
+    const shop = req.shopifySession?.shop;
+    console.log(`[/api/drops/resume POST] Request received for shop: ${shop}`);
+    if (!shop) return res.status(400).json({ error: 'Shop could not be determined. Session may be invalid.' });
+
+    try {
+        const result = await resumeQueue(shop, { session: req.shopifySession, audit: auditFromRequest(req) });
+        if (!result) return res.status(409).json({ error: 'The queue is not paused.' });
+
+        requestScheduleCheck('queue_resumed');
+        if (sharedFunctions.updateShopMetafield) {
+            await sharedFunctions.updateShopMetafield(shop, req.shopifySession, true, 'queue_resumed');
+        }
+        if (ioInstance && sharedFunctions.broadcastQueueState) sharedFunctions.broadcastQueueState(shop);
+        if (ioInstance && sharedFunctions.broadcastScheduledDrops) sharedFunctions.broadcastScheduledDrops(shop);
+        if (ioInstance && result.activeExtended && sharedFunctions.broadcastRefreshInstruction) sharedFunctions.broadcastRefreshInstruction(shop);
+        const pausedMinutes = Math.round(result.pausedMs / 60000);
+        res.status(200).json({
+            message: `Queue resumed after ${pausedMinutes} minute(s). ${result.shiftedCount} queued drop(s) shifted.`,
+            paused_ms: result.pausedMs,
+            shifted_count: result.shiftedCount,
+            active_extended: result.activeExtended
+        });
+    } catch (error) {
+        console.error('[/api/drops/resume POST] Server Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error resuming the queue.' });
+    }
+});
+
 export default router;
- 
\ No newline at end of file
@@ -0,0 +1,96 @@
+import { supabase } from './supabaseClient.js';
+import { recordDropEvent, recordDropEvents, SCHEDULER_AUDIT } from './auditLog.js';
+
+// The drop lifecycle. Every status change goes through transitionDrop/transitionDrops so it only applies while the
+// drop is still in the expected status; the database allows one live (active or paused) drop per shop.
+//   queued    - waiting for its slot
+//   active    - live on the storefront
+//   paused    - live drop frozen by a queue pause (countdown stopped); back to active on resume
+//   completed - ran until its end (status_reason 'ended_early' when an operator ended it before then)
+//   skipped   - taken off air by an operator: 'skipped_by_operator', or 'superseded' by an "activate now"
+//   cancelled - removed before or while running: 'deleted', 'queue_cleared', 'queue_stopped'
+//   missed    - its slot passed while the scheduler was down ('missed_during_downtime')
+//   failed    - could not go live: 'product_not_found', 'product_inactive'
+export const DROP_STATUSES = ['queued', 'active', 'paused', 'completed', 'skipped', 'cancelled', 'missed', 'failed'];
+export const LIVE_STATUSES = ['active', 'paused'];
+export const TERMINAL_STATUSES = ['completed', 'skipped', 'cancelled', 'missed', 'failed'];
+
+// Statuses shown in the history list for a filter ('all' or one terminal status); null for an unknown filter
+export function historyStatusesFor(filter = 'all') {
+    if (!filter || filter === 'all') return TERMINAL_STATUSES;
+    return TERMINAL_STATUSES.includes(filter) ? [filter] : null;
+}
+
+const ALLOWED_TRANSITIONS = {
+    queued: ['active', 'cancelled', 'missed', 'failed'],
+    active: ['paused', 'completed', 'skipped', 'cancelled'],
+    paused: ['active', 'completed', 'skipped', 'cancelled'],
+    cancelled: ['queued'] // restoring a deleted queue drop from the trash (trashManager.js)
+};
+
+// Audit event_type for a successful move; everything else is logged under the status it moved to
+function eventTypeFor(fromStatus, toStatus) {
+    if (toStatus === 'active') return fromStatus === 'paused' ? 'resumed' : 'activated';
+    if (toStatus === 'queued') return 'restored';
+    return toStatus;
+}
+
+// Postgres unique_violation: another drop is already live for the shop
+const UNIQUE_VIOLATION = '23505';
+
+function assertTransition(fromStatus, toStatus) {
+    if (!ALLOWED_TRANSITIONS[fromStatus]?.includes(toStatus)) {
+        throw new Error(`Invalid drop status transition: ${fromStatus} -> ${toStatus}`);
+    }
+}
+
+// Moves a drop from one status to another with an optional status_reason, applying extra column changes in the
+// same update, and records it in the audit log under audit ({ source, actor }). Returns { drop, lostRace } where lostRace is null on success, or:
+//   'status_changed' - the drop was no longer in fromStatus (already moved by someone else, or deleted)
+//   'already_active' - the shop already has a live drop (moving into active/paused only)
+export async function transitionDrop(shop, dropId, fromStatus, toStatus, { reason = null, changes = {}, audit = SCHEDULER_AUDIT } = {}) {
+    assertTransition(fromStatus, toStatus);
+    const { data, error } = await supabase
+        .from('drops')
+        .update({ ...changes, status: toStatus, status_reason: reason })
+        .eq('id', dropId)
+        .eq('shop', shop)
+        .eq('status', fromStatus)
+        .select()
+        .maybeSingle();
+    if (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            console.warn(`[DropState] Drop ${dropId} for ${shop} not moved ${fromStatus} -> ${toStatus}: another drop is already live.`);
+            return { drop: null, lostRace: 'already_active' };
+        }
+        throw error;
+    }
+    if (!data) {
+        console.warn(`[DropState] Drop ${dropId} for ${shop} not moved ${fromStatus} -> ${toStatus}: it is no longer ${fromStatus}.`);
+        return { drop: null, lostRace: 'status_changed' };
+    }
+    await recordDropEvent(shop, dropId, eventTypeFor(fromStatus, toStatus), audit, { from: fromStatus, reason });
+    return { drop: data, lostRace: null };
+}
+
+// Bulk version for terminal moves (e.g. cancelling queued drops). dropIds null means every drop of the shop in
+// fromStatus. Drops that already left fromStatus are skipped. Returns the moved drops.
+export async function transitionDrops(shop, dropIds, fromStatus, toStatus, { reason = null, changes = {}, audit = SCHEDULER_AUDIT } = {}) {
+    assertTransition(fromStatus, toStatus);
+    if (LIVE_STATUSES.includes(toStatus)) throw new Error('Use transitionDrop to move a single drop live.');
+    let query = supabase
+        .from('drops')
+        .update({ ...changes, status: toStatus, status_reason: reason })
+        .eq('shop', shop)
+        .eq('status', fromStatus);
+    if (dropIds) query = query.in('id', dropIds);
+    const { data, error } = await query.select();
+    if (error) throw error;
+    const movedDrops = data || [];
+    await recordDropEvents(shop, movedDrops.map(drop => ({
+        dropId: drop.id,
+        eventType: eventTypeFor(fromStatus, toStatus),
+        details: { from: fromStatus, reason }
+    })), audit);
+    return movedDrops;
+}
@@ -0,0 +1,46 @@
+// Scheduled-vs-actual timing for drops that have left the queue. Timing fields are stamped by the scheduler:
+// scheduled_start_time/scheduled_end_time (the planned slot), activated_at and completed_at (what really happened).
+
+const ON_TIME_TOLERANCE_MS = 60 * 1000; // Matches the scheduler's catch-up grace period
+const minutesBetween = (from, to) => Math.round((new Date(to).getTime() - new Date(from).getTime()) / 60000);
+
+// Adds delay_seconds (activated_at - scheduled_start_time, negative when activated early), planned and actual
+// duration in minutes, and cut_short. Fields are null when the drop predates timing records or never ran.
+export function withTiming(drop) {
+    const delaySeconds = drop.activated_at && drop.scheduled_start_time
+        ? Math.round((new Date(drop.activated_at).getTime() - new Date(drop.scheduled_start_time).getTime()) / 1000)
+        : null;
+    const plannedDurationMinutes = drop.scheduled_start_time && drop.scheduled_end_time
+        ? minutesBetween(drop.scheduled_start_time, drop.scheduled_end_time)
+        : null;
+    const actualDurationMinutes = drop.activated_at && drop.completed_at
+        ? minutesBetween(drop.activated_at, drop.completed_at)
+        : null;
+    const cutShort = plannedDurationMinutes !== null && actualDurationMinutes !== null
+        && new Date(drop.completed_at).getTime() - new Date(drop.activated_at).getTime() < plannedDurationMinutes * 60000 - ON_TIME_TOLERANCE_MS;
+    return {
+        ...drop,
+        delay_seconds: delaySeconds,
+        planned_duration_minutes: plannedDurationMinutes,
+        actual_duration_minutes: actualDurationMinutes,
+        cut_short: cutShort
+    };
+}
+
+// Punctuality over a set of finished drops (any terminal status). Early activations (operator "activate now") count as no delay.
+export function summarizePunctuality(drops) {
+    const timedDrops = drops.filter(d => d.status === 'completed').map(withTiming);
+    const delays = timedDrops.filter(d => d.delay_seconds !== null).map(d => Math.max(0, d.delay_seconds));
+    return {
+        completed_count: timedDrops.length,
+        measured_count: delays.length,
+        on_time_count: delays.filter(delay => delay * 1000 <= ON_TIME_TOLERANCE_MS).length,
+        late_count: delays.filter(delay => delay * 1000 > ON_TIME_TOLERANCE_MS).length,
+        average_delay_seconds: delays.length > 0 ? Math.round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length) : null,
+        max_delay_seconds: delays.length > 0 ? Math.max(...delays) : null,
+        cut_short_count: timedDrops.filter(d => d.cut_short).length,
+        skipped_count: drops.filter(d => d.status === 'skipped').length,
+        missed_count: drops.filter(d => d.status === 'missed').length,
+        failed_count: drops.filter(d => d.status === 'failed').length
+    };
+}
@@ -0,0 +1,115 @@
+import { supabase } from './supabaseClient.js';
+
+// Idempotency keys for the mutating drop routes (see migrations/create_idempotency_keys.sql). The first request with
+// a shop's key claims it and its response is stored with the key; a repeat (a double submit or a client retry) gets
+// that stored response back instead of running again. Keys are kept for IDEMPOTENCY_KEY_RETENTION_HOURS.
+//   - a key reused for a different request (method, path or body) is rejected with 422
+//   - a repeat that arrives while the first request is still running gets 409 with in_progress: true
+//   - 5xx responses aren't stored, so a failed request can be retried with the same key
+//   - a claim left without a response for IN_PROGRESS_TIMEOUT_MS (the instance died mid-request) can be taken over
+export const IDEMPOTENCY_KEY_RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_RETENTION_HOURS, 10) || 24;
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+const IDEMPOTENCY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const RETENTION_MS = IDEMPOTENCY_KEY_RETENTION_HOURS * 60 * 60 * 1000;
+const retentionCutoff = () => new Date(Date.now() - RETENTION_MS).toISOString();
+
+let purgeTimer = null;
+
+async function insertClaim(shop, key, request) {
+    const { error } = await supabase.from('idempotency_keys').insert({
+        shop,
+        idempotency_key: key,
+        request_method: request.method,
+        request_path: request.path,
+        request_hash: request.hash
+    });
+    if (error && error.code !== '23505') throw error;
+    return !error;
+}
+
+// request: { method, path, hash }. Returns { claimed: true }, { replay: { status, body } } or { status, error, inProgress }.
+export async function claimIdempotencyKey(shop, key, request) {
+    if (await insertClaim(shop, key, request)) return { claimed: true };
+
+    const { data: existing, error } = await supabase
+        .from('idempotency_keys')
+        .select('*')
+        .eq('shop', shop)
+        .eq('idempotency_key', key)
+        .maybeSingle();
+    if (error) throw error;
+
+    const ageMs = existing ? Date.now() - new Date(existing.created_at).getTime() : 0;
+    const isExpired = ageMs > RETENTION_MS;
+    const isAbandoned = existing?.response_status === null && ageMs > IN_PROGRESS_TIMEOUT_MS;
+    if (!existing || isExpired || isAbandoned) {
+        // Released, purged or stale in the meantime: start over with this request (one attempt, then treat as taken)
+        if (existing) await releaseIdempotencyKey(shop, key, existing.created_at);
+        if (await insertClaim(shop, key, request)) return { claimed: true };
+        return { status: 409, error: 'A request with this Idempotency-Key is already being processed.', inProgress: true };
+    }
+
+    if (existing.request_method !== request.method || existing.request_path !== request.path || existing.request_hash !== request.hash) {
+        return { status: 422, error: 'This Idempotency-Key was already used for a different request. Send a new key for each action.' };
+    }
+    if (existing.response_status === null) {
+        return { status: 409, error: 'A request with this Idempotency-Key is already being processed.', inProgress: true };
+    }
+    return { replay: { status: existing.response_status, body: existing.response_body } };
+}
+
+// Stores the first response for a claimed key. Never throws: a lost response only means a repeat runs again.
+export async function saveIdempotentResponse(shop, key, status, body) {
+    try {
+        const { error } = await supabase
+            .from('idempotency_keys')
+            .update({ response_status: status, response_body: body ?? null, completed_at: new Date().toISOString() })
+            .eq('shop', shop)
+            .eq('idempotency_key', key);
+        if (error) throw error;
+    } catch (error) {
+        console.error(`[Idempotency] Failed to store the response for key ${key} (shop ${shop}):`, error.message);
+    }
+}
+
+// Frees a claimed key (e.g. after a 5xx) so the request can be retried with it. createdAt limits the delete to that
+// claim, so a newer claim of the same key isn't removed.
+export async function releaseIdempotencyKey(shop, key, createdAt = null) {
+    try {
+        let query = supabase.from('idempotency_keys').delete().eq('shop', shop).eq('idempotency_key', key);
+        if (createdAt) query = query.eq('created_at', createdAt);
+        const { error } = await query;
+        if (error) throw error;
+    } catch (error) {
+        console.error(`[Idempotency] Failed to release key ${key} (shop ${shop}):`, error.message);
+    }
+}
+
+// Deletes keys older than the retention window, for every shop
+export async function purgeExpiredIdempotencyKeys() {
+    try {
+        const { data, error } = await supabase
+            .from('idempotency_keys')
+            .delete()
+            .lt('created_at', retentionCutoff())
+            .select('idempotency_key');
+        if (error) throw error;
+        if (data && data.length > 0) console.log(`[Idempotency] Purged ${data.length} key(s) older than ${IDEMPOTENCY_KEY_RETENTION_HOURS} hour(s).`);
+        return data?.length || 0;
+    } catch (error) {
+        console.error('[Idempotency] Error purging expired keys:', error.message);
+        return 0;
+    }
+}
+
+export function startIdempotencyPurge() {
+    if (purgeTimer) return;
+    purgeExpiredIdempotencyKeys();
+    purgeTimer = setInterval(purgeExpiredIdempotencyKeys, IDEMPOTENCY_PURGE_INTERVAL_MS);
+}
+
+export function stopIdempotencyPurge() {
+    if (purgeTimer) clearInterval(purgeTimer);
+    purgeTimer = null;
+}
@@ -1,5 +1,8 @@
-import { baseShopifyApi as shopify } from './shopify.js';
+import { shopifyGraphql } from './shopifyClient.js';
 import { supabase } from './supabaseClient.js';
+import { getPauseState } from './pauseManager.js';
+import { LIVE_STATUSES } from './dropState.js';
+import { recordDropEvent } from './auditLog.js';
 
 // In-memory cache for shop GIDs and metafield instance GIDs
 export let shopMetafieldCache = {}; // Structure: { shop: { shopGid: '...', instanceGid: '...' } }
@@ -28,10 +31,10 @@ export async function updateShopMetafield(shop, session, forceUpdate = false, so
         let cachedShopData = shopMetafieldCache[shop];
         if (!cachedShopData || !cachedShopData.shopGid) {
             console.log(`[MetafieldManager] Source: ${source}. Cache miss for shop GID ${shop}. Querying...`);
-            const client = new shopify.clients.Graphql({ session });
+            const client = shopifyGraphql(session);
             const shopGidQuery = `{ shop { id } }`;
-            const shopGidResponse = await client.query({ data: shopGidQuery }); // Consider .request for newer versions
-            const fetchedShopGid = shopGidResponse?.body?.data?.shop?.id;
+            const shopGidResponse = await client.request(shopGidQuery);
+            const fetchedShopGid = shopGidResponse?.data?.shop?.id;
 
             if (!fetchedShopGid) {
                 console.error(`[MetafieldManager] Source: ${source}. Failed to fetch Shop GID for ${shop}.`);
@@ -52,8 +55,8 @@ export async function updateShopMetafield(shop, session, forceUpdate = false, so
                 }
               }
             `;
-            const metafieldResponse = await client.query({ data: { query: metafieldQuery } });
-            const existingMetafield = metafieldResponse?.body?.data?.shop?.metafield;
+            const metafieldResponse = await client.request(metafieldQuery);
+            const existingMetafield = metafieldResponse?.data?.shop?.metafield;
             if (existingMetafield) {
                 console.log(`[MetafieldManager] Source: ${source}. Found existing metafield for ${shop}: ID=${existingMetafield.id}, Value=${existingMetafield.value}`);
                 shopMetafieldCache[shop].instanceGid = existingMetafield.id;
@@ -81,8 +84,8 @@ export async function updateShopMetafield(shop, session, forceUpdate = false, so
 
         const { data: activeDrop, error: dbError } = await supabase
             .from('drops')
-            .select('product_id, title') // Only select what's needed
-            .eq('status', 'active')
+            .select('id, product_id, product_handle, title') // Only select what's needed
+            .in('status', LIVE_STATUSES) // includes a paused drop, but the storefront shows idle while the queue is paused (below)
             .eq('shop', shop)
             .maybeSingle();
 
@@ -92,13 +95,20 @@ export async function updateShopMetafield(shop, session, forceUpdate = false, so
         }
 
         let activeProductHandleValue = null;
-        if (activeDrop && activeDrop.product_id) {
+        const pauseState = await getPauseState(shop);
+        if (pauseState.paused) {
+            console.log(`[MetafieldManager] Source: ${source}. Queue is paused for ${shop}. Metafield will be set to idle.`);
+        } else if (activeDrop?.product_handle) {
+            // Stored when the drop was scheduled, so no Shopify lookup is needed
+            activeProductHandleValue = activeDrop.product_handle;
+            console.log(`[MetafieldManager] Source: ${source}. Using stored handle ${activeProductHandleValue} for active drop ${activeDrop.id} (${activeDrop.title}).`);
+        } else if (activeDrop && activeDrop.product_id) {
             console.log(`[MetafieldManager] Source: ${source}. Found active drop GID: ${activeDrop.product_id} (${activeDrop.title}) for ${shop}. Fetching handle.`);
-            const client = new shopify.clients.Graphql({ session });
+            const client = shopifyGraphql(session);
             const handleQuery = `query getProductHandle($id: ID!) { product(id: $id) { handle } }`;
             try {
-                const handleResponse = await client.query({ data: { query: handleQuery, variables: { id: activeDrop.product_id } } });
-                activeProductHandleValue = handleResponse?.body?.data?.product?.handle || null;
+                const handleResponse = await client.request(handleQuery, { variables: { id: activeDrop.product_id } });
+                activeProductHandleValue = handleResponse?.data?.product?.handle || null;
                 if (activeProductHandleValue) {
                     console.log(`[MetafieldManager] Source: ${source}. Successfully fetched handle: ${activeProductHandleValue}`);
                 } else {
@@ -118,7 +128,7 @@ export async function updateShopMetafield(shop, session, forceUpdate = false, so
 
         if (forceUpdate || valueToSet !== currentLastSetHandle) {
             console.log(`[MetafieldManager] Source: ${source}. Condition met for ${shop}. Proceeding with metafieldsSet to value: '${valueToSet}'.`);
-            const client = new shopify.clients.Graphql({ session });
+            const client = shopifyGraphql(session);
             const mutation = `
                 mutation SetShopMetafield($metafields: [MetafieldsSetInput!]!) {
                   metafieldsSet(metafields: $metafields) {
@@ -146,29 +156,34 @@ export async function updateShopMetafield(shop, session, forceUpdate = false, so
                 }]
             };
             try {
-                const response = await client.query({ data: { query: mutation, variables } });
-                if (response?.body?.data?.metafieldsSet?.userErrors?.length > 0) {
-                    console.error(`[MetafieldManager] Source: ${source}. UserErrors during metafieldsSet for ${shop}:`, response.body.data.metafieldsSet.userErrors);
+                const response = await client.request(mutation, { variables }); // GraphQL errors throw into the catch below
+                if (response?.data?.metafieldsSet?.userErrors?.length > 0) {
+                    console.error(`[MetafieldManager] Source: ${source}. UserErrors during metafieldsSet for ${shop}:`, response.data.metafieldsSet.userErrors);
                     lastMetafieldUpdateFailed[shop] = true;
-                } else if (response?.body?.errors) {
-                    console.error(`[MetafieldManager] Source: ${source}. GraphQL errors during metafieldsSet for ${shop}:`, response.body.errors);
-                    lastMetafieldUpdateFailed[shop] = true;
-                } else if (response?.body?.data?.metafieldsSet?.metafields) {
+                } else if (response?.data?.metafieldsSet?.metafields) {
                     console.log(`[MetafieldManager] Source: ${source}. Successfully SET metafield for ${shop}. New value: '${valueToSet}'`);
                     lastActiveProductHandleSet[shop] = valueToSet;
                     lastMetafieldUpdateFailed[shop] = false;
-                    const newInstanceGid = response.body.data.metafieldsSet.metafields[0]?.id;
+                    const newInstanceGid = response.data.metafieldsSet.metafields[0]?.id;
                     if (newInstanceGid) {
                         shopMetafieldCache[shop].instanceGid = newInstanceGid;
                     }
                 } else {
-                    console.error(`[MetafieldManager] Source: ${source}. Failed to SET metafield for ${shop}. Unexpected response:`, response?.body);
+                    console.error(`[MetafieldManager] Source: ${source}. Failed to SET metafield for ${shop}. Unexpected response:`, response?.data);
                     lastMetafieldUpdateFailed[shop] = true;
                 }
             } catch (mutationError) {
                 console.error(`[MetafieldManager] Source: ${source}. Exception during metafieldsSet for ${shop}:`, mutationError.message);
                 lastMetafieldUpdateFailed[shop] = true;
             }
+            // Logged against the live drop (or the shop when clearing); source is whoever asked for the update
+            await recordDropEvent(
+                shop,
+                activeProductHandleValue ? activeDrop.id : null,
+                lastMetafieldUpdateFailed[shop] ? 'metafield_failed' : 'metafield_written',
+                { source: `metafield:${source}`, actor: 'system' },
+                { value: valueToSet }
+            );
         } else {
             console.log(`[MetafieldManager] Source: ${source}. No update needed for ${shop}. Value '${valueToSet}' is same as last set '${currentLastSetHandle}'.`);
             lastMetafieldUpdateFailed[shop] = false; 
@@ -0,0 +1,11 @@
+-- What the scheduler does with queued drops that became due while it wasn't running (policy per shop):
+--   run_late        - activate the oldest overdue drop now and push the rest of the queue back
+--   skip_missed     - mark drops whose whole window has passed as 'missed', run the next one now and push the queue back
+--   jump_to_current - mark passed drops as 'missed' and activate the drop whose window contains now, keeping its slot
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS catch_up_policy TEXT NOT NULL DEFAULT 'run_late'
+  CHECK (catch_up_policy IN ('run_late', 'skip_missed', 'jump_to_current'));
+
+-- When a drop leaves the queue (activated or missed), scheduled_start_time records the slot it was scheduled for
+-- and activated_at the moment it actually went live. start_time/end_time describe the window the drop really ran in.
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS scheduled_start_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,7 @@
+-- Terminal and paused states for the drop lifecycle (see backend/dropState.js).
+-- Run this on its own, before add_drop_status_reason.sql: Postgres can't use new enum values in the
+-- transaction that adds them.
+ALTER TYPE drop_status ADD VALUE IF NOT EXISTS 'paused';
+ALTER TYPE drop_status ADD VALUE IF NOT EXISTS 'skipped';
+ALTER TYPE drop_status ADD VALUE IF NOT EXISTS 'cancelled';
+ALTER TYPE drop_status ADD VALUE IF NOT EXISTS 'failed';
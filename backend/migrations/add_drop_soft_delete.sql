@@ -0,0 +1,9 @@
+-- Soft delete for destructive queue operations (see backend/trashManager.js). Trashed drops keep their row until the
+-- retention purge; deleted_batch_id groups the drops of one operation so it can be undone as a whole, and
+-- deleted_from_status records where a drop is restored to ('queued' for queue deletes, NULL for cleared history).
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS deleted_batch_id UUID;
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS deleted_from_status TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_drops_trash ON drops(shop, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_drops_deleted_batch ON drops(deleted_batch_id) WHERE deleted_batch_id IS NOT NULL;
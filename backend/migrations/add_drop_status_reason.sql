@@ -0,0 +1,6 @@
+-- Why a drop reached its current status (e.g. 'ended_early', 'superseded', 'queue_cleared', 'product_not_found')
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS status_reason TEXT;
+
+-- A paused (frozen) drop is still the shop's live drop, so the one-live-drop rule covers both states
+DROP INDEX IF EXISTS idx_drops_one_active_per_shop;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drops_one_live_per_shop ON drops(shop) WHERE status IN ('active', 'paused');
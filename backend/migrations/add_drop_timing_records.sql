@@ -0,0 +1,9 @@
+-- Planned vs actual timing. scheduled_start_time/scheduled_end_time keep the slot a drop was scheduled for
+-- (stamped when it leaves the queue); activated_at/completed_at record when it really went live and ended.
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS scheduled_end_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+-- Older completed drops ended at their end_time
+UPDATE drops SET completed_at = end_time WHERE status = 'completed' AND completed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_drops_shop_completed_at ON drops(shop, completed_at);
@@ -0,0 +1,4 @@
+-- Non-destructive queue pause. paused_at is set while the queue is paused; pause_freezes_active
+-- stops the active drop's countdown until resume.
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS pause_freezes_active BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,4 @@
+-- The product's handle as it was when the drop was scheduled (read from the same GraphQL query as its status and
+-- image), so activating a drop can set the storefront metafield without another Shopify lookup. NULL for drops
+-- created before this column or without a known handle; those fall back to looking the handle up.
+ALTER TABLE drops ADD COLUMN IF NOT EXISTS product_handle TEXT;
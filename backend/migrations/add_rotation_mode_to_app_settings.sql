@@ -0,0 +1,7 @@
+-- What the scheduler does when the last queued drop finishes (see backend/rotationManager.js):
+--   off        - nothing; the queue stays empty
+--   collection - append the active products of queued_collection_id again
+--   replay     - replay the shop's completed drops in the order they last ran
+-- Either way the product that just finished is left out of the new round.
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS rotation_mode TEXT NOT NULL DEFAULT 'off'
+  CHECK (rotation_mode IN ('off', 'collection', 'replay'));
@@ -0,0 +1,7 @@
+-- Scheduling cadence: 'back_to_back' chains drops from one start time; 'daily' gives each drop the next
+-- calendar day at drop_time (shop time). cadence_duration_minutes is optional in daily mode; NULL runs
+-- each drop until the next day's slot.
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS schedule_mode TEXT NOT NULL DEFAULT 'back_to_back'
+  CHECK (schedule_mode IN ('back_to_back', 'daily'));
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS cadence_duration_minutes INTEGER
+  CHECK (cadence_duration_minutes IS NULL OR cadence_duration_minutes BETWEEN 1 AND 1440);
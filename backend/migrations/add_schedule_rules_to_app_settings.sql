@@ -0,0 +1,6 @@
+-- Schedule windows and blackout dates (shop time) that bulk scheduling and re-timing must respect.
+-- schedule_windows: [{ "weekday": 0-6 (0 = Sunday), "start": "HH:MM", "end": "HH:MM" | "24:00" }];
+--   an empty array allows drops around the clock, otherwise weekdays without a window are closed.
+-- blackout_dates: ["YYYY-MM-DD", ...] dates on which no drop may start.
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS schedule_windows JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS blackout_dates JSONB NOT NULL DEFAULT '[]'::jsonb;
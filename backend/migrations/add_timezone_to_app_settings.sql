@@ -0,0 +1,3 @@
+-- Shop IANA timezone (e.g. 'America/New_York'), synced from the Shopify shop resource.
+-- Drop dates and times entered in the app are interpreted in this timezone.
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS timezone TEXT;
@@ -0,0 +1,15 @@
+-- Audit trail of drop lifecycle events (see backend/auditLog.js). drop_id has no foreign key on purpose: events
+-- must outlive the drop they describe (clearing the history deletes drops), and shop-level events have no drop.
+CREATE TABLE IF NOT EXISTS drop_events (
+  id BIGSERIAL PRIMARY KEY,
+  shop TEXT NOT NULL,
+  drop_id UUID,
+  event_type TEXT NOT NULL,
+  source TEXT NOT NULL,
+  actor TEXT NOT NULL DEFAULT 'system',
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_drop_events_shop ON drop_events(shop, id DESC);
+CREATE INDEX IF NOT EXISTS idx_drop_events_drop ON drop_events(drop_id, id DESC) WHERE drop_id IS NOT NULL;
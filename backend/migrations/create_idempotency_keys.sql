@@ -0,0 +1,18 @@
+-- Idempotency keys for the mutating drop routes (see backend/idempotencyManager.js). The first request with a key
+-- claims the row (response_status NULL while it runs) and stores its response, which repeats of the key replay.
+-- request_hash covers the method, path and body so a key reused for a different request can be refused.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  shop TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_method TEXT NOT NULL,
+  request_path TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (shop, idempotency_key)
+);
+
+-- The purge deletes by age across all shops
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
@@ -0,0 +1,25 @@
+-- Per-shop scheduler leases so several backend instances can share one database. Only the instance holding a
+-- shop's lease activates/completes its drops and writes its metafield. A lease is renewed by its holder and
+-- taken over by anyone once expires_at passes, so a crashed instance fails over after one TTL.
+CREATE TABLE IF NOT EXISTS scheduler_leases (
+  shop TEXT PRIMARY KEY,
+  holder TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  acquired_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Atomically takes or renews the lease. Returns the current holder and expiry whether or not p_holder got it.
+CREATE OR REPLACE FUNCTION acquire_scheduler_lease(p_shop TEXT, p_holder TEXT, p_ttl_seconds INTEGER)
+RETURNS TABLE (lease_holder TEXT, lease_expires_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+  INSERT INTO scheduler_leases AS l (shop, holder, expires_at, acquired_at)
+  VALUES (p_shop, p_holder, NOW() + make_interval(secs => p_ttl_seconds), NOW())
+  ON CONFLICT (shop) DO UPDATE
+    SET holder = EXCLUDED.holder,
+        expires_at = EXCLUDED.expires_at,
+        acquired_at = CASE WHEN l.holder = EXCLUDED.holder THEN l.acquired_at ELSE NOW() END
+    WHERE l.holder = EXCLUDED.holder OR l.expires_at < NOW();
+
+  RETURN QUERY SELECT l.holder, l.expires_at FROM scheduler_leases l WHERE l.shop = p_shop;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,28 @@
+-- Drop lifecycle invariants enforced by the database:
+--   * status is an enum instead of free text
+--   * at most one active drop per shop (partial unique index)
+-- The app moves drops between statuses only through conditional updates (see backend/dropState.js).
+
+-- Repair existing data first: keep the most recently started active drop per shop and complete the rest
+WITH ranked_active AS (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY shop ORDER BY start_time DESC) AS position
+  FROM drops
+  WHERE status = 'active'
+)
+UPDATE drops
+SET status = 'completed', end_time = LEAST(end_time, NOW()), completed_at = NOW()
+FROM ranked_active
+WHERE drops.id = ranked_active.id AND ranked_active.position > 1;
+
+DO $$
+BEGIN
+  CREATE TYPE drop_status AS ENUM ('queued', 'active', 'completed', 'missed');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE drops ALTER COLUMN status DROP DEFAULT;
+ALTER TABLE drops ALTER COLUMN status TYPE drop_status USING status::drop_status;
+ALTER TABLE drops ALTER COLUMN status SET DEFAULT 'queued';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drops_one_active_per_shop ON drops(shop) WHERE status = 'active';
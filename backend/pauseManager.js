@@ -0,0 +1,97 @@
+import { supabase } from './supabaseClient.js';
+import { getQueuedDrops, applyStartTimes, shiftStartTimes } from './queueManager.js';
+import { transitionDrop } from './dropState.js';
+import { SCHEDULER_AUDIT } from './auditLog.js';
+import { getScheduleConstraints } from './settingsManager.js';
+
+// Pause state lives on app_settings (paused_at, pause_freezes_active) so it survives restarts.
+// While paused the scheduler activates nothing for the shop, and the storefront metafield is idle.
+// With pause_freezes_active the active drop's countdown stops too: it moves to the 'paused' status (so it is not
+// completed while paused), and on resume it goes back to active with end_time moved out by the paused duration.
+
+export async function getPauseState(shop) {
+    const { data, error } = await supabase
+        .from('app_settings')
+        .select('paused_at, pause_freezes_active')
+        .eq('shop', shop)
+        .maybeSingle();
+    if (error) throw error;
+    return {
+        paused: Boolean(data?.paused_at),
+        paused_at: data?.paused_at || null,
+        freeze_active: Boolean(data?.paused_at && data?.pause_freezes_active)
+    };
+}
+
+// Every paused shop, for the scheduler: [{ shop, paused_at, pause_freezes_active }]
+export async function getPausedShops() {
+    const { data, error } = await supabase
+        .from('app_settings')
+        .select('shop, paused_at, pause_freezes_active')
+        .not('paused_at', 'is', null);
+    if (error) throw error;
+    return data || [];
+}
+
+// Returns the new pause state, or null when the queue was already paused
+export async function pauseQueue(shop, { freezeActive = false, audit = SCHEDULER_AUDIT } = {}) {
+    const currentState = await getPauseState(shop);
+    if (currentState.paused) return null;
+
+    const { error } = await supabase
+        .from('app_settings')
+        .upsert({ shop, paused_at: new Date().toISOString(), pause_freezes_active: Boolean(freezeActive) }, { onConflict: 'shop' });
+    if (error) throw error;
+    if (freezeActive) {
+        const { data: activeDrop, error: activeError } = await supabase
+            .from('drops')
+            .select('id')
+            .eq('shop', shop)
+            .eq('status', 'active')
+            .maybeSingle();
+        if (activeError) throw activeError;
+        if (activeDrop) await transitionDrop(shop, activeDrop.id, 'active', 'paused', { reason: 'queue_paused', audit });
+    }
+    console.log(`[PauseManager] Paused queue for shop ${shop} (freeze active: ${Boolean(freezeActive)}).`);
+    return getPauseState(shop);
+}
+
+// Shifts every queued drop (and a frozen active drop's end_time) by the paused duration, then clears the pause.
+// Shifted drops land in the shop's schedule windows and skip blackout dates, like every other re-timing.
+// Returns { pausedMs, shiftedCount, activeExtended } or null when the queue was not paused.
+export async function resumeQueue(shop, { session = null, audit = SCHEDULER_AUDIT } = {}) {
+    const currentState = await getPauseState(shop);
+    if (!currentState.paused) return null;
+
+    const pausedMs = Math.max(0, Date.now() - new Date(currentState.paused_at).getTime());
+    const queuedDrops = await getQueuedDrops(shop);
+    const constraints = await getScheduleConstraints(shop, session);
+    const shiftedCount = await applyStartTimes(shop, shiftStartTimes(queuedDrops, pausedMs, { constraints }), { audit });
+
+    let activeExtended = false;
+    if (currentState.freeze_active) {
+        const { data: pausedDrop, error: pausedError } = await supabase
+            .from('drops')
+            .select('id, end_time')
+            .eq('shop', shop)
+            .eq('status', 'paused')
+            .maybeSingle();
+        if (pausedError) throw pausedError;
+        if (pausedDrop?.end_time) {
+            // end_time is written directly; the calculate_end_time trigger only fires on start_time/duration changes
+            const { drop: resumedDrop } = await transitionDrop(shop, pausedDrop.id, 'paused', 'active', {
+                audit,
+                changes: { end_time: new Date(new Date(pausedDrop.end_time).getTime() + pausedMs).toISOString() }
+            });
+            activeExtended = Boolean(resumedDrop);
+        }
+    }
+
+    const { error } = await supabase
+        .from('app_settings')
+        .update({ paused_at: null, pause_freezes_active: false })
+        .eq('shop', shop);
+    if (error) throw error;
+    console.log(`[PauseManager] Resumed queue for shop ${shop} after ${Math.round(pausedMs / 1000)}s. Shifted ${shiftedCount} queued drops.`);
+    return { pausedMs, shiftedCount, activeExtended };
+}
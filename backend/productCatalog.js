@@ -0,0 +1,51 @@
+import { shopifyGraphql } from './shopifyClient.js';
+import { fetchAllGraphqlNodes } from './shopifyPagination.js';
+
+// Everything scheduling needs to know about a collection's products (status, handle, inventory, image) from one
+// paginated GraphQL query, instead of a REST status lookup per product. Products come back in creation order as
+//   { id (GID), title, handle, status ('active' | 'draft' | 'archived' | null), total_inventory, thumbnail_url }
+
+const COLLECTION_PRODUCTS_QUERY = `
+  query getCollectionProducts($id: ID!, $first: Int!, $after: String) {
+    collection(id: $id) {
+      id
+      title
+      products(first: $first, after: $after, sortKey: CREATED) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          title
+          handle
+          status
+          totalInventory
+          featuredImage {
+            url
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const toCollectionGid = (collectionId) => (String(collectionId).startsWith('gid://') ? collectionId : `gid://shopify/Collection/${collectionId}`);
+
+// Returns { products } or { products: null, collectionFound } when the collection's products couldn't be read.
+// onPage(fetchedCount) reports progress page by page.
+export async function fetchCollectionProducts(session, collectionId, { onPage = null } = {}) {
+    const client = shopifyGraphql(session);
+    const { nodes, data } = await fetchAllGraphqlNodes(client, COLLECTION_PRODUCTS_QUERY, { id: toCollectionGid(collectionId) }, d => d.collection?.products, { onPage });
+    if (!nodes) return { products: null, collectionFound: Boolean(data?.collection) };
+    return {
+        products: nodes.map(node => ({
+            id: node.id,
+            title: node.title,
+            handle: node.handle || null,
+            status: node.status ? node.status.toLowerCase() : null,
+            total_inventory: node.totalInventory ?? null,
+            thumbnail_url: node.featuredImage?.url || null
+        }))
+    };
+}
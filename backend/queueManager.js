@@ -0,0 +1,360 @@
+import { createHash } from 'crypto';
+import { supabase } from './supabaseClient.js';
+import { nextAllowedStart, planDailySlots, nextCadenceDate } from './schedulePlanner.js';
+import { LIVE_STATUSES } from './dropState.js';
+import { recordDropEvents, SCHEDULER_AUDIT } from './auditLog.js';
+
+// Fetch every queued drop for a shop in queue (start_time) order
+export async function getQueuedDrops(shop) {
+    const { data, error } = await supabase
+        .from('drops')
+        .select('id, title, product_id, start_time, end_time, duration_minutes')
+        .eq('shop', shop)
+        .eq('status', 'queued')
+        .order('start_time', { ascending: true });
+    if (error) throw error;
+    return data || [];
+}
+
+// Returns a copy of the queue with one drop moved to a 0-based index
+export function moveDropInQueue(drops, dropId, toIndex) {
+    const fromIndex = drops.findIndex(d => d.id === dropId);
+    if (fromIndex === -1) return null;
+    const reordered = [...drops];
+    const [moved] = reordered.splice(fromIndex, 1);
+    const clampedIndex = Math.max(0, Math.min(toIndex, reordered.length));
+    reordered.splice(clampedIndex, 0, moved);
+    return { reordered, firstChangedIndex: Math.min(fromIndex, clampedIndex) };
+}
+
+// Returns a copy of the queue with two drops swapped
+export function swapDropsInQueue(drops, dropIdA, dropIdB) {
+    const indexA = drops.findIndex(d => d.id === dropIdA);
+    const indexB = drops.findIndex(d => d.id === dropIdB);
+    if (indexA === -1 || indexB === -1) return null;
+    const reordered = [...drops];
+    [reordered[indexA], reordered[indexB]] = [reordered[indexB], reordered[indexA]];
+    return { reordered, firstChangedIndex: Math.min(indexA, indexB) };
+}
+
+// Chains drops back to back from fromIndex, starting at anchorTime. With scheduling constraints
+// ({ timeZone, windows, blackoutDates }) each drop moves to the next allowed slot.
+// Returns only the drops whose start_time actually changes: [{ id, start_time }]
+export function chainStartTimes(drops, fromIndex, anchorTime, constraints = null) {
+    const updates = [];
+    let cursor = new Date(anchorTime);
+    for (let i = fromIndex; i < drops.length; i++) {
+        const drop = drops[i];
+        const currentStartTime = nextAllowedStart(cursor, drop.duration_minutes, constraints);
+        if (new Date(drop.start_time).getTime() !== currentStartTime.getTime()) {
+            updates.push({ id: drop.id, start_time: currentStartTime.toISOString() });
+        }
+        cursor = new Date(currentStartTime.getTime() + drop.duration_minutes * 60000);
+    }
+    return updates;
+}
+
+// Daily-mode re-timing: puts drops (in queue order) into slots ([{ start_time, duration_minutes }], e.g. the slots the
+// queue already occupies, or planDailySlots), one drop per slot. A drop takes its slot's duration, as daily drops are
+// created with (it is the day's length across DST switches, or the capped cadence duration).
+// Returns [{ id, start_time, duration_minutes }] for the drops whose slot changes.
+export function assignSlots(drops, slots) {
+    return drops.flatMap((drop, index) => {
+        const slot = slots[index];
+        const sameStart = new Date(drop.start_time).getTime() === new Date(slot.start_time).getTime();
+        return sameStart && drop.duration_minutes === slot.duration_minutes
+            ? []
+            : [{ id: drop.id, start_time: new Date(slot.start_time).toISOString(), duration_minutes: slot.duration_minutes }];
+    });
+}
+
+// Daily-mode counterpart of chainStartTimes: drops from fromIndex take consecutive daily slots at dropTime from
+// firstDate ('YYYY-MM-DD', shop time), skipping days the constraints don't allow.
+// Returns [{ id, start_time, duration_minutes }] for the drops whose slot changes.
+export function chainDailySlots(drops, fromIndex, firstDate, { dropTime, durationMinutes = null, constraints }) {
+    const dropsToPlace = drops.slice(fromIndex);
+    if (dropsToPlace.length === 0) return [];
+    const slots = planDailySlots({ firstDate, dropTime, count: dropsToPlace.length, durationMinutes, ...constraints });
+    return assignSlots(dropsToPlace, slots);
+}
+
+// Daily-mode counterpart of chaining the queue behind a drop that just went live: the drops keep their day slots
+// unless the first one would start before notBefore (the live drop's end). Then the queue moves by whole days, into
+// consecutive daily slots from the first one at or after notBefore. Returns the changes, as chainDailySlots.
+export function chainDailySlotsAfter(drops, notBefore, rules) {
+    if (drops.length === 0 || new Date(drops[0].start_time).getTime() >= new Date(notBefore).getTime()) return [];
+    const firstDate = nextCadenceDate({ dropTime: rules.dropTime, timeZone: rules.constraints.timeZone, now: new Date(notBefore) });
+    return chainDailySlots(drops, 0, firstDate, rules);
+}
+
+// Moves drops (in queue order) by deltaMs, keeping their spacing. No drop starts before notBefore or before the
+// previous drop ends, and with scheduling constraints each one lands in the next allowed slot.
+// Returns [{ id, start_time }] for the drops that move.
+export function shiftStartTimes(drops, deltaMs, { notBefore = null, constraints = null } = {}) {
+    const updates = [];
+    let cursor = notBefore ? new Date(notBefore).getTime() : -Infinity;
+    for (const drop of drops) {
+        const shiftedStart = Math.max(new Date(drop.start_time).getTime() + deltaMs, cursor);
+        const newStart = nextAllowedStart(shiftedStart, drop.duration_minutes, constraints);
+        if (newStart.getTime() !== new Date(drop.start_time).getTime()) {
+            updates.push({ id: drop.id, start_time: newStart.toISOString() });
+        }
+        cursor = newStart.getTime() + drop.duration_minutes * 60000;
+    }
+    return updates;
+}
+
+// What catching up on overdue drops does under each catch_up_policy. dueQueuedDrops is sorted by start_time.
+//   run_late        - activate the oldest due drop now and push the rest of the queue back by its delay
+//   skip_missed     - mark drops whose whole window has passed as missed; activate the one whose window contains now
+//                     and push the queue back by its delay
+//   jump_to_current - like skip_missed, but the current drop keeps its scheduled window and nothing moves
+// Returns { missedDrops, dropToActivate (or null), keepScheduledWindow, pushBackMs (null when nothing moves) }.
+export function planCatchUp(dueQueuedDrops, policy, nowMs) {
+    const delayOf = (drop) => nowMs - new Date(drop.start_time).getTime();
+    if (policy === 'run_late') {
+        const [oldestDrop = null] = dueQueuedDrops;
+        return { missedDrops: [], dropToActivate: oldestDrop, keepScheduledWindow: false, pushBackMs: oldestDrop ? delayOf(oldestDrop) : null };
+    }
+    const missedDrops = dueQueuedDrops.filter(d => d.end_time && new Date(d.end_time).getTime() <= nowMs);
+    const currentDrop = dueQueuedDrops.find(d => !missedDrops.includes(d)) || null;
+    const keepScheduledWindow = policy === 'jump_to_current';
+    return {
+        missedDrops,
+        dropToActivate: currentDrop,
+        keepScheduledWindow,
+        pushBackMs: currentDrop && !keepScheduledWindow ? delayOf(currentDrop) : null
+    };
+}
+
+// Persists new start times (and durations, for updates that carry duration_minutes) for queued drops; the
+// calculate_end_time trigger keeps end_time in step. Each move is audited as eventType ('reordered' for an explicit
+// reorder, otherwise 'rescheduled'). A drop that is no longer queued is left alone, so the returned count is the
+// number of drops that actually moved.
+export async function applyStartTimes(shop, updates, { audit = SCHEDULER_AUDIT, eventType = 'rescheduled' } = {}) {
+    const changesOf = ({ start_time, duration_minutes }) => (duration_minutes === undefined ? { start_time } : { start_time, duration_minutes });
+    const results = await Promise.all(updates.map(update =>
+        supabase
+            .from('drops')
+            .update(changesOf(update))
+            .eq('id', update.id)
+            .eq('shop', shop)
+            .eq('status', 'queued')
+            .select('id')
+    ));
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+    const appliedUpdates = updates.filter((update, index) => (results[index].data || []).length > 0);
+    await recordDropEvents(shop, appliedUpdates.map(update => ({ dropId: update.id, eventType, details: changesOf(update) })), audit);
+    return appliedUpdates.length;
+}
+
+// Fetch the drops that occupy the timeline (queued and live) for overlap checks
+export async function getOccupiedDrops(shop) {
+    const { data, error } = await supabase
+        .from('drops')
+        .select('id, title, status, start_time, end_time, duration_minutes')
+        .eq('shop', shop)
+        .in('status', ['queued', ...LIVE_STATUSES])
+        .order('start_time', { ascending: true });
+    if (error) throw error;
+    return data || [];
+}
+
+// Windows are half-open [start, end): a drop ending at 10:00 does not overlap one starting at 10:00
+export function windowsOverlap(startA, endA, startB, endB) {
+    return new Date(startA) < new Date(endB) && new Date(startB) < new Date(endA);
+}
+
+// Returns the occupied drops that overlap [startTime, endTime)
+export function findOverlappingDrops(occupiedDrops, startTime, endTime) {
+    return occupiedDrops.filter(drop => drop.end_time && windowsOverlap(startTime, endTime, drop.start_time, drop.end_time));
+}
+
+// How new drops are placed when they collide with the existing timeline:
+//   reject     - refuse the whole request (409) and list the conflicts
+//   push_back  - new drops keep their requested slots; every later queued drop is pushed back to make room
+//   first_gap  - existing drops stay put; each new drop (in order) takes the first free gap at or after its requested start
+export const CONFLICT_POLICIES = ['reject', 'push_back', 'first_gap'];
+export const DEFAULT_CONFLICT_POLICY = 'reject';
+
+const windowEnd = (startMs, durationMinutes) => startMs + durationMinutes * 60000;
+
+// Lists each occupied drop that a new drop would overlap, with the new windows it collides with
+export function findScheduleConflicts(occupiedDrops, newDrops) {
+    const conflictsById = {};
+    for (const newDrop of newDrops) {
+        const newStart = new Date(newDrop.start_time);
+        const newEnd = new Date(windowEnd(newStart.getTime(), newDrop.duration_minutes));
+        for (const drop of findOverlappingDrops(occupiedDrops, newStart, newEnd)) {
+            conflictsById[drop.id] ||= { id: drop.id, title: drop.title, status: drop.status, start_time: drop.start_time, end_time: drop.end_time, overlaps: [] };
+            conflictsById[drop.id].overlaps.push({ product_id: newDrop.product_id, title: newDrop.title, start_time: newStart.toISOString(), end_time: newEnd.toISOString() });
+        }
+    }
+    return Object.values(conflictsById);
+}
+
+// Pure placement step. newDrops must be in the order they should run. Moved drops only land in slots
+// allowed by the optional scheduling constraints.
+// Returns { placedDrops, shiftedDrops: [{ id, start_time }], conflicts }
+export function resolveScheduleConflicts(occupiedDrops, newDrops, policy = DEFAULT_CONFLICT_POLICY, constraints = null) {
+    const conflicts = findScheduleConflicts(occupiedDrops, newDrops);
+    if (conflicts.length === 0 || policy === 'reject') {
+        return { placedDrops: newDrops, shiftedDrops: [], conflicts };
+    }
+
+    if (policy === 'first_gap') {
+        const busyWindows = occupiedDrops
+            .filter(d => d.end_time)
+            .map(d => ({ start: new Date(d.start_time).getTime(), end: new Date(d.end_time).getTime() }));
+        let previousEnd = -Infinity;
+        const placedDrops = newDrops.map(newDrop => {
+            // Never place a drop before the previous new drop, so bulk schedules keep their order
+            const allowedStart = (ms) => nextAllowedStart(ms, newDrop.duration_minutes, constraints).getTime();
+            let candidateStart = allowedStart(Math.max(new Date(newDrop.start_time).getTime(), previousEnd));
+            let blocking;
+            while ((blocking = busyWindows.filter(w => candidateStart < w.end && w.start < windowEnd(candidateStart, newDrop.duration_minutes))).length > 0) {
+                candidateStart = allowedStart(Math.max(...blocking.map(w => w.end)));
+            }
+            previousEnd = windowEnd(candidateStart, newDrop.duration_minutes);
+            busyWindows.push({ start: candidateStart, end: previousEnd });
+            return { ...newDrop, start_time: new Date(candidateStart).toISOString() };
+        });
+        return { placedDrops, shiftedDrops: [], conflicts };
+    }
+
+    // push_back: the new drops go in as one contiguous block at the first requested start. Sweep the timeline in order
+    // (the active drop, queued drops starting before the block, the block, then everything at or after it); the active
+    // drop is fixed and anything that would start before the previous item ends is moved to that end.
+    const blockStart = Math.min(...newDrops.map(d => new Date(d.start_time).getTime()));
+    const byStart = (a, b) => new Date(a.drop.start_time) - new Date(b.drop.start_time);
+    const existingItems = occupiedDrops.map(drop => ({ drop, isNew: false })).sort(byStart);
+    const isLive = item => LIVE_STATUSES.includes(item.drop.status);
+    const queuedItems = existingItems.filter(item => !isLive(item));
+    const timeline = [
+        ...existingItems.filter(isLive),
+        ...queuedItems.filter(item => new Date(item.drop.start_time).getTime() < blockStart),
+        ...newDrops.map((drop, index) => ({ drop, isNew: true, index })),
+        ...queuedItems.filter(item => new Date(item.drop.start_time).getTime() >= blockStart)
+    ];
+
+    const placedDrops = [...newDrops];
+    const shiftedDrops = [];
+    let cursor = -Infinity;
+    for (const item of timeline) {
+        const requestedStart = new Date(item.drop.start_time).getTime();
+        if (!item.isNew && isLive(item)) {
+            cursor = Math.max(cursor, new Date(item.drop.end_time).getTime());
+            continue;
+        }
+        const start = requestedStart >= cursor ? requestedStart : nextAllowedStart(cursor, item.drop.duration_minutes, constraints).getTime();
+        cursor = windowEnd(start, item.drop.duration_minutes);
+        if (item.isNew) {
+            placedDrops[item.index] = { ...item.drop, start_time: new Date(start).toISOString() };
+        } else if (start !== requestedStart) {
+            shiftedDrops.push({ id: item.drop.id, start_time: new Date(start).toISOString() });
+        }
+    }
+    return { placedDrops, shiftedDrops, conflicts };
+}
+
+// Fetches the shop's timeline and resolves where new drops go. rejected is true when policy is reject and anything overlaps.
+export async function planDropPlacement(shop, newDrops, policy = DEFAULT_CONFLICT_POLICY, constraints = null) {
+    const occupiedDrops = await getOccupiedDrops(shop);
+    const placement = resolveScheduleConflicts(occupiedDrops, newDrops, policy, constraints);
+    return { ...placement, occupiedDrops, rejected: policy === 'reject' && placement.conflicts.length > 0 };
+}
+
+// Fingerprint of a placement: which drops would be created where, and which existing drops would move where. A
+// preview returns it as plan_hash so the confirmed request can check it is about to write the same thing. startsNow
+// (a plan laid out from the current time) hashes start times relative to the first new drop, so only the clock
+// moving on between preview and confirm doesn't count as a change.
+export function placementHash({ placedDrops, shiftedDrops }, { startsNow = false } = {}) {
+    const originMs = startsNow && placedDrops.length > 0 ? new Date(placedDrops[0].start_time).getTime() : 0;
+    const time = (value) => new Date(value).getTime() - originMs;
+    return createHash('sha256').update(JSON.stringify({
+        placed: placedDrops.map(d => [d.product_id, time(d.start_time), d.duration_minutes]),
+        shifted: shiftedDrops.map(d => [d.id, time(d.start_time)])
+    })).digest('hex');
+}
+
+// Shared by every drop-creation path (the routes, bulk jobs and queue rotation): resolves overlaps with the existing
+// timeline using the caller's conflict_policy, inserts, then pushes existing drops back (into allowed slots) if
+// needed. Returns { conflicts } when rejected. Bulk jobs pass onBatchInserted(insertedCount) and isCancelled to
+// insert in INSERT_BATCH_SIZE batches with progress; a cancel stops between batches and keeps what was inserted
+// ({ cancelled: true }). With expectedPlan ({ hash, startsNow }: a confirmed preview's plan_hash) nothing is written
+// if the placement no longer matches it ({ planChanged: true }).
+// Existing drops are only moved once the new ones are in, and only as far as the drops actually inserted need: a
+// cancelled job or a failed batch never leaves the queue pushed back around a gap.
+const INSERT_BATCH_SIZE = 50;
+
+export async function insertDropsWithConflictPolicy(shop, dropsToInsert, conflictPolicy, logPrefix, constraints = null, audit = SCHEDULER_AUDIT, { onBatchInserted = null, isCancelled = () => false, expectedPlan = null } = {}) {
+    const placement = await planDropPlacement(shop, dropsToInsert, conflictPolicy, constraints);
+    if (placement.rejected) {
+        console.log(`${logPrefix} Rejected: new drops overlap ${placement.conflicts.length} existing drop(s).`);
+        return { rejected: true, conflicts: placement.conflicts };
+    }
+    if (expectedPlan && placementHash(placement, { startsNow: expectedPlan.startsNow }) !== expectedPlan.hash) {
+        console.log(`${logPrefix} Rejected: the plan changed since it was previewed.`);
+        return { rejected: true, planChanged: true, conflicts: placement.conflicts };
+    }
+    const batchSize = onBatchInserted ? INSERT_BATCH_SIZE : placement.placedDrops.length;
+    const insertedDrops = [];
+    let cancelled = false;
+    let insertError = null;
+    for (let index = 0; index < placement.placedDrops.length; index += batchSize) {
+        if (isCancelled()) {
+            cancelled = true;
+            console.log(`${logPrefix} Cancelled after inserting ${insertedDrops.length} of ${placement.placedDrops.length} drop(s).`);
+            break;
+        }
+        const { data: batch, error } = await supabase
+            .from('drops')
+            .insert(placement.placedDrops.slice(index, index + batchSize))
+            .select();
+        if (error) {
+            insertError = error;
+            break;
+        }
+        insertedDrops.push(...(batch || []));
+        await recordDropEvents(shop, (batch || []).map(drop => ({
+            dropId: drop.id,
+            eventType: 'created',
+            details: { title: drop.title, start_time: drop.start_time, duration_minutes: drop.duration_minutes, conflict_policy: conflictPolicy }
+        })), audit);
+        if (onBatchInserted) onBatchInserted(insertedDrops.length);
+    }
+
+    // A partial insert is a prefix of the placed block, so re-running the placement for that prefix gives the shifts it needs
+    const isPartial = insertedDrops.length < placement.placedDrops.length;
+    const shiftedDrops = !isPartial
+        ? placement.shiftedDrops
+        : insertedDrops.length > 0 && placement.shiftedDrops.length > 0
+            ? resolveScheduleConflicts(placement.occupiedDrops, placement.placedDrops.slice(0, insertedDrops.length), conflictPolicy, constraints).shiftedDrops
+            : [];
+    let shiftedCount = 0;
+    if (shiftedDrops.length > 0) {
+        shiftedCount = await applyStartTimes(shop, shiftedDrops, { audit });
+        console.log(`${logPrefix} Pushed back ${shiftedCount} existing drop(s) (policy: ${conflictPolicy}).`);
+    }
+    if (insertError) throw insertError;
+    return { rejected: false, cancelled, insertedDrops, shiftedCount, conflicts: placement.conflicts };
+}
+
+// Body for the 409 returned when a confirmed preview no longer matches what would be written
+export function planChangedErrorBody(conflictPolicy) {
+    return {
+        error: 'The schedule changed since it was previewed (products, the queue or settings were updated). Nothing was scheduled; review the new plan.',
+        plan_changed: true,
+        conflict_policy: conflictPolicy
+    };
+}
+
+// Body for the 409 returned by every drop-creation path
+export function conflictErrorBody(conflicts) {
+    return {
+        error: `The requested schedule overlaps ${conflicts.length} existing drop(s).`,
+        conflicts,
+        allowed_policies: CONFLICT_POLICIES
+    };
+}
@@ -0,0 +1,63 @@
+import { loadShopSession } from './apiMiddlewares.js';
+import { getShopSettings, getScheduleConstraints, ROTATION_MODES } from './settingsManager.js';
+import { getQueuedDrops, insertDropsWithConflictPolicy } from './queueManager.js';
+import { getPauseState } from './pauseManager.js';
+import { buildAppendPlan, buildReplayPlan } from './scheduleBuilder.js';
+
+// Queue rotation (app_settings.rotation_mode): when the last queued drop finishes or is skipped, the scheduler starts a
+// new round instead of leaving the storefront idle. 'collection' re-appends queued_collection_id like the append action
+// does, 'replay' schedules the completed products again in the order they last ran; both use the shop's default
+// duration and schedule windows. The product that just ended is left out of the round so it never runs twice in a row
+// (a one-product rotation therefore stops after that product). Nothing rotates in while the queue is paused.
+export const ROTATION_AUDIT = { source: 'scheduler:rotation', actor: 'system' };
+const ROTATION_CONFLICT_POLICY = 'first_gap'; // Never moves drops an operator added while the round was planned
+
+// Refills the shop's queue after finishedDrop if rotation is on, the queue isn't paused and nothing is queued. Returns
+// the inserted drops.
+export async function rotateQueueIfDry(shop, finishedDrop) {
+    try {
+        const settings = await getShopSettings(shop);
+        const mode = ROTATION_MODES.includes(settings.rotation_mode) ? settings.rotation_mode : 'off';
+        if (mode === 'off') return [];
+        if ((await getPauseState(shop)).paused) {
+            console.log(`[Rotation] Queue for shop ${shop} is paused. Rotation (${mode}) skipped.`);
+            return [];
+        }
+        if ((await getQueuedDrops(shop)).length > 0) return [];
+
+        const session = await loadShopSession(shop);
+        if (!session) {
+            console.warn(`[Rotation] No valid session for shop ${shop}. Queue rotation (${mode}) skipped.`);
+            return [];
+        }
+        const constraints = await getScheduleConstraints(shop, session);
+        const excludeProductIds = finishedDrop?.product_id ? [finishedDrop.product_id] : [];
+
+        let plan;
+        if (mode === 'collection') {
+            const collectionIdMatch = settings.queued_collection_id?.match(/\d+$/);
+            if (!collectionIdMatch) {
+                console.warn(`[Rotation] Shop ${shop} rotates its collection but has no queued_collection_id. Queue left empty.`);
+                return [];
+            }
+            plan = await buildAppendPlan(shop, session, collectionIdMatch[0], { settings, constraints, excludeProductIds });
+        } else {
+            plan = await buildReplayPlan(shop, { settings, constraints, excludeProductIds });
+        }
+        if (plan.error) {
+            console.error(`[Rotation] Could not plan the next round for shop ${shop}: ${plan.error}`);
+            return [];
+        }
+        if (plan.drops.length === 0) {
+            console.log(`[Rotation] Nothing to rotate in for shop ${shop} (${mode}): ${plan.message}`);
+            return [];
+        }
+
+        const result = await insertDropsWithConflictPolicy(shop, plan.drops, ROTATION_CONFLICT_POLICY, '[Rotation]', constraints, ROTATION_AUDIT);
+        console.log(`[Rotation] Queue ran dry for shop ${shop}. Scheduled ${result.insertedDrops.length} drop(s) from ${mode} rotation (${plan.skipped.length} skipped).`);
+        return result.insertedDrops;
+    } catch (error) {
+        console.error(`[Rotation] Error rotating the queue for shop ${shop}:`, error.message);
+        return [];
+    }
+}
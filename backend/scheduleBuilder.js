@@ -0,0 +1,217 @@
+import { supabase } from './supabaseClient.js';
+import { getQueuedDrops, getOccupiedDrops, planDropPlacement, placementHash } from './queueManager.js';
+import { planBackToBackSlots, planDailySlots, nextCadenceDate } from './schedulePlanner.js';
+import { fetchCollectionProducts } from './productCatalog.js';
+
+// Builds the drops that schedule-all and append would create without writing anything. The routes use the same
+// builders for the preview (dry-run) response and for the real insert. The confirmed request is planned again, so it
+// sends the preview's plan_hash back and is rejected if the new plan differs from what was shown.
+// A plan is { drops, skipped: [{ product_id, title, reason }], message, starts_now } or { status, error }; starts_now
+// marks an append laid out from the current time (nothing scheduled ahead), whose start moves with the clock. Skip reasons:
+//   inactive       - the product is not active in Shopify
+//   already_queued - the product already has a queued drop
+//   status_unknown - Shopify returned no status for the product
+//   just_finished  - queue rotation: the product's drop just ended, so it sits this round out
+// Bulk jobs pass onProgress({ stage, fetched, checked, skipped }) to follow a long collection: 'fetching' after each
+// page of products, then 'checking' once statuses and the queue have been checked.
+
+const REPLAY_HISTORY_LIMIT = 250;
+
+const endTimeFor = (startTime, durationMinutes) => new Date(new Date(startTime).getTime() + durationMinutes * 60000).toISOString();
+
+function toQueuedDrop(shop, product, slot) {
+    return {
+        product_id: product.id,
+        title: product.title,
+        thumbnail_url: product.thumbnail_url,
+        product_handle: product.handle || null,
+        start_time: slot.start_time,
+        duration_minutes: slot.duration_minutes,
+        shop,
+        status: 'queued'
+    };
+}
+
+// Drops products that already have a queued drop, recording them as skipped
+async function excludeAlreadyQueued(shop, products, skipped) {
+    const existingQueuedProductIds = new Set((await getQueuedDrops(shop)).map(d => d.product_id));
+    return products.filter(product => {
+        if (!existingQueuedProductIds.has(product.id)) return true;
+        skipped.push({ product_id: product.id, title: product.title, reason: 'already_queued' });
+        return false;
+    });
+}
+
+// Drops the given products (the rotation guard), recording them as skipped
+function excludeProducts(products, excludeProductIds, reason, skipped) {
+    const excluded = new Set(excludeProductIds);
+    return products.filter(product => {
+        if (!excluded.has(product.id)) return true;
+        skipped.push({ product_id: product.id, title: product.title, reason });
+        return false;
+    });
+}
+
+// Slots for drops added after whatever ends last (never in the past). Daily mode continues the cadence from the day
+// after the last scheduled drop. Returns { slots, startsNow }.
+async function planAppendSlots(shop, count, settings, constraints) {
+    const { timeZone } = constraints;
+    const occupiedDrops = await getOccupiedDrops(shop);
+    const latestEndTime = Math.max(0, ...occupiedDrops.filter(d => d.end_time).map(d => new Date(d.end_time).getTime()));
+    const lastOccupiedDrop = occupiedDrops[occupiedDrops.length - 1];
+    const dropTime = settings.drop_time || '10:00';
+    if (settings.schedule_mode === 'daily') {
+        const slots = planDailySlots({
+            firstDate: nextCadenceDate({ lastStartTime: lastOccupiedDrop?.start_time, dropTime, timeZone }),
+            dropTime,
+            count,
+            durationMinutes: settings.cadence_duration_minutes,
+            ...constraints
+        });
+        return { slots, startsNow: false };
+    }
+    const nowMs = Date.now();
+    const slots = planBackToBackSlots({
+        startTime: new Date(Math.max(latestEndTime, nowMs)),
+        count,
+        durationMinutes: settings.default_drop_duration_minutes || 60,
+        ...constraints
+    });
+    return { slots, startsNow: latestEndTime < nowMs };
+}
+
+// Keeps the active products, recording the rest as skipped
+function keepActiveProducts(products, skipped) {
+    return products.filter(product => {
+        if (product.status === 'active') return true;
+        skipped.push({ product_id: product.id, title: product.title, reason: product.status ? 'inactive' : 'status_unknown' });
+        return false;
+    });
+}
+
+// schedule-all: every active product in the collection, laid out from the requested first slot
+export async function buildScheduleAllPlan(shop, session, collectionId, { scheduleMode, startTime, firstDate, dropTime, durationMinutes, constraints, onProgress = () => {} }) {
+    const { products, collectionFound } = await fetchCollectionProducts(session, collectionId, { onPage: fetched => onProgress({ stage: 'fetching', fetched }) });
+    if (!products) {
+        if (!collectionFound) {
+            return { status: 404, error: `Collection with ID ${collectionId} not found or access denied.` };
+        }
+        return { status: 502, error: 'Failed to parse products from Shopify GraphQL response.' };
+    }
+    if (products.length === 0) {
+        return { drops: [], skipped: [], message: 'No products found in the specified collection to schedule.' };
+    }
+
+    const skipped = [];
+    const activeProducts = keepActiveProducts(products, skipped);
+    if (activeProducts.length === 0) {
+        return { drops: [], skipped, message: 'No ACTIVE products found in the specified collection to schedule.' };
+    }
+
+    const productsToSchedule = await excludeAlreadyQueued(shop, activeProducts, skipped);
+    onProgress({ stage: 'checking', checked: products.length, skipped });
+    if (productsToSchedule.length === 0) {
+        return { drops: [], skipped, message: 'All active products in the collection are already scheduled.' };
+    }
+
+    const slots = scheduleMode === 'daily'
+        ? planDailySlots({ firstDate, dropTime, count: productsToSchedule.length, durationMinutes, ...constraints })
+        : planBackToBackSlots({ startTime, count: productsToSchedule.length, durationMinutes, ...constraints });
+    return { drops: productsToSchedule.map((product, index) => toQueuedDrop(shop, product, slots[index])), skipped, message: null };
+}
+
+// append: active products from the collection that aren't queued yet, laid out by planAppendSlots.
+// excludeProductIds is the queue rotation's guard against re-dropping the product that just finished.
+export async function buildAppendPlan(shop, session, numericCollectionId, { settings, constraints, excludeProductIds = [], onProgress = () => {} }) {
+    const { products } = await fetchCollectionProducts(session, numericCollectionId, { onPage: fetched => onProgress({ stage: 'fetching', fetched }) });
+    if (!products) {
+        return { status: 502, error: 'Error fetching products from Shopify for append (Invalid Response).' };
+    }
+
+    const skipped = [];
+    const activeProducts = keepActiveProducts(products, skipped);
+    const eligibleProducts = excludeProducts(activeProducts, excludeProductIds, 'just_finished', skipped);
+    const productsToAppend = await excludeAlreadyQueued(shop, eligibleProducts, skipped);
+    onProgress({ stage: 'checking', checked: products.length, skipped });
+    if (productsToAppend.length === 0) {
+        return { drops: [], skipped, message: 'All products in the collection are already scheduled.' };
+    }
+
+    const { slots, startsNow } = await planAppendSlots(shop, productsToAppend.length, settings, constraints);
+    return { drops: productsToAppend.map((product, index) => toQueuedDrop(shop, product, slots[index])), skipped, message: null, starts_now: startsNow };
+}
+
+// Queue rotation's replay: the shop's completed products again, in the order they last ran (each product once),
+// laid out by planAppendSlots with the shop's default duration rather than each drop's original one.
+export async function buildReplayPlan(shop, { settings, constraints, excludeProductIds = [] }) {
+    const { data, error } = await supabase
+        .from('drops')
+        .select('product_id, product_handle, title, thumbnail_url, completed_at')
+        .eq('shop', shop)
+        .eq('status', 'completed')
+        .is('deleted_at', null)
+        .order('completed_at', { ascending: false })
+        .limit(REPLAY_HISTORY_LIMIT);
+    if (error) throw error;
+
+    const lastRunByProduct = new Map();
+    for (const drop of data || []) {
+        if (drop.product_id && !lastRunByProduct.has(drop.product_id)) {
+            lastRunByProduct.set(drop.product_id, { id: drop.product_id, title: drop.title, handle: drop.product_handle, thumbnail_url: drop.thumbnail_url });
+        }
+    }
+    if (lastRunByProduct.size === 0) {
+        return { drops: [], skipped: [], message: 'No completed drops to replay.' };
+    }
+
+    const skipped = [];
+    const eligibleProducts = excludeProducts([...lastRunByProduct.values()].reverse(), excludeProductIds, 'just_finished', skipped);
+    const productsToReplay = await excludeAlreadyQueued(shop, eligibleProducts, skipped);
+    if (productsToReplay.length === 0) {
+        return { drops: [], skipped, message: 'Every completed product is already scheduled or just finished.' };
+    }
+
+    const { slots, startsNow } = await planAppendSlots(shop, productsToReplay.length, settings, constraints);
+    return { drops: productsToReplay.map((product, index) => toQueuedDrop(shop, product, slots[index])), skipped, message: null, starts_now: startsNow };
+}
+
+// Dry run of the conflict-policy placement: where each new drop would land, which existing drops would be pushed
+// back, what it would conflict with, and where the whole queue would end. plan_hash identifies the placement (see
+// placementHash) for the confirmed request.
+export async function previewPlan(shop, plan, conflictPolicy, constraints) {
+    const placement = await planDropPlacement(shop, plan.drops, conflictPolicy, constraints);
+    const shiftedStartById = new Map(placement.shiftedDrops.map(d => [d.id, d.start_time]));
+
+    const planned = placement.placedDrops.map(d => ({
+        product_id: d.product_id,
+        title: d.title,
+        thumbnail_url: d.thumbnail_url,
+        start_time: d.start_time,
+        end_time: endTimeFor(d.start_time, d.duration_minutes),
+        duration_minutes: d.duration_minutes
+    }));
+    const shifted = placement.occupiedDrops
+        .filter(d => shiftedStartById.has(d.id))
+        .map(d => ({
+            id: d.id,
+            title: d.title,
+            previous_start_time: d.start_time,
+            start_time: shiftedStartById.get(d.id),
+            end_time: endTimeFor(shiftedStartById.get(d.id), d.duration_minutes)
+        }));
+
+    const endTimes = [
+        ...planned.map(d => d.end_time),
+        ...placement.occupiedDrops.map(d => (shiftedStartById.has(d.id) ? endTimeFor(shiftedStartById.get(d.id), d.duration_minutes) : d.end_time))
+    ].filter(Boolean).map(t => new Date(t).getTime());
+
+    return {
+        rejected: placement.rejected,
+        planned,
+        skipped: plan.skipped,
+        shifted,
+        conflicts: placement.conflicts,
+        queue_end_time: endTimes.length > 0 ? new Date(Math.max(...endTimes)).toISOString() : null,
+        plan_hash: placementHash(placement, { startsNow: plan.starts_now })
+    };
+}
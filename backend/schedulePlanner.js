@@ -0,0 +1,113 @@
+import { addWallClockMinutes, addDaysToDateString, formatZonedDate, getZonedParts, zonedDateTimeToUtc } from './timeUtils.js';
+
+// Scheduling constraints: { timeZone, windows, blackoutDates }
+//   windows       - [{ weekday (0 = Sunday), start: 'HH:MM', end: 'HH:MM' | '24:00' }] in shop time.
+//                   Empty means drops may run around the clock; otherwise weekdays without a window are closed.
+//   blackoutDates - ['YYYY-MM-DD'] shop-local dates on which no drop may start
+const MAX_SEARCH_DAYS = 366;
+
+function windowBoundaryToUtc(dateString, time, timeZone) {
+    return time === '24:00'
+        ? zonedDateTimeToUtc(addDaysToDateString(dateString, 1), '00:00', timeZone)
+        : zonedDateTimeToUtc(dateString, time, timeZone);
+}
+
+// Allowed windows on one shop-local date, as UTC [start, end) pairs in ms
+function getWindowsForDate(dateString, { timeZone, windows = [], blackoutDates = [] }) {
+    if (blackoutDates.includes(dateString)) return [];
+    if (windows.length === 0) {
+        return [{ start: windowBoundaryToUtc(dateString, '00:00', timeZone).getTime(), end: windowBoundaryToUtc(dateString, '24:00', timeZone).getTime() }];
+    }
+    const weekday = getZonedParts(zonedDateTimeToUtc(dateString, '12:00', timeZone), timeZone).weekday;
+    return windows
+        .filter(w => w.weekday === weekday)
+        .map(w => ({ start: windowBoundaryToUtc(dateString, w.start, timeZone).getTime(), end: windowBoundaryToUtc(dateString, w.end, timeZone).getTime() }))
+        .sort((a, b) => a.start - b.start);
+}
+
+export function hasScheduleRules(constraints) {
+    return Boolean(constraints && ((constraints.windows?.length || 0) > 0 || (constraints.blackoutDates?.length || 0) > 0));
+}
+
+// Earliest start at or after `earliest` where a drop of durationMinutes fits inside an allowed window.
+// A drop longer than its window may only start when the window opens (it can never fit entirely).
+export function nextAllowedStart(earliest, durationMinutes, constraints) {
+    const earliestMs = new Date(earliest).getTime();
+    if (!hasScheduleRules(constraints)) return new Date(earliestMs);
+    const durationMs = durationMinutes * 60000;
+    let dateString = formatZonedDate(earliestMs, constraints.timeZone);
+    for (let i = 0; i <= MAX_SEARCH_DAYS; i++, dateString = addDaysToDateString(dateString, 1)) {
+        for (const window of getWindowsForDate(dateString, constraints)) {
+            const start = Math.max(earliestMs, window.start);
+            if (start >= window.end) continue;
+            if (start + durationMs <= window.end) return new Date(start);
+            if (durationMs > window.end - window.start && start === window.start) return new Date(start);
+        }
+    }
+    throw new Error('No allowed drop slot found within a year. Check the schedule windows and blackout dates.');
+}
+
+// Lays out `count` back-to-back slots starting at startTime. Slots are stepped on the shop's wall clock,
+// so a queue of 24h drops keeps starting at the same local time after a DST switch. The stored
+// duration_minutes is the real elapsed time of each slot (e.g. 1380 or 1500 on switch days) so end_time
+// still lines up with the next slot's start. Slots outside the schedule windows or on blackout dates are skipped.
+// Returns [{ start_time, duration_minutes }]
+export function planBackToBackSlots({ startTime, count, durationMinutes, timeZone, windows = [], blackoutDates = [] }) {
+    const constraints = { timeZone, windows, blackoutDates };
+    const slots = [];
+    let cursor = new Date(startTime);
+    for (let i = 0; i < count; i++) {
+        const slotStart = nextAllowedStart(cursor, durationMinutes, constraints);
+        const slotEnd = addWallClockMinutes(slotStart, durationMinutes, timeZone);
+        slots.push({
+            start_time: slotStart.toISOString(),
+            duration_minutes: Math.round((slotEnd.getTime() - slotStart.getTime()) / 60000)
+        });
+        cursor = slotEnd;
+    }
+    return slots;
+}
+
+// Daily cadence: one slot per calendar day at dropTime ('HH:MM') in the shop's timezone, starting on firstDate.
+// Without durationMinutes each drop runs until the next day's slot (23h/25h across DST switches); an explicit
+// duration is capped there so consecutive days never overlap. Blackout dates and days whose windows don't
+// include dropTime are skipped.
+// Returns [{ start_time, duration_minutes }]
+export function planDailySlots({ firstDate, dropTime, count, durationMinutes = null, timeZone, windows = [], blackoutDates = [] }) {
+    const constraints = { timeZone, windows, blackoutDates };
+    const slots = [];
+    let dateString = firstDate;
+    for (let skippedDays = 0; slots.length < count; dateString = addDaysToDateString(dateString, 1)) {
+        const slotStart = zonedDateTimeToUtc(dateString, dropTime, timeZone);
+        const isAllowed = getWindowsForDate(dateString, constraints)
+            .some(w => slotStart.getTime() >= w.start && slotStart.getTime() < w.end);
+        if (!isAllowed) {
+            if (++skippedDays > MAX_SEARCH_DAYS) {
+                throw new Error('No allowed daily drop slot found within a year. Check the schedule windows and blackout dates.');
+            }
+            continue;
+        }
+        skippedDays = 0;
+        const nextSlotStart = zonedDateTimeToUtc(addDaysToDateString(dateString, 1), dropTime, timeZone);
+        const minutesUntilNextSlot = Math.round((nextSlotStart.getTime() - slotStart.getTime()) / 60000);
+        slots.push({
+            start_time: slotStart.toISOString(),
+            duration_minutes: durationMinutes ? Math.min(durationMinutes, minutesUntilNextSlot) : minutesUntilNextSlot
+        });
+    }
+    return slots;
+}
+
+// First day to use when continuing the daily cadence: the day after the last occupied drop, or the next
+// slot that hasn't started yet when the queue is empty or already behind.
+export function nextCadenceDate({ lastStartTime, dropTime, timeZone, now = new Date() }) {
+    let candidateDate = formatZonedDate(now, timeZone);
+    if (lastStartTime) {
+        const dayAfterLast = addDaysToDateString(formatZonedDate(lastStartTime, timeZone), 1);
+        if (dayAfterLast > candidateDate) candidateDate = dayAfterLast;
+    }
+    if (zonedDateTimeToUtc(candidateDate, dropTime, timeZone).getTime() < now.getTime()) {
+        candidateDate = addDaysToDateString(candidateDate, 1);
+    }
+    return candidateDate;
+}
@@ -0,0 +1,55 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { supabase } from './supabaseClient.js';
+
+// Coordinates the scheduler across backend instances that share one database (see migrations/create_scheduler_leases.sql).
+// Each instance claims a shop's lease before driving that shop in a tick and releases it when done, so the shop's next
+// transition is driven by whichever instance's timer fires first (e.g. the one a new drop was created through). Others
+// skip a shop while its lease is held and retry once it can expire, which is how a crashed holder fails over. To try
+// it locally, point two instances at the same database with different PORTs (and optionally SCHEDULER_INSTANCE_ID)
+// and watch the "[SchedulerLease]" logs. tests/schedulerLease.test.js runs two instances' scheduler loops against one
+// shop (npm test); scripts/checkSchedulerLease.js runs two real instances against a local database, including a
+// crashed holder's failover (npm run check:scheduler-lease).
+export const INSTANCE_ID = process.env.SCHEDULER_INSTANCE_ID || `${os.hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+export const LEASE_TTL_MS = 2 * 60 * 1000; // Comfortably longer than one shop's tick (a few Shopify calls)
+
+// Returns { acquired, holder, expiresAt }. Fails closed: if the lease can't be checked, the shop is not driven.
+export async function acquireShopLease(shop) {
+    const { data, error } = await supabase.rpc('acquire_scheduler_lease', {
+        p_shop: shop,
+        p_holder: INSTANCE_ID,
+        p_ttl_seconds: Math.round(LEASE_TTL_MS / 1000)
+    });
+    if (error) {
+        console.error(`[SchedulerLease] Failed to acquire lease for shop ${shop}:`, error.message);
+        return { acquired: false, holder: null, expiresAt: null };
+    }
+    const lease = Array.isArray(data) ? data[0] : data;
+    return { acquired: lease?.lease_holder === INSTANCE_ID, holder: lease?.lease_holder || null, expiresAt: lease?.lease_expires_at || null };
+}
+
+// Gives up this instance's lease on one shop once its tick has driven the shop. A lease another instance took over
+// in the meantime is left alone.
+export async function releaseShopLease(shop) {
+    const { error } = await supabase
+        .from('scheduler_leases')
+        .delete()
+        .eq('shop', shop)
+        .eq('holder', INSTANCE_ID);
+    if (error) console.error(`[SchedulerLease] Failed to release lease for shop ${shop}:`, error.message);
+}
+
+// Gives up every lease this instance holds (on shutdown) so another instance can take over without waiting for expiry
+export async function releaseShopLeases() {
+    const { data, error } = await supabase
+        .from('scheduler_leases')
+        .delete()
+        .eq('holder', INSTANCE_ID)
+        .select('shop');
+    if (error) {
+        console.error('[SchedulerLease] Failed to release leases:', error.message);
+        return 0;
+    }
+    console.log(`[SchedulerLease] Instance ${INSTANCE_ID} released ${data?.length || 0} lease(s).`);
+    return data?.length || 0;
+}
@@ -0,0 +1,155 @@
+// Runs two real scheduler instances (statusMonitor.js in two child processes, each with its own SCHEDULER_INSTANCE_ID)
+// against the database in backend/.env and checks the lease end to end:
+//   1. both instances tick on a due drop at once; exactly one activates it and the lease is released afterwards;
+//   2. instance A takes the lease and is killed mid-tick; instance B leaves the shop alone until A's lease expires,
+//      then completes the ended drop and activates the next one.
+// Needs a scratch local Supabase stack with migrations/create_scheduler_leases.sql (and the drops migrations) applied:
+// the workers' ticks drive every shop in that database, not just the scratch shop this script creates, so the script
+// refuses non-local URLs. Takes about two and a half minutes (one LEASE_TTL_MS). Run with `npm run check:scheduler-lease`.
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const WORKER_FLAG = '--worker';
+const POLL_MS = 500;
+
+if (process.argv.includes(WORKER_FLAG)) {
+    await runWorker();
+} else {
+    await runCheck();
+}
+
+// A scheduler instance driven over IPC: 'check' asks for a tick, 'hold' claims a shop's lease without driving it
+async function runWorker() {
+    const { requestScheduleCheck } = await import('../statusMonitor.js');
+    const { acquireShopLease, INSTANCE_ID } = await import('../schedulerLease.js');
+    process.on('message', async (message) => {
+        if (message.type === 'check') requestScheduleCheck('lease_check');
+        if (message.type === 'hold') process.send({ type: 'held', ...await acquireShopLease(message.shop) });
+    });
+    process.on('disconnect', () => process.exit(0));
+    process.send({ type: 'ready', instance: INSTANCE_ID });
+}
+
+async function runCheck() {
+    const { supabase } = await import('../supabaseClient.js');
+    const { LEASE_TTL_MS } = await import('../schedulerLease.js');
+    const { hostname } = new URL(process.env.SUPABASE_PROJECT_URL);
+    if (!['localhost', '127.0.0.1', '::1'].includes(hostname)) {
+        console.error(`[LeaseCheck] Refusing to run against ${hostname}: the scheduler ticks drive every shop in the database. Point backend/.env at a scratch local Supabase stack.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const shop = `lease-check-${Date.now()}.myshopify.com`;
+    const workers = [];
+    try {
+        const probe = await supabase.rpc('acquire_scheduler_lease', { p_shop: shop, p_holder: 'lease-check-probe', p_ttl_seconds: 1 });
+        if (probe.error) throw new Error(`acquire_scheduler_lease is not callable (${probe.error.message}). Apply migrations/create_scheduler_leases.sql first.`);
+        await supabase.from('scheduler_leases').delete().eq('shop', shop);
+
+        const [workerA, workerB] = await Promise.all([startWorker('lease-check-a', workers), startWorker('lease-check-b', workers)]);
+        const activationsOf = (dropId) => workers.filter(w => w.log.some(line => line.includes(`Successfully activated drop ${dropId}`)));
+
+        console.log(`[LeaseCheck] Phase 1: both instances tick on one due drop for ${shop}.`);
+        const firstDrop = await insertDrop(supabase, shop, 'lease-check-1', new Date(Date.now() - 5000));
+        workers.forEach(w => w.child.send({ type: 'check' }));
+        await waitFor(async () => (await dropStatus(supabase, firstDrop.id)) === 'active', 15000, 'the first drop to go live');
+        await sleep(3000); // Give the losing instance time to finish its tick
+        const firstActivators = activationsOf(firstDrop.id);
+        assert(firstActivators.length === 1, `exactly one instance activated the first drop (got ${firstActivators.map(w => w.id).join(', ') || 'none'})`);
+        const { data: leftoverLeases } = await supabase.from('scheduler_leases').select('holder').eq('shop', shop);
+        assert(leftoverLeases.length === 0, 'the driving instance released the lease after its tick');
+
+        console.log('[LeaseCheck] Phase 2: instance A claims the lease and crashes before releasing it.');
+        workerA.child.send({ type: 'hold', shop });
+        const held = await nextMessage(workerA.child, 'held');
+        assert(held.acquired, 'instance A took the lease');
+        workerA.child.kill('SIGKILL');
+        const expiresAtMs = new Date(held.expiresAt).getTime();
+        const secondDrop = await insertDrop(supabase, shop, 'lease-check-2', new Date());
+        workerB.child.send({ type: 'check' });
+
+        await waitFor(async () => Date.now() >= expiresAtMs - 2000, LEASE_TTL_MS + 5000, 'A\'s lease to approach expiry', async () => {
+            if ((await dropStatus(supabase, secondDrop.id)) !== 'queued') throw new Error('instance B drove the shop while A\'s lease was valid');
+        });
+        console.log('[LeaseCheck] ok - instance B left the shop alone while A\'s lease was valid');
+        await waitFor(async () => (await dropStatus(supabase, secondDrop.id)) === 'active', 30000, 'instance B to take over once the lease expired');
+        assert((await dropStatus(supabase, firstDrop.id)) === 'completed', 'instance B completed the ended drop');
+        assert(activationsOf(secondDrop.id).map(w => w.id).join() === workerB.id, 'instance B activated the next drop');
+        console.log('[LeaseCheck] All checks passed.');
+    } catch (error) {
+        console.error('[LeaseCheck] FAILED:', error.message);
+        workers.forEach(w => console.error(`[LeaseCheck] --- ${w.id} log ---\n${w.log.join('\n')}`));
+        process.exitCode = 1;
+    } finally {
+        workers.forEach(w => w.child.connected && w.child.kill());
+        await supabase.from('drop_events').delete().eq('shop', shop);
+        await supabase.from('drops').delete().eq('shop', shop);
+        await supabase.from('scheduler_leases').delete().eq('shop', shop);
+    }
+}
+
+async function startWorker(id, workers) {
+    const child = fork(fileURLToPath(import.meta.url), [WORKER_FLAG], {
+        env: { ...process.env, SCHEDULER_INSTANCE_ID: id },
+        silent: true
+    });
+    const worker = { id, child, log: [] };
+    workers.push(worker);
+    const collect = (chunk) => worker.log.push(...chunk.toString().split('\n').filter(Boolean));
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    await nextMessage(child, 'ready');
+    return worker;
+}
+
+function nextMessage(child, type) {
+    return new Promise((resolve, reject) => {
+        const onMessage = (message) => {
+            if (message.type !== type) return;
+            child.off('message', onMessage);
+            child.off('exit', onExit);
+            resolve(message);
+        };
+        const onExit = (code) => reject(new Error(`worker exited (code ${code}) before sending '${type}'`));
+        child.on('message', onMessage);
+        child.once('exit', onExit);
+    });
+}
+
+function insertDrop(supabase, shop, title, startTime) {
+    return supabase
+        .from('drops')
+        .insert({ shop, product_id: 'gid://shopify/Product/0', title, start_time: startTime.toISOString(), duration_minutes: 1, status: 'queued' })
+        .select()
+        .single()
+        .then(({ data, error }) => {
+            if (error) throw new Error(`Could not insert ${title}: ${error.message}`);
+            return data;
+        });
+}
+
+async function dropStatus(supabase, dropId) {
+    const { data, error } = await supabase.from('drops').select('status').eq('id', dropId).single();
+    if (error) throw new Error(`Could not read drop ${dropId}: ${error.message}`);
+    return data.status;
+}
+
+// Polls until done() holds, running whileWaiting() on every poll; throws after timeoutMs
+async function waitFor(done, timeoutMs, label, whileWaiting = async () => {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!await done()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${label}`);
+        await whileWaiting();
+        await sleep(POLL_MS);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+    console.log(`[LeaseCheck] ok - ${message}`);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
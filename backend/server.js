@@ -23,8 +23,16 @@ import debugRoutes from './debugRoutes.js';
 // Service/Manager Modules
 import { getValidShopSession, setValidShopSession } from './apiMiddlewares.js'; // verifyApiRequest and validateSession are used by routers directly
 import { updateShopMetafield, resetMetafieldCacheForShop } from './metafieldManager.js';
-import { initializeStatusMonitor } from './statusMonitor.js';
+import { initializeStatusMonitor, startStatusMonitor, stopStatusMonitor } from './statusMonitor.js';
+import { startTrashPurge, stopTrashPurge } from './trashManager.js';
+import { startIdempotencyPurge, stopIdempotencyPurge } from './idempotencyManager.js';
+import { releaseShopLeases, INSTANCE_ID } from './schedulerLease.js';
 import { initializeSocketManager } from './socketManager.js';
+import { initializeBulkJobs } from './bulkJobManager.js';
+import { getShopSettings } from './settingsManager.js';
+import { getPauseState } from './pauseManager.js';
+import { TERMINAL_STATUSES } from './dropState.js';
+import { withTiming } from './dropTiming.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -60,10 +68,9 @@ const shopifyProxyLimiter = rateLimit({
   message: { error: 'Too many requests to Shopify proxied endpoints, please try again after a short delay.' }
 });
 
-// Apply this limiter to routes that directly proxy to Shopify and might be hit frequently
-// Routers themselves will apply verifyApiRequest or validateSession as needed.
-// app.use('/api/collections', shopifyProxyLimiter); // Example
-// app.use('/api/products', shopifyProxyLimiter); // Example
+// Applied to the routes that directly proxy to Shopify; shopifyClient.js additionally paces each shop's calls
+// against Shopify's own limits. Routers themselves will apply verifyApiRequest or validateSession as needed.
+app.use('/api/shopify', shopifyProxyLimiter);
 
 // --- Mount Routers ---
 app.use('/auth', authRoutes);
@@ -95,19 +102,25 @@ async function broadcastScheduledDrops(shop) {
 async function broadcastCompletedDrops(shop) {
     if (io) {
         try {
-            const { data, count } = await supabase.from('drops').select('*', { count: 'exact' }).eq('shop', shop).eq('status', 'completed').order('end_time', { ascending: false }).range(0, 4);
-            io.to(shop).emit('completed_drops', { drops: data || [], totalCount: count || 0 });
+            const { data, count } = await supabase.from('drops').select('*', { count: 'exact' }).eq('shop', shop).in('status', TERMINAL_STATUSES).is('deleted_at', null).order('end_time', { ascending: false }).range(0, 4);
+            io.to(shop).emit('completed_drops', { drops: (data || []).map(withTiming), totalCount: count || 0, status: 'all' });
         } catch (e) { console.error(`[BroadcastError] Failed to broadcastCompletedDrops for ${shop}:`, e.message); }
     }
 }
 async function broadcastSettings(shop) { // Used by dropRoutes after clearing queue/settings
     if (io) {
         try {
-            const { data } = await supabase.from('app_settings').select('queued_collection_id, drop_time, default_drop_duration_minutes, default_drop_date').eq('shop', shop).maybeSingle();
-            io.to(shop).emit('settings', data || { queued_collection_id: null, drop_time: '10:00', default_drop_duration_minutes: 60, default_drop_date: null });
+            io.to(shop).emit('settings', await getShopSettings(shop));
         } catch (e) { console.error(`[BroadcastError] Failed to broadcastSettings for ${shop}:`, e.message); }
     }
 }
+async function broadcastQueueState(shop) { // Used by dropRoutes after pause/resume
+    if (io) {
+        try {
+            io.to(shop).emit('queue_state', await getPauseState(shop));
+        } catch (e) { console.error(`[BroadcastError] Failed to broadcastQueueState for ${shop}:`, e.message); }
+    }
+}
 async function broadcastActiveDrop(shop, activeDropData) { // Used by statusMonitor
      if (io) io.to(shop).emit('active_drop', activeDropData);
 }
@@ -123,6 +136,7 @@ const sharedFunctionsForModules = {
     broadcastScheduledDrops,
     broadcastCompletedDrops,
     broadcastSettings,
+    broadcastQueueState,
     broadcastActiveDrop,
     broadcastStatusChange,
     getValidShopSession, // From apiMiddlewares, useful for background tasks
@@ -143,11 +157,13 @@ if (typeof initializeStatusMonitor === 'function') {
 }
 
 if (typeof initializeSocketManager === 'function') {
-    initializeSocketManager(io); // SocketManager imports its other dependencies like start/stopStatusMonitoring
+    initializeSocketManager(io); // Sockets only subscribe to shop rooms; the scheduler below owns the drop lifecycle
 } else {
     console.error('[Server.js] initializeSocketManager is not a function.');
 }
 
+initializeBulkJobs(io); // Schedule-all/append jobs report progress to the shop's room
+
 // --- Static Frontend Files ---
 const FRONTEND_BUILD_PATH = path.join(__dirname, '..', 'frontend', 'dist');
 app.use(express.static(FRONTEND_BUILD_PATH, { index: false }));
@@ -174,6 +190,28 @@ app.get(['/app', '/app/*'], (req, res) => {
 const PORT_TO_USE = PORT || '8081';
 server.listen(PORT_TO_USE, '0.0.0.0', () => {
   console.log(`Server listening on port ${PORT_TO_USE}`);
+  // Drive queued/active drops for every shop from boot, whether or not an admin has the dashboard open
+  console.log(`Scheduler instance ID: ${INSTANCE_ID}`);
+  startStatusMonitor();
+  startTrashPurge(); // Removes trashed drops once their retention window has passed
+  startIdempotencyPurge(); // Forgets idempotency keys (and their stored responses) after their retention window
 });
 
+// --- Graceful Shutdown ---
+// Stop the scheduler and hand this instance's shop leases back so another instance takes over right away
+let isShuttingDown = false;
+async function shutdown(signal) {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
+  console.log(`${signal} received. Shutting down.`);
+  stopStatusMonitor();
+  stopTrashPurge();
+  stopIdempotencyPurge();
+  await releaseShopLeases();
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 5000).unref(); // Don't wait forever on open sockets
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 export { app, server };
\ No newline at end of file
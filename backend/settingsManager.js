@@ -0,0 +1,126 @@
+import { supabase } from './supabaseClient.js';
+import { shopifyRest } from './shopifyClient.js';
+import { isValidTimeZone, isValidDateString } from './timeUtils.js';
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// back_to_back - drops are chained from one start instant using the drop duration
+// daily        - one drop per calendar day at drop_time in shop time
+export const SCHEDULE_MODES = ['back_to_back', 'daily'];
+
+// What the scheduler does with drops that became due while it wasn't running (see statusMonitor catchUpShop):
+// run_late        - activate the oldest overdue drop now and push the rest of the queue back
+// skip_missed     - mark drops whose window has passed as missed, run the next one now and push the queue back
+// jump_to_current - mark passed drops as missed and activate the drop whose window contains now, keeping its slot
+export const CATCH_UP_POLICIES = ['run_late', 'skip_missed', 'jump_to_current'];
+export const DEFAULT_CATCH_UP_POLICY = 'run_late';
+
+// What the scheduler does when the queue runs dry (see rotationManager):
+// off        - nothing
+// collection - re-append the active products of queued_collection_id
+// replay     - replay the completed drops in the order they last ran
+export const ROTATION_MODES = ['off', 'collection', 'replay'];
+export const DEFAULT_ROTATION_MODE = 'off';
+
+export const DEFAULT_SETTINGS = {
+    queued_collection_id: null,
+    drop_time: '10:00',
+    default_drop_duration_minutes: 60,
+    default_drop_date: null,
+    timezone: null,
+    schedule_mode: 'back_to_back',
+    cadence_duration_minutes: null, // daily mode only; null runs each drop until the next day's slot
+    schedule_windows: [], // [{ weekday (0 = Sunday), start: 'HH:MM', end: 'HH:MM' | '24:00' }]; empty = around the clock
+    blackout_dates: [], // ['YYYY-MM-DD'] in shop time
+    catch_up_policy: DEFAULT_CATCH_UP_POLICY,
+    rotation_mode: DEFAULT_ROTATION_MODE
+};
+
+export const SETTINGS_COLUMNS = Object.keys(DEFAULT_SETTINGS).join(', ');
+
+// Fetch a shop's settings, falling back to defaults when no row exists yet
+export async function getShopSettings(shop) {
+    const { data, error } = await supabase
+        .from('app_settings')
+        .select(SETTINGS_COLUMNS)
+        .eq('shop', shop)
+        .maybeSingle();
+    if (error) throw error;
+    return data || { ...DEFAULT_SETTINGS };
+}
+
+// Read the shop's IANA timezone (e.g. "America/New_York") from the Shopify shop resource
+export async function fetchShopTimezone(session) {
+    const client = shopifyRest(session);
+    const response = await client.get({ path: 'shop', query: { fields: 'iana_timezone' } });
+    const timezone = response?.body?.shop?.iana_timezone;
+    return isValidTimeZone(timezone) ? timezone : null;
+}
+
+// Refresh the stored timezone from Shopify. Falls back to the stored value (then UTC) if Shopify can't be reached.
+export async function syncShopTimezone(shop, session) {
+    let timezone = null;
+    try {
+        timezone = session ? await fetchShopTimezone(session) : null;
+    } catch (error) {
+        console.error(`[Settings] Failed to fetch timezone from Shopify for shop ${shop}:`, error.message);
+    }
+    if (!timezone) {
+        const settings = await getShopSettings(shop);
+        return isValidTimeZone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE;
+    }
+
+    const { error } = await supabase
+        .from('app_settings')
+        .upsert({ shop, timezone }, { onConflict: 'shop' });
+    if (error) console.error(`[Settings] Failed to store timezone for shop ${shop}:`, error.message);
+    return timezone;
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validates and normalizes schedule windows and blackout dates from a settings payload.
+// Returns { error } or { scheduleWindows, blackoutDates }
+export function normalizeScheduleRules(scheduleWindows = [], blackoutDates = []) {
+    if (!Array.isArray(scheduleWindows) || !Array.isArray(blackoutDates)) {
+        return { error: 'schedule_windows and blackout_dates must be arrays.' };
+    }
+    const windows = [];
+    for (const window of scheduleWindows) {
+        const weekday = Number(window?.weekday);
+        const { start, end } = window || {};
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+            return { error: 'Each schedule window needs a weekday from 0 (Sunday) to 6 (Saturday).' };
+        }
+        if (!TIME_PATTERN.test(start || '') || !(TIME_PATTERN.test(end || '') || end === '24:00') || end <= start) {
+            return { error: 'Each schedule window needs start and end times (HH:MM) with the end after the start.' };
+        }
+        windows.push({ weekday, start, end });
+    }
+    const dates = [...new Set(blackoutDates)];
+    if (dates.some(date => !isValidDateString(date))) {
+        return { error: 'Blackout dates must be valid YYYY-MM-DD dates.' };
+    }
+    return {
+        scheduleWindows: windows.sort((a, b) => a.weekday - b.weekday || a.start.localeCompare(b.start)),
+        blackoutDates: dates.sort()
+    };
+}
+
+// Timezone used to interpret shop-local times; only calls Shopify when none is stored yet
+export async function getShopTimezone(shop, session) {
+    const settings = await getShopSettings(shop);
+    if (isValidTimeZone(settings.timezone)) return settings.timezone;
+    return syncShopTimezone(shop, session);
+}
+
+// Timezone, schedule windows and blackout dates used when placing or re-timing drops
+export async function getScheduleConstraints(shop, session) {
+    const settings = await getShopSettings(shop);
+    const timeZone = isValidTimeZone(settings.timezone) ? settings.timezone : await syncShopTimezone(shop, session);
+    return {
+        timeZone,
+        windows: settings.schedule_windows || [],
+        blackoutDates: settings.blackout_dates || []
+    };
+}
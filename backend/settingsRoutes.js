@@ -1,6 +1,7 @@
 import express from 'express';
 import { supabase } from './supabaseClient.js';
 import { validateSession } from './apiMiddlewares.js'; // Assuming validateSession is in apiMiddlewares.js
+import { getShopSettings, syncShopTimezone, normalizeScheduleRules, SCHEDULE_MODES, CATCH_UP_POLICIES, DEFAULT_CATCH_UP_POLICY, ROTATION_MODES, DEFAULT_ROTATION_MODE } from './settingsManager.js';
 
 const router = express.Router();
 
@@ -10,29 +11,12 @@ router.get('/', validateSession, async (req, res) => {
     console.log(`[/api/settings GET] Request received for shop: ${shop}`);
 
     try {
-        const { data, error } = await supabase
-            .from('app_settings')
-            .select('queued_collection_id, drop_time, default_drop_duration_minutes, default_drop_date')
-            .eq('shop', shop)
-            .maybeSingle();
-
-        if (error) {
-            console.error('[/api/settings GET] Supabase Error:', error);
-            throw error;
-        }
-
-        if (data) {
-            console.log('[/api/settings GET] Found settings:', data);
-            res.status(200).json(data);
-        } else {
-            console.log(`[/api/settings GET] No settings found for shop: ${shop}. Returning defaults.`);
-            res.status(200).json({
-                queued_collection_id: null,
-                drop_time: '10:00',
-                default_drop_duration_minutes: 60,
-                default_drop_date: null
-            }); 
+        const settings = await getShopSettings(shop);
+        if (!settings.timezone) {
+            settings.timezone = await syncShopTimezone(shop, req.shopifySession);
         }
+        console.log('[/api/settings GET] Returning settings:', settings);
+        res.status(200).json(settings);
     } catch (error) {
         console.error('[/api/settings GET] Server Error:', error);
         const errorMessage = error.message || 'Internal server error retrieving settings.';
@@ -58,22 +42,59 @@ router.post('/', validateSession, async (req, res) => {
         queued_collection_id,
         drop_time,
         default_drop_duration_minutes,
-        default_drop_date
+        default_drop_date,
+        schedule_mode,
+        cadence_duration_minutes,
+        schedule_windows,
+        blackout_dates,
+        catch_up_policy,
+        rotation_mode
     } = req.body;
 
     console.log(`[/api/settings POST] Received payload:`, req.body);
 
+    if (schedule_mode && !SCHEDULE_MODES.includes(schedule_mode)) {
+        return res.status(400).json({ error: `Invalid schedule_mode. Expected one of: ${SCHEDULE_MODES.join(', ')}.` });
+    }
+    if (catch_up_policy && !CATCH_UP_POLICIES.includes(catch_up_policy)) {
+        return res.status(400).json({ error: `Invalid catch_up_policy. Expected one of: ${CATCH_UP_POLICIES.join(', ')}.` });
+    }
+    if (rotation_mode && !ROTATION_MODES.includes(rotation_mode)) {
+        return res.status(400).json({ error: `Invalid rotation_mode. Expected one of: ${ROTATION_MODES.join(', ')}.` });
+    }
+    if (rotation_mode === 'collection' && !queued_collection_id) {
+        return res.status(400).json({ error: 'rotation_mode collection needs a queued_collection_id to rotate through.' });
+    }
+    const cadenceDurationInt = cadence_duration_minutes === null || cadence_duration_minutes === undefined || cadence_duration_minutes === ''
+        ? null
+        : parseInt(cadence_duration_minutes, 10);
+    if (cadenceDurationInt !== null && (isNaN(cadenceDurationInt) || cadenceDurationInt <= 0 || cadenceDurationInt > 1440)) {
+        return res.status(400).json({ error: 'Invalid cadence_duration_minutes. Must be between 1 and 1440, or empty to run until the next day\'s drop.' });
+    }
+    const scheduleRules = normalizeScheduleRules(schedule_windows || [], blackout_dates || []);
+    if (scheduleRules.error) {
+        return res.status(400).json({ error: scheduleRules.error });
+    }
+
     const settingsData = {
         shop: shop, // Primary key
         queued_collection_id: queued_collection_id || null,
         drop_time: drop_time || null,
         default_drop_duration_minutes: default_drop_duration_minutes || 60, 
         default_drop_date: default_drop_date || null,
+        schedule_mode: schedule_mode || 'back_to_back',
+        cadence_duration_minutes: cadenceDurationInt,
+        schedule_windows: scheduleRules.scheduleWindows,
+        blackout_dates: scheduleRules.blackoutDates,
+        catch_up_policy: catch_up_policy || DEFAULT_CATCH_UP_POLICY,
+        rotation_mode: rotation_mode || DEFAULT_ROTATION_MODE,
     };
 
-    console.log('[/api/settings POST] Data being upserted to Supabase:', settingsData);
-
     try {
+        // Drop dates/times are entered in shop-local time, so keep the stored timezone in step with Shopify
+        settingsData.timezone = await syncShopTimezone(shop, req.shopifySession);
+        console.log('[/api/settings POST] Data being upserted to Supabase:', settingsData);
+
         const { data, error } = await supabase
             .from('app_settings')
             .upsert(settingsData, { onConflict: 'shop' })
@@ -1,6 +1,8 @@
 import express from 'express';
 import { baseShopifyApi as shopify } from './shopify.js';
+import { shopifyRest } from './shopifyClient.js';
 import { verifyApiRequest } from './apiMiddlewares.js'; // Assuming verifyApiRequest is here
+import { SHOPIFY_PAGE_SIZE } from './shopifyPagination.js';
 
 const router = express.Router();
 
@@ -16,9 +18,7 @@ router.get('/collections', verifyApiRequest, async (req, res) => {
     const token = req.token;
     console.log(`[/api/collections] Request for shop: ${shop}`);
     try {
-        const client = new shopify.clients.Rest({
-            session: { shop: shop, accessToken: token, isOnline: false }
-        });
+        const client = shopifyRest({ shop: shop, accessToken: token, isOnline: false });
         const smartCollectionsResponse = await client.get({
             path: 'smart_collections',
             query: { fields: 'id,handle,title' }
@@ -83,8 +83,7 @@ router.get('/products-by-collection', verifyApiRequest, async (req, res) => {
     console.log(`[/api/products-by-collection] Extracted numeric collection ID: ${collectionId}`);
 
     try {
-        const client = new shopify.clients.Rest({
-             session: { shop: shop, accessToken: token, isOnline: false }});
+        const client = shopifyRest({ shop: shop, accessToken: token, isOnline: false });
         const productsResponse = await client.get({
             path: 'products',
             query: { collection_id: collectionId, fields: 'id,title,image', status: 'active', limit: limit }
@@ -136,7 +135,7 @@ router.get('/shop-info', async (req, res) => { // Note: Not using verifyApiReque
             console.log(`[/api/shop-info] No session found for shop ${shop}. Cannot fetch shop info.`);
             return res.sendStatus(401); 
         }
-        const client = new shopify.clients.Rest({ session });
+        const client = shopifyRest(session);
         console.log('[/api/shop-info] REST Client created. Fetching shop data...');
         const response = await client.get({ path: 'shop' });
         if (response.body?.shop) {
@@ -156,7 +155,8 @@ router.get('/shop-info', async (req, res) => { // Note: Not using verifyApiReque
     }
 });
 
-// API endpoint to get products (primarily uses session from DB)
+// API endpoint to get products (primarily uses session from DB). One page per request: ?limit (max 250) and the
+// ?page_info cursor from the previous response's next_page_info / previous_page_info.
 router.get('/products', async (req, res) => { // Note: Not using verifyApiRequest here
     console.log('[/api/products] Received request.');
     const shop = req.query.shop;
@@ -178,9 +178,11 @@ router.get('/products', async (req, res) => { // Note: Not using verifyApiReques
         if (!session.accessToken) {
             return res.status(500).send('Internal Error: Session token missing.');
         }
-        const client = new shopify.clients.Rest({ session });
+        const client = shopifyRest(session);
         console.log('[/api/products] REST Client created. Fetching products...');
-        const queryParams = { limit: 50, fields: 'id,title,image,status' }; // Added status
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), SHOPIFY_PAGE_SIZE);
+        const queryParams = { limit, fields: 'id,title,image,status' }; // Added status
+        if (req.query.page_info) queryParams.page_info = req.query.page_info; // Shopify allows only limit and fields alongside a cursor
         let apiPath = 'products';
 
         if (collectionIdQuery) {
@@ -210,7 +212,11 @@ router.get('/products', async (req, res) => { // Note: Not using verifyApiReques
             }
         }
         console.log(`[/api/products] Extracted ${products.length} products.`);
-        res.status(200).json(products);
+        res.status(200).json({
+            products,
+            next_page_info: response.pageInfo?.nextPage?.query?.page_info || null,
+            previous_page_info: response.pageInfo?.prevPage?.query?.page_info || null
+        });
     } catch (error) {
         console.error(`[/api/products] Error processing request for shop ${shop}:`, error);
         if (error.response && (error.response.code === 401 || error.response.code === 403)) { 
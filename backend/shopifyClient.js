@@ -0,0 +1,22 @@
+import { baseShopifyApi as shopify } from './shopify.js';
+import { callWithRetries, graphqlQueryCost } from './shopifyRateLimiter.js';
+
+// Every Shopify Admin API call goes through here instead of ad-hoc shopify.clients.Rest/Graphql instances, so a
+// shop's calls share its rate limits (see shopifyRateLimiter.js). shopifyRest/shopifyGraphql return objects with the
+// library clients' method shapes (get/post/put/delete and request), so responses look the same to callers.
+
+// REST client for the session's shop: get/post/put/delete take the library's { path, query, data } params
+export function shopifyRest(session) {
+    const client = new shopify.clients.Rest({ session });
+    const send = (method) => (params) => callWithRetries(session.shop, 'rest', () => 1, null, () => client[method](params));
+    return { get: send('get'), post: send('post'), put: send('put'), delete: send('delete') };
+}
+
+// GraphQL client for the session's shop: request(query, { variables }) like the library's client.request
+export function shopifyGraphql(session) {
+    const client = new shopify.clients.Graphql({ session });
+    return {
+        request: (query, options = {}) =>
+            callWithRetries(session.shop, 'graphql', () => graphqlQueryCost(session.shop, query), query, () => client.request(query, options))
+    };
+}
@@ -0,0 +1,45 @@
+// Helpers for reading every page of a Shopify list instead of just the first one. REST lists default to 50 items
+// (at most 250) and GraphQL connections to the requested `first`, so a single request silently truncates large
+// collections. Both helpers stop after MAX_PAGES as a guard against a cursor that never ends.
+export const SHOPIFY_PAGE_SIZE = 250;
+const MAX_PAGES = 200; // 50,000 items at SHOPIFY_PAGE_SIZE
+
+// Follows the REST Link header (page_info cursors) from the first request. itemsKey is the body field holding the
+// list (e.g. 'products'). Returns every item; throws when a page comes back without the list.
+export async function fetchAllRestPages(restClient, { path, query = {} }, itemsKey) {
+    const items = [];
+    let request = { path, query: { ...query, limit: SHOPIFY_PAGE_SIZE } };
+    for (let pageCount = 0; request && pageCount < MAX_PAGES; pageCount++) {
+        const response = await restClient.get(request);
+        const pageItems = response?.body?.[itemsKey];
+        if (!Array.isArray(pageItems)) throw new Error(`Invalid ${itemsKey} response structure from Shopify (${path}).`);
+        items.push(...pageItems);
+        request = response.pageInfo?.nextPage || null;
+    }
+    if (request) console.warn(`[ShopifyPagination] Stopped reading ${path} after ${MAX_PAGES} pages (${items.length} ${itemsKey}).`);
+    return items;
+}
+
+// Pages through a GraphQL connection (query errors throw from the client; shopifyClient paces pages by the cost
+// budget). The query must take $first and $after and select `pageInfo { hasNextPage endCursor }` and `nodes` on the
+// connection that getConnection picks out of response.data.
+// Returns { nodes, data } with data from the first page (for fields outside the connection), or { nodes: null, data }
+// when the connection is missing (e.g. the collection doesn't exist). onPage(nodesSoFar) runs after each page; it may
+// throw to stop reading (a cancelled bulk job).
+export async function fetchAllGraphqlNodes(graphqlClient, query, variables, getConnection, { onPage = null } = {}) {
+    const nodes = [];
+    let firstData = null;
+    let after = null;
+    for (let pageCount = 0; pageCount < MAX_PAGES; pageCount++) {
+        const response = await graphqlClient.request(query, { variables: { ...variables, first: SHOPIFY_PAGE_SIZE, after } });
+        firstData ||= response?.data;
+        const connection = response?.data ? getConnection(response.data) : null;
+        if (!connection?.nodes) return { nodes: pageCount === 0 ? null : nodes, data: firstData };
+        nodes.push(...connection.nodes);
+        if (onPage) onPage(nodes.length);
+        if (!connection.pageInfo?.hasNextPage) return { nodes, data: firstData };
+        after = connection.pageInfo.endCursor;
+    }
+    console.warn(`[ShopifyPagination] Stopped reading a GraphQL connection after ${MAX_PAGES} pages (${nodes.length} nodes).`);
+    return { nodes, data: firstData };
+}
@@ -0,0 +1,162 @@
+import { HttpThrottlingError, GraphqlQueryError } from '@shopify/shopify-api';
+
+// Per-shop Shopify Admin API rate limits, used by shopifyClient.js for every call:
+//   REST    - a leaky bucket of requests (40, leaking 2/s), synced from X-Shopify-Shop-Api-Call-Limit
+//   GraphQL - a bucket of query cost points, synced from extensions.cost.throttleStatus; each query reserves what it
+//             cost last time (DEFAULT_GRAPHQL_COST before it has run)
+// Calls wait in a per-shop queue until their bucket has room. A call Shopify still throttles (REST 429, GraphQL
+// THROTTLED) is retried with backoff up to MAX_RETRIES times.
+const REST_BUCKET_SIZE = 40;
+const REST_LEAK_PER_SECOND = 2;
+const GRAPHQL_BUCKET_SIZE = 1000;
+const GRAPHQL_RESTORE_PER_SECOND = 50;
+const DEFAULT_GRAPHQL_COST = 50;
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 20000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const shopStates = new Map(); // Structure: { shop: { rest, graphql, queryCosts, metrics } }
+
+function stateFor(shop) {
+    if (!shopStates.has(shop)) {
+        shopStates.set(shop, {
+            rest: { used: 0, capacity: REST_BUCKET_SIZE, leakRate: REST_LEAK_PER_SECOND, updatedAt: Date.now(), queue: Promise.resolve() },
+            graphql: { available: GRAPHQL_BUCKET_SIZE, maximum: GRAPHQL_BUCKET_SIZE, restoreRate: GRAPHQL_RESTORE_PER_SECOND, updatedAt: Date.now(), queue: Promise.resolve() },
+            queryCosts: new Map(), // query text -> requestedQueryCost from its last run
+            metrics: {
+                rest_calls: 0,
+                graphql_calls: 0,
+                throttled: 0,
+                retries: 0,
+                failures: 0,
+                wait_ms: 0,
+                graphql_cost_requested: 0,
+                graphql_cost_actual: 0,
+                last_throttled_at: null
+            }
+        });
+    }
+    return shopStates.get(shop);
+}
+
+// Brings a bucket up to date with the time since it was last synced
+function drain(state, kind) {
+    const now = Date.now();
+    const elapsedSeconds = (now - state[kind].updatedAt) / 1000;
+    if (kind === 'rest') state.rest.used = Math.max(0, state.rest.used - elapsedSeconds * state.rest.leakRate);
+    else state.graphql.available = Math.min(state.graphql.maximum, state.graphql.available + elapsedSeconds * state.graphql.restoreRate);
+    state[kind].updatedAt = now;
+}
+
+// Waits until the bucket can take cost, then takes it. Reservations are queued per shop and bucket so concurrent
+// callers don't all see the same free capacity.
+function reserve(state, kind, cost) {
+    const reservation = state[kind].queue.then(async () => {
+        drain(state, kind);
+        const shortfall = kind === 'rest'
+            ? state.rest.used + cost - state.rest.capacity
+            : cost - state.graphql.available;
+        if (shortfall > 0) {
+            const waitMs = Math.ceil((shortfall / (kind === 'rest' ? state.rest.leakRate : state.graphql.restoreRate)) * 1000);
+            state.metrics.wait_ms += waitMs;
+            await sleep(waitMs);
+            drain(state, kind);
+        }
+        if (kind === 'rest') state.rest.used += cost;
+        else state.graphql.available -= cost;
+    });
+    state[kind].queue = reservation.catch(() => {});
+    return reservation;
+}
+
+function headerValue(headers, name) {
+    const entry = Object.entries(headers || {}).find(([key]) => key.toLowerCase() === name.toLowerCase());
+    return Array.isArray(entry?.[1]) ? entry[1][0] : entry?.[1];
+}
+
+function syncRestBucket(state, headers) {
+    const [used, capacity] = String(headerValue(headers, 'X-Shopify-Shop-Api-Call-Limit') || '').split('/').map(Number);
+    if (!capacity) return;
+    state.rest.used = used;
+    state.rest.capacity = capacity;
+    state.rest.updatedAt = Date.now();
+}
+
+function syncGraphqlBucket(state, query, cost) {
+    if (!cost) return;
+    if (cost.requestedQueryCost !== undefined) {
+        state.queryCosts.set(query, cost.requestedQueryCost);
+        state.metrics.graphql_cost_requested += cost.requestedQueryCost;
+    }
+    if (cost.actualQueryCost !== undefined && cost.actualQueryCost !== null) state.metrics.graphql_cost_actual += cost.actualQueryCost;
+    const throttleStatus = cost.throttleStatus;
+    if (!throttleStatus) return;
+    state.graphql.available = throttleStatus.currentlyAvailable;
+    state.graphql.maximum = throttleStatus.maximumAvailable || state.graphql.maximum;
+    state.graphql.restoreRate = throttleStatus.restoreRate || state.graphql.restoreRate;
+    state.graphql.updatedAt = Date.now();
+}
+
+// Cost to reserve for a GraphQL query: what it cost last time, or DEFAULT_GRAPHQL_COST before it has run
+export function graphqlQueryCost(shop, query) {
+    return stateFor(shop).queryCosts.get(query) ?? DEFAULT_GRAPHQL_COST;
+}
+
+// How long to wait before retrying a throttled call, or null when the error isn't throttling
+function throttleDelayMs(state, error, query, attempt) {
+    const backoffMs = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt) + Math.floor(Math.random() * 250);
+    if (error instanceof HttpThrottlingError) {
+        state.rest.used = state.rest.capacity;
+        state.rest.updatedAt = Date.now();
+        return error.response?.retryAfter ? Math.max(error.response.retryAfter * 1000, backoffMs) : backoffMs;
+    }
+    const isThrottledQuery = error instanceof GraphqlQueryError
+        && (error.body?.errors?.graphQLErrors || []).some(e => e.extensions?.code === 'THROTTLED');
+    if (!isThrottledQuery) return null;
+    syncGraphqlBucket(state, query, error.body?.extensions?.cost);
+    return backoffMs;
+}
+
+// Runs call() once its bucket has room (cost() is re-evaluated for each attempt), syncs the bucket from the response
+// and retries throttled calls with backoff. kind is 'rest' or 'graphql'; query is the GraphQL query text (null for REST).
+export async function callWithRetries(shop, kind, cost, query, call) {
+    const state = stateFor(shop);
+    for (let attempt = 0; ; attempt++) {
+        await reserve(state, kind, cost());
+        state.metrics[`${kind}_calls`]++;
+        try {
+            const response = await call();
+            if (kind === 'rest') syncRestBucket(state, response?.headers);
+            else syncGraphqlBucket(state, query, response?.extensions?.cost);
+            return response;
+        } catch (error) {
+            const delayMs = throttleDelayMs(state, error, query, attempt);
+            if (delayMs === null || attempt >= MAX_RETRIES) {
+                state.metrics.failures++;
+                throw error;
+            }
+            state.metrics.throttled++;
+            state.metrics.retries++;
+            state.metrics.last_throttled_at = new Date().toISOString();
+            console.warn(`[ShopifyClient] ${kind === 'rest' ? 'REST' : 'GraphQL'} call for ${shop} was throttled. Retry ${attempt + 1}/${MAX_RETRIES} in ${delayMs}ms.`);
+            await sleep(delayMs);
+        }
+    }
+}
+
+// Call counts, throttling and cost per shop, with each bucket's current estimate
+export function getShopifyApiMetrics(shop = null) {
+    const snapshot = (state) => {
+        drain(state, 'rest');
+        drain(state, 'graphql');
+        return {
+            ...state.metrics,
+            rest_bucket: { used: Math.round(state.rest.used * 10) / 10, capacity: state.rest.capacity },
+            graphql_budget: { available: Math.round(state.graphql.available), maximum: state.graphql.maximum, restore_rate: state.graphql.restoreRate }
+        };
+    };
+    if (shop) return shopStates.has(shop) ? snapshot(shopStates.get(shop)) : null;
+    return Object.fromEntries([...shopStates.entries()].map(([shopDomain, state]) => [shopDomain, snapshot(state)]));
+}
@@ -1,7 +1,14 @@
 import { baseShopifyApi as shopify } from './shopify.js';
+import { shopifyRest } from './shopifyClient.js';
 import { supabase } from './supabaseClient.js';
 import { getValidShopSession, setValidShopSession } from './apiMiddlewares.js'; // Assuming setValidShopSession is exported if needed here
-import { startStatusMonitoring, stopStatusMonitoring } from './statusMonitor.js';
+import { getShopSettings } from './settingsManager.js';
+import { getPauseState } from './pauseManager.js';
+import { LIVE_STATUSES, historyStatusesFor } from './dropState.js';
+import { withTiming } from './dropTiming.js';
+import { fetchAllRestPages } from './shopifyPagination.js';
+import { fetchCollectionProducts } from './productCatalog.js';
+import { listBulkJobs } from './bulkJobManager.js';
 
 let ioInstance;
 
@@ -66,8 +73,7 @@ export function initializeSocketManager(io) {
             socket.emit('heartbeat', { timestamp: new Date().toISOString() });
         }, 60000);
 
-        console.log(`[SocketManager Connection] Attempting to start status monitoring for shop: ${shop} due to new connection.`);
-        startStatusMonitoring(shop); // Uses imported function
+        // Drop lifecycle is driven by the always-on scheduler in statusMonitor.js; sockets only subscribe to the shop room.
 
         socket.on('join_shop_room', () => {
             socket.join(shop);
@@ -84,24 +90,14 @@ export function initializeSocketManager(io) {
 
         socket.on('disconnect', () => {
             console.log(`[SocketManager Disconnect] Client disconnected. Shop: ${shop}, Socket ID: ${socket.id}`);
-            // clearInterval(heartbeatInterval); // Already done in your original code
-            const room = ioInstance.sockets.adapter.rooms.get(shop);
-            const currentRoomSize = room ? room.size : 0;
-            console.log(`[SocketManager Disconnect] Room size for shop ${shop} before stopping check: ${currentRoomSize}`);
-
-            if (currentRoomSize === 0) { // Check if this socket was the last one
-                console.log(`[SocketManager Disconnect] Last client for shop ${shop} (Socket ID: ${socket.id}) disconnected. Attempting to stop monitor.`);
-                if (shop) stopStatusMonitoring(shop); 
-            } else {
-                console.log(`[SocketManager Disconnect] ${currentRoomSize} clients still in room for shop ${shop}. Monitoring continues.`);
-            }
+            clearInterval(heartbeatInterval);
         });
 
         // --- Event Handlers ---
         socket.on('get_active_drop', async () => {
             try {
                 console.log(`[SocketManager] Event: get_active_drop for shop: ${socket.shop}`);
-                const { data, error } = await supabase.from('drops').select('*').eq('shop', socket.shop).eq('status', 'active').limit(1).maybeSingle();
+                const { data, error } = await supabase.from('drops').select('*').eq('shop', socket.shop).in('status', LIVE_STATUSES).limit(1).maybeSingle();
                 if (error) throw error;
                 socket.emit('active_drop', data || null);
             } catch (error) {
@@ -121,15 +117,12 @@ export function initializeSocketManager(io) {
                 if (!collectionIdMatch) {
                     return socket.emit('error', { event: 'get_queued_products', message: 'Invalid collection ID format' });
                 }
-                const numericCollectionId = collectionIdMatch[0];
-                const client = new shopify.clients.Rest({ session: socket.shopifySession });
-                const response = await client.get({
-                    path: 'products',
-                    query: { collection_id: numericCollectionId, fields: 'id,title,image', status: 'active' }
-                });
-                if (!response.body || !response.body.products) throw new Error('Invalid product response structure from Shopify');
-                const products = response.body.products.map(p => ({ id: p.id, title: p.title, imageUrl: p.image?.src || null }));
-                socket.emit('queued_products', products);
+                const { products: collectionProducts } = await fetchCollectionProducts(socket.shopifySession, collectionIdMatch[0]);
+                if (!collectionProducts) throw new Error('Invalid product response structure from Shopify');
+                const products = collectionProducts
+                    .filter(p => p.status === 'active')
+                    .map(p => ({ id: p.id, title: p.title, handle: p.handle, totalInventory: p.total_inventory, imageUrl: p.thumbnail_url }));
+                socket.emit('queued_products', { products, totalCount: products.length });
             } catch (error) {
                 console.error(`[SocketManager] Error in get_queued_products for ${socket.shop}, collection ${collectionIdGid}:`, error.message);
                 socket.emit('error', { event: 'get_queued_products', message: 'Failed to fetch queued products' });
@@ -151,15 +144,19 @@ export function initializeSocketManager(io) {
             }
         });
 
-        socket.on('get_completed_drops', async ({ page = 1, limit = 5 }) => {
+        // status filters the history to one terminal state ('all' by default); it is echoed back so the client can
+        // tell filtered pages from the unfiltered broadcast
+        socket.on('get_completed_drops', async ({ page = 1, limit = 5, status = 'all' }) => {
             try {
-                console.log(`[SocketManager] Event: get_completed_drops for shop: ${socket.shop}, page: ${page}, limit: ${limit}`);
+                console.log(`[SocketManager] Event: get_completed_drops for shop: ${socket.shop}, page: ${page}, limit: ${limit}, status: ${status}`);
+                const statuses = historyStatusesFor(status);
+                if (!statuses) throw new Error(`Unknown status filter: ${status}`);
                 const offset = (page - 1) * limit;
                 const { data, error, count } = await supabase.from('drops').select('*', { count: 'exact' })
-                    .eq('shop', socket.shop).eq('status', 'completed')
+                    .eq('shop', socket.shop).in('status', statuses).is('deleted_at', null) // trashed drops are hidden
                     .order('end_time', { ascending: false }).range(offset, offset + limit - 1);
                 if (error) throw error;
-                socket.emit('completed_drops', { drops: data || [], totalCount: count || 0 });
+                socket.emit('completed_drops', { drops: (data || []).map(withTiming), totalCount: count || 0, status });
             } catch (error) {
                 console.error(`[SocketManager] Error in get_completed_drops for ${socket.shop}:`, error.message);
                 socket.emit('error', { event: 'get_completed_drops', message: 'Failed to fetch completed drops' });
@@ -173,11 +170,9 @@ export function initializeSocketManager(io) {
             }
             try {
                 console.log(`[SocketManager] Event: get_collections for shop: ${socket.shop}`);
-                const client = new shopify.clients.Rest({ session: socket.shopifySession });
-                const smartCollectionsResponse = await client.get({ path: 'smart_collections', query: { fields: 'id,handle,title' } });
-                const customCollectionsResponse = await client.get({ path: 'custom_collections', query: { fields: 'id,handle,title' } });
-                const smartCollections = smartCollectionsResponse.body.smart_collections || [];
-                const customCollections = customCollectionsResponse.body.custom_collections || [];
+                const client = shopifyRest(socket.shopifySession);
+                const smartCollections = await fetchAllRestPages(client, { path: 'smart_collections', query: { fields: 'id,handle,title' } }, 'smart_collections');
+                const customCollections = await fetchAllRestPages(client, { path: 'custom_collections', query: { fields: 'id,handle,title' } }, 'custom_collections');
                 const allCollections = [
                     ...smartCollections.map(col => ({ label: col.title, value: `gid://shopify/Collection/${col.id}` })),
                     ...customCollections.map(col => ({ label: col.title, value: `gid://shopify/Collection/${col.id}` }))
@@ -189,14 +184,25 @@ export function initializeSocketManager(io) {
             }
         });
 
+        socket.on('get_queue_state', async () => {
+            try {
+                console.log(`[SocketManager] Event: get_queue_state for shop: ${socket.shop}`);
+                socket.emit('queue_state', await getPauseState(socket.shop));
+            } catch (error) {
+                console.error(`[SocketManager] Error in get_queue_state for ${socket.shop}:`, error.message);
+                socket.emit('error', { event: 'get_queue_state', message: 'Failed to fetch queue state' });
+            }
+        });
+
+        socket.on('get_bulk_jobs', () => {
+            console.log(`[SocketManager] Event: get_bulk_jobs for shop: ${socket.shop}`);
+            socket.emit('bulk_jobs', listBulkJobs(socket.shop));
+        });
+
         socket.on('get_settings', async () => {
             try {
                 console.log(`[SocketManager] Event: get_settings for shop: ${socket.shop}`);
-                const { data, error } = await supabase.from('app_settings')
-                    .select('queued_collection_id, drop_time, default_drop_duration_minutes, default_drop_date')
-                    .eq('shop', socket.shop).maybeSingle();
-                if (error) throw error;
-                socket.emit('settings', data || { queued_collection_id: null, drop_time: '10:00', default_drop_duration_minutes: 60, default_drop_date: null });
+                socket.emit('settings', await getShopSettings(socket.shop));
             } catch (error) {
                 console.error(`[SocketManager] Error in get_settings for ${socket.shop}:`, error.message);
                 socket.emit('error', { event: 'get_settings', message: 'Failed to fetch settings' });
@@ -1,12 +1,30 @@
 import { supabase } from './supabaseClient.js';
-// import { baseShopifyApi as shopify } from './shopify.js'; // Might not be needed if session passed to updateShopMetafield is sufficient
-import { getValidShopSession } from './apiMiddlewares.js'; // To get sessions for background tasks
+import { shopifyGraphql } from './shopifyClient.js';
+import { loadShopSession } from './apiMiddlewares.js'; // To get sessions for background tasks (falls back to session storage)
 import { updateShopMetafield } from './metafieldManager.js';
+import { getPausedShops } from './pauseManager.js';
+import { getShopSettings, getScheduleConstraints, CATCH_UP_POLICIES, DEFAULT_CATCH_UP_POLICY } from './settingsManager.js';
+import { getQueuedDrops, shiftStartTimes, applyStartTimes, planCatchUp } from './queueManager.js';
+import { acquireShopLease, releaseShopLease, INSTANCE_ID } from './schedulerLease.js';
+import { transitionDrop } from './dropState.js';
+import { SCHEDULER_AUDIT } from './auditLog.js';
+import { rotateQueueIfDry } from './rotationManager.js';
 
 let ioInstance;
 let sharedBroadcastFunctions = {}; // For broadcastScheduledDrops, etc.
 
-const statusMonitoringIntervals = {};
+// One scheduler drives every shop; it runs from boot and does not depend on connected sockets.
+// It arms a timer for the exact moment the next drop starts or ends; the sweep is only a fallback.
+const SAFETY_SWEEP_MS = 5 * 60 * 1000;
+const MIN_REARM_DELAY_MS = 1000; // Floor for due times already in the past, so a stuck drop can't spin the timer
+const MAX_TIMER_DELAY_MS = 2147483647; // setTimeout upper bound (~24.8 days)
+const SCHEDULE_CHECK_DEBOUNCE_MS = 250;
+const CATCH_UP_GRACE_MS = 60 * 1000; // A due drop later than this was missed by downtime, not just timer jitter
+let schedulerIntervalId = null;
+let nextDueTimer = null;
+let scheduleCheckTimer = null;
+let isTickRunning = false;
+let tickRequestedWhileRunning = false;
 
 export function initializeStatusMonitor(io, broadcastFunctions) {
     ioInstance = io;
@@ -14,132 +32,294 @@ export function initializeStatusMonitor(io, broadcastFunctions) {
     // console.log('[StatusMonitor] Initialized with io and broadcast functions.');
 }
 
-// Main function to start monitoring for a specific shop
-export function startStatusMonitoring(shop) {
-    if (!shop) {
-        console.warn('[StatusMonitor] Attempted to start monitoring for undefined shop.');
+// Starts the always-on scheduler (called once at server boot)
+export function startStatusMonitor() {
+    if (schedulerIntervalId) {
+        console.log(`[StatusMonitor START] Scheduler already running. Interval ID: ${schedulerIntervalId}`);
         return;
     }
-    if (statusMonitoringIntervals[shop]) {
-        console.log(`[StatusMonitor START] Monitoring already active for shop: ${shop}. Interval ID: ${statusMonitoringIntervals[shop]}`);
-        return;
-    }
-    console.log(`[StatusMonitor START] Starting new monitor for shop: ${shop}`);
+    console.log('[StatusMonitor START] Starting scheduler for all shops.');
     setTimeout(() => {
-        console.log(`[StatusMonitor RUN] Initial status check for shop: ${shop}`);
-        checkAndActivateScheduledDrops(shop);
-        checkAndCompleteActiveDrops(shop);
+        console.log('[StatusMonitor RUN] Initial scheduler tick.');
+        runSchedulerTick();
     }, 500);
-
-    const intervalId = setInterval(async () => {
-        // console.log(`[StatusMonitor RUN] Periodic check for shop: ${shop}`);
-        await checkAndActivateScheduledDrops(shop);
-        await checkAndCompleteActiveDrops(shop);
-        // Consider if broadcastRefreshInstruction should be here or handled by specific change events
-        if (Math.random() < 0.2) { // Reduce frequency of generic refresh
-             if (sharedBroadcastFunctions.broadcastRefreshInstruction) {
-                // sharedBroadcastFunctions.broadcastRefreshInstruction(shop);
-             } else {
-                // console.warn('[StatusMonitor] broadcastRefreshInstruction not available in shared functions.');
-             }
-        }
-    }, 10000); 
-    statusMonitoringIntervals[shop] = intervalId;
-    console.log(`[StatusMonitor START] Monitor started for shop: ${shop}. New Interval ID: ${intervalId}`);
+    schedulerIntervalId = setInterval(runSchedulerTick, SAFETY_SWEEP_MS);
+    console.log(`[StatusMonitor START] Scheduler started with ${SAFETY_SWEEP_MS / 1000}s safety sweep. Interval ID: ${schedulerIntervalId}`);
 }
 
-// Main function to stop monitoring for a specific shop
-export function stopStatusMonitoring(shop) {
-    if (!shop) {
-        console.warn('[StatusMonitor] Attempted to stop monitoring for undefined shop.');
+// Stops the scheduler (e.g. on shutdown)
+export function stopStatusMonitor() {
+    if (!schedulerIntervalId) {
+        console.log('[StatusMonitor STOP] No running scheduler to stop.');
         return;
     }
-    if (statusMonitoringIntervals[shop]) {
-        console.log(`[StatusMonitor STOP] Stopping monitor for shop: ${shop}. Interval ID: ${statusMonitoringIntervals[shop]}`);
-        clearInterval(statusMonitoringIntervals[shop]);
-        delete statusMonitoringIntervals[shop];
-        console.log(`[StatusMonitor STOP] Monitor stopped and interval cleared for shop: ${shop}`);
-    } else {
-        console.log(`[StatusMonitor STOP] No active monitor found to stop for shop: ${shop}`);
+    clearInterval(schedulerIntervalId);
+    clearTimeout(nextDueTimer);
+    clearTimeout(scheduleCheckTimer);
+    schedulerIntervalId = null;
+    nextDueTimer = null;
+    scheduleCheckTimer = null;
+    console.log('[StatusMonitor STOP] Scheduler stopped.');
+}
+
+// Called whenever drops are created, deleted, reordered or edited so the due timer is re-armed.
+// Debounced so bulk operations trigger a single tick.
+export function requestScheduleCheck(reason = 'unknown') {
+    console.log(`[StatusMonitor] Schedule check requested. Reason: ${reason}`);
+    clearTimeout(scheduleCheckTimer);
+    scheduleCheckTimer = setTimeout(() => {
+        scheduleCheckTimer = null;
+        runSchedulerTick();
+    }, SCHEDULE_CHECK_DEBOUNCE_MS);
+}
+
+// PostgREST "in" list for excluding shops from a query (shop domains never contain quotes)
+const toShopList = (shops) => `(${shops.map(shop => `"${shop}"`).join(',')})`;
+
+// Finds the earliest upcoming start_time/end_time across all shops and arms a timer for it.
+// Paused shops never activate, and shops paused with a frozen active drop never complete, so both are left out.
+// leaseRetryAt is when a shop skipped because another instance held its lease can be retried (failover).
+async function armNextDueTimer(pausedShops = [], leaseRetryAt = null) {
+    const nowIso = new Date().toISOString();
+    let nextStartQuery = supabase
+        .from('drops')
+        .select('start_time')
+        .eq('status', 'queued')
+        .gt('start_time', nowIso);
+    let nextEndQuery = supabase
+        .from('drops')
+        .select('end_time')
+        .eq('status', 'active')
+        .not('end_time', 'is', null);
+    const frozenShops = pausedShops.filter(p => p.pause_freezes_active).map(p => p.shop);
+    if (pausedShops.length > 0) nextStartQuery = nextStartQuery.not('shop', 'in', toShopList(pausedShops.map(p => p.shop)));
+    if (frozenShops.length > 0) nextEndQuery = nextEndQuery.not('shop', 'in', toShopList(frozenShops));
+    const [nextStartResult, nextEndResult] = await Promise.all([
+        nextStartQuery.order('start_time', { ascending: true }).limit(1).maybeSingle(),
+        nextEndQuery.order('end_time', { ascending: true }).limit(1).maybeSingle()
+    ]);
+    if (nextStartResult.error || nextEndResult.error) {
+        console.error('[StatusMonitor Timer] Error querying next due time:', (nextStartResult.error || nextEndResult.error).message);
+        return; // The safety sweep will retry
     }
+
+    const dueTimes = [nextStartResult.data?.start_time, nextEndResult.data?.end_time]
+        .filter(Boolean)
+        .map(time => new Date(time).getTime());
+    if (leaseRetryAt) dueTimes.push(leaseRetryAt);
+
+    clearTimeout(nextDueTimer);
+    nextDueTimer = null;
+    if (dueTimes.length === 0) {
+        console.log('[StatusMonitor Timer] Nothing due. Waiting for a schedule change or the safety sweep.');
+        return;
+    }
+
+    const nextDueAt = Math.min(...dueTimes);
+    const delay = Math.min(Math.max(nextDueAt - Date.now(), MIN_REARM_DELAY_MS), MAX_TIMER_DELAY_MS);
+    nextDueTimer = setTimeout(() => {
+        nextDueTimer = null;
+        runSchedulerTick();
+    }, delay);
+    console.log(`[StatusMonitor Timer] Next transition due at ${new Date(nextDueAt).toISOString()}. Timer armed for ${delay}ms.`);
 }
 
-async function checkAndActivateScheduledDrops(shop) {
-    // Add a clear log at the start of this function if not already present
-    console.log(`[StatusMonitor CheckActivate] Shop: ${shop} at ${new Date().toISOString()}`);
+// One batched pass over every shop: two queries find all due work, each shop is driven in turn,
+// then the timer is re-armed for the next transition.
+async function runSchedulerTick() {
+    if (isTickRunning) {
+        console.log('[StatusMonitor Tick] Previous tick still running. Will run again when it finishes.');
+        tickRequestedWhileRunning = true;
+        return;
+    }
+    isTickRunning = true;
     try {
         const now = new Date();
-        const { data: dropsToPotentiallyActivate, error: queryError } = await supabase
-            .from('drops')
-            .select('*')
-            .eq('shop', shop)
-            .eq('status', 'queued')
-            .lte('start_time', now.toISOString())
-            .order('start_time', { ascending: true });
-
-        if (queryError) {
-            console.error(`[StatusMonitor CheckActivate] Error querying queued for ${shop}:`, queryError.message);
+        const nowIso = now.toISOString();
+        const pausedShops = await getPausedShops();
+        const pausedByShop = Object.fromEntries(pausedShops.map(p => [p.shop, p]));
+        const [activeResult, dueQueuedResult] = await Promise.all([
+            supabase
+                .from('drops')
+                .select('id, shop, title, end_time')
+                .eq('status', 'active'),
+            supabase
+                .from('drops')
+                .select('id, shop, title, start_time, end_time, duration_minutes')
+                .eq('status', 'queued')
+                .lte('start_time', nowIso)
+                .order('start_time', { ascending: true })
+        ]);
+        if (activeResult.error) {
+            console.error('[StatusMonitor Tick] Error querying active drops:', activeResult.error.message);
+            return;
+        }
+        if (dueQueuedResult.error) {
+            console.error('[StatusMonitor Tick] Error querying due queued drops:', dueQueuedResult.error.message);
             return;
         }
 
-        if (dropsToPotentiallyActivate && dropsToPotentiallyActivate.length > 0) {
-            console.log(`[StatusMonitor] Found ${dropsToPotentiallyActivate.length} queued drops whose start time has passed for ${shop}.`);
-            const { data: currentActiveDrop, error: activeQueryError } = await supabase
-                .from('drops')
-                .select('id')
-                .eq('shop', shop)
-                .eq('status', 'active')
-                .maybeSingle();
-            if (activeQueryError) {
-                console.error(`[StatusMonitor] Error querying current active drop for ${shop}:`, activeQueryError.message);
-                return; // Don't proceed if we can't confirm current active state
-            }
+        const dropsByShop = {}; // Structure: { shop: { active: [...], dueQueued: [...] } }
+        const bucketFor = (shop) => (dropsByShop[shop] ||= { active: [], dueQueued: [] });
+        (activeResult.data || []).forEach(drop => bucketFor(drop.shop).active.push(drop));
+        (dueQueuedResult.data || []).forEach(drop => bucketFor(drop.shop).dueQueued.push(drop));
 
-            if (currentActiveDrop) {
-                console.log(`[StatusMonitor] Shop ${shop} already has an active drop (ID: ${currentActiveDrop.id}). Will not activate another yet.`);
-                // Potentially, complete this active drop if its end_time is also passed (handled by checkAndCompleteActiveDrops)
-                return;
+        // Only shops with something due need the lease; another instance may be driving them. It is held only while
+        // the shop is driven, so the other instance's timer can drive the shop's next transition.
+        let leaseRetryAt = null;
+        for (const [shop, drops] of Object.entries(dropsByShop)) {
+            const hasDueWork = drops.dueQueued.length > 0
+                || drops.active.some(drop => drop.end_time && new Date(drop.end_time).getTime() <= now.getTime());
+            if (!hasDueWork) continue;
+            const lease = await acquireShopLease(shop);
+            if (!lease.acquired) {
+                console.log(`[StatusMonitor Tick] Shop ${shop} is driven by instance ${lease.holder || 'unknown'}. Skipping on ${INSTANCE_ID}.`);
+                const retryAt = lease.expiresAt ? new Date(lease.expiresAt).getTime() + MIN_REARM_DELAY_MS : Date.now() + SAFETY_SWEEP_MS;
+                leaseRetryAt = Math.min(leaseRetryAt ?? retryAt, retryAt);
+                continue;
             }
-            
-            // No currently active drop, proceed to activate the earliest one that should be active
-            const dropToActivate = dropsToPotentiallyActivate[0]; // Already sorted by start_time
-            console.log(`[StatusMonitor] Attempting to activate drop ${dropToActivate.id} (${dropToActivate.title}) for shop ${shop}.`);
-            await activateDrop(shop, dropToActivate.id);
+            await processShopDrops(shop, drops.active, drops.dueQueued, now.getTime(), pausedByShop[shop]);
+            await releaseShopLease(shop);
         }
+        await armNextDueTimer(pausedShops, leaseRetryAt);
     } catch (error) {
-        console.error(`[StatusMonitor CheckActivate] Uncaught error for ${shop}:`, error.message, error.stack);
+        console.error('[StatusMonitor Tick] Uncaught error:', error.message, error.stack);
+    } finally {
+        isTickRunning = false;
+        if (tickRequestedWhileRunning) {
+            tickRequestedWhileRunning = false;
+            runSchedulerTick();
+        }
     }
 }
 
-async function checkAndCompleteActiveDrops(shop) {
-    console.log(`[StatusMonitor CheckComplete] Shop: ${shop} at ${new Date().toISOString()}`);
+// Completes expired active drops first so the next due drop can go live in the same tick.
+// A paused shop activates nothing; if the pause froze the active drop, it isn't completed either.
+async function processShopDrops(shop, activeDrops, dueQueuedDrops, nowMs, pauseState = null) {
     try {
-        const now = new Date();
-        const { data: activeDrops, error: queryError } = await supabase
-            .from('drops')
-            .select('*')
-            .eq('shop', shop)
-            .eq('status', 'active')
-            .lte('end_time', now.toISOString()); // Drops whose end_time is now or in the past
+        let stillActiveCount = 0;
+        for (const drop of activeDrops) {
+            if (pauseState?.pause_freezes_active) {
+                stillActiveCount++;
+            } else if (drop.end_time && new Date(drop.end_time).getTime() <= nowMs) {
+                console.log(`[StatusMonitor] Attempting to complete drop ${drop.id} (${drop.title}) for shop ${shop}.`);
+                const completedDrop = await completeActiveDrop(shop, drop.id);
+                if (!completedDrop) stillActiveCount++;
+            } else {
+                stillActiveCount++;
+            }
+        }
 
-        if (queryError) {
-            console.error(`[StatusMonitor CheckComplete] Error querying active for ${shop}:`, queryError.message);
+        if (dueQueuedDrops.length === 0) return;
+        if (pauseState) {
+            console.log(`[StatusMonitor] Queue for shop ${shop} is paused. ${dueQueuedDrops.length} due drop(s) will wait for resume.`);
+            return;
+        }
+        if (stillActiveCount > 0) {
+            console.log(`[StatusMonitor] Shop ${shop} already has an active drop. Will not activate another yet.`);
             return;
         }
 
-        if (activeDrops && activeDrops.length > 0) {
-            console.log(`[StatusMonitor] Found ${activeDrops.length} active drop(s) to complete for shop ${shop}.`);
-            for (const drop of activeDrops) {
-                console.log(`[StatusMonitor] Attempting to complete drop ${drop.id} (${drop.title}) for shop ${shop}.`);
-                await completeActiveDrop(shop, drop.id);
-            }
+        // No currently active drop, proceed to activate the earliest one that should be active
+        const dropToActivate = dueQueuedDrops[0]; // Already sorted by start_time
+        if (nowMs - new Date(dropToActivate.start_time).getTime() > CATCH_UP_GRACE_MS) {
+            await catchUpShop(shop, dueQueuedDrops, nowMs);
+            return;
         }
+        console.log(`[StatusMonitor] Attempting to activate drop ${dropToActivate.id} (${dropToActivate.title}) for shop ${shop}.`);
+        await activateDrop(shop, dropToActivate.id);
     } catch (error) {
-        console.error(`[StatusMonitor CheckComplete] Uncaught error for ${shop}:`, error.message, error.stack);
+        console.error(`[StatusMonitor] Uncaught error processing shop ${shop}:`, error.message, error.stack);
+    }
+}
+
+// Overdue drops (the scheduler wasn't running when they were due) are handled by the shop's catch_up_policy (see
+// queueManager planCatchUp). dueQueuedDrops is sorted by start_time and its first drop is past the grace period.
+async function catchUpShop(shop, dueQueuedDrops, nowMs) {
+    const settings = await getShopSettings(shop);
+    const policy = CATCH_UP_POLICIES.includes(settings.catch_up_policy) ? settings.catch_up_policy : DEFAULT_CATCH_UP_POLICY;
+    console.log(`[StatusMonitor] Shop ${shop} has ${dueQueuedDrops.length} overdue drop(s). Catching up with policy ${policy}.`);
+
+    const plan = planCatchUp(dueQueuedDrops, policy, nowMs);
+    await markDropsMissed(shop, plan.missedDrops);
+    if (!plan.dropToActivate) return;
+    const activatedDrop = await activateDrop(shop, plan.dropToActivate.id, { keepScheduledWindow: plan.keepScheduledWindow });
+    if (activatedDrop && plan.pushBackMs !== null) await pushBackQueue(shop, plan.pushBackMs, activatedDrop.end_time);
+}
+
+// Moves the remaining queue back by deltaMs so nothing starts before notBefore (the caught-up drop's end)
+async function pushBackQueue(shop, deltaMs, notBefore) {
+    const session = await loadShopSession(shop);
+    const constraints = await getScheduleConstraints(shop, session);
+    const queuedDrops = await getQueuedDrops(shop);
+    const shiftedCount = await applyStartTimes(shop, shiftStartTimes(queuedDrops, deltaMs, { notBefore, constraints }));
+    console.log(`[StatusMonitor] Pushed back ${shiftedCount} queued drop(s) for shop ${shop} by up to ${Math.round(deltaMs / 60000)} min.`);
+    if (shiftedCount > 0 && sharedBroadcastFunctions.broadcastScheduledDrops) sharedBroadcastFunctions.broadcastScheduledDrops(shop);
+}
+
+// Marks queued drops whose window passed without them running as missed, keeping the slot they were scheduled for
+async function markDropsMissed(shop, drops) {
+    if (drops.length === 0) return;
+    const results = await Promise.all(drops.map(drop =>
+        transitionDrop(shop, drop.id, 'queued', 'missed', {
+            reason: 'missed_during_downtime',
+            changes: { scheduled_start_time: drop.start_time, scheduled_end_time: drop.end_time }
+        })
+    ));
+    // Drops that were edited, deleted or activated in the meantime are left alone
+    const missedIds = results.filter(result => result.drop).map(result => result.drop.id);
+    if (missedIds.length === 0) return;
+    console.log(`[StatusMonitor] Marked ${missedIds.length} drop(s) as missed for shop ${shop}.`);
+
+    if (ioInstance) {
+        ioInstance.to(shop).emit('status_change', { type: 'missed', ids: missedIds, count: missedIds.length, timestamp: new Date().toISOString() });
     }
+    if (sharedBroadcastFunctions.broadcastScheduledDrops) sharedBroadcastFunctions.broadcastScheduledDrops(shop);
+    if (sharedBroadcastFunctions.broadcastCompletedDrops) sharedBroadcastFunctions.broadcastCompletedDrops(shop);
 }
 
-async function activateDrop(shop, dropId) {
+// Returns { problem, handle }: problem is 'product_not_found' or 'product_inactive' when the drop's product can no
+// longer go live, else null; handle is the product's current handle when known. If Shopify can't be asked (no
+// session, network error) the drop is given the benefit of the doubt. Also used by dropRoutes to vet a drop before
+// an operator action takes the current one off air.
+export async function checkDropProduct(shop, productId) {
+    const session = await loadShopSession(shop);
+    if (!session || !productId) return { problem: null, handle: null };
+    try {
+        const client = shopifyGraphql(session);
+        const response = await client.request(`query getDropProduct($id: ID!) { product(id: $id) { id status handle } }`, { variables: { id: productId } });
+        const product = response?.data?.product;
+        if (!product) return { problem: 'product_not_found', handle: null };
+        return { problem: product.status === 'ACTIVE' ? null : 'product_inactive', handle: product.handle || null };
+    } catch (error) {
+        console.warn(`[StatusMonitor] Could not check product ${productId} for ${shop} before activation:`, error.message);
+        return { problem: null, handle: null };
+    }
+}
+
+// Marks a queued drop that can't go live as failed and asks for another tick so the next due drop isn't held up
+async function failDrop(shop, drop, reason, audit) {
+    const { drop: failedDrop } = await transitionDrop(shop, drop.id, 'queued', 'failed', {
+        reason,
+        audit,
+        changes: { scheduled_start_time: drop.start_time, scheduled_end_time: drop.end_time }
+    });
+    if (!failedDrop) return;
+    console.warn(`[StatusMonitor] Drop ${drop.id} (${drop.title}) for ${shop} failed: ${reason}.`);
+    if (ioInstance) {
+        ioInstance.to(shop).emit('status_change', { type: 'failed', id: failedDrop.id, title: failedDrop.title, reason, timestamp: new Date().toISOString() });
+    }
+    if (sharedBroadcastFunctions.broadcastScheduledDrops) sharedBroadcastFunctions.broadcastScheduledDrops(shop);
+    if (sharedBroadcastFunctions.broadcastCompletedDrops) sharedBroadcastFunctions.broadcastCompletedDrops(shop);
+    requestScheduleCheck('drop_failed');
+}
+
+// Also used by dropRoutes for operator "activate now" / "skip" actions.
+// The drop runs from now for its full duration unless keepScheduledWindow is set, in which case it keeps its
+// scheduled start_time/end_time (catching up into the middle of its slot). scheduled_start_time/scheduled_end_time
+// and activated_at record the planned slot and the actual go-live time either way. audit defaults to the scheduler;
+// routes pass their own so the audit log shows who forced the activation.
+export async function activateDrop(shop, dropId, { keepScheduledWindow = false, audit = SCHEDULER_AUDIT } = {}) {
     console.log(`[StatusMonitor] Activating drop ${dropId} for ${shop} at ${new Date().toISOString()}`);
     try {
         const { data: dropDataToActivate, error: fetchError } = await supabase
@@ -153,28 +333,33 @@ async function activateDrop(shop, dropId) {
             console.error(`[StatusMonitor] Error fetching drop ${dropId} for activation or drop not found:`, fetchError?.message);
             return null;
         }
+        if (dropDataToActivate.status !== 'queued') {
+            console.warn(`[StatusMonitor] Drop ${dropId} for ${shop} is ${dropDataToActivate.status}, not queued. Not activating.`);
+            return null;
+        }
+        const { problem: productProblem, handle: productHandle } = await checkDropProduct(shop, dropDataToActivate.product_id);
+        if (productProblem) {
+            await failDrop(shop, dropDataToActivate, productProblem, audit);
+            return null;
+        }
 
         const activationTime = new Date();
         const calculatedEndTime = new Date(activationTime.getTime() + dropDataToActivate.duration_minutes * 60 * 1000);
-
-        const { data: activatedDrop, error: updateError } = await supabase
-            .from('drops')
-            .update({
-                status: 'active',
-                start_time: activationTime.toISOString(), 
-                end_time: calculatedEndTime.toISOString()
-            })
-            .eq('id', dropId)
-            .eq('shop', shop)
-            // .eq('status', 'queued') // Ensure we only activate a queued drop
-            .select()
-            .single();
-
-        if (updateError) {
-            console.error(`[StatusMonitor] Error updating drop ${dropId} to active for ${shop}:`, updateError.message);
-            return null;
+        const activationUpdate = {
+            scheduled_start_time: dropDataToActivate.start_time,
+            scheduled_end_time: dropDataToActivate.end_time,
+            activated_at: activationTime.toISOString()
+        };
+        if (productHandle) activationUpdate.product_handle = productHandle; // The metafield update reads it from the drop
+        if (!keepScheduledWindow) {
+            activationUpdate.start_time = activationTime.toISOString();
+            activationUpdate.end_time = calculatedEndTime.toISOString();
         }
 
+        // Lost races (another instance/request activated it, or another drop went live first) return null
+        const { drop: activatedDrop, lostRace } = await transitionDrop(shop, dropId, 'queued', 'active', { changes: activationUpdate, audit });
+        if (lostRace) return null;
+
         console.log(`[StatusMonitor] Successfully activated drop ${dropId} (${activatedDrop.title}) for shop ${shop}.`);
 
         if (ioInstance) {
@@ -184,7 +369,7 @@ async function activateDrop(shop, dropId) {
         if (sharedBroadcastFunctions.broadcastScheduledDrops) sharedBroadcastFunctions.broadcastScheduledDrops(shop);
         if (sharedBroadcastFunctions.broadcastRefreshInstruction) sharedBroadcastFunctions.broadcastRefreshInstruction(shop); // Notify for general UI update
 
-        const session = getValidShopSession(shop);
+        const session = await loadShopSession(shop);
         if (session) {
             await updateShopMetafield(shop, session, true, 'activateDrop');
         } else {
@@ -197,42 +382,41 @@ async function activateDrop(shop, dropId) {
     }
 }
 
-async function completeActiveDrop(shop, dropId) {
-    console.log(`[StatusMonitor] Completing drop ${dropId} for ${shop} at ${new Date().toISOString()}`);
+// Also used by dropRoutes to take the active drop off air early (endedEarly stamps end_time with the current time).
+// finalStatus is 'completed' (status_reason 'ended_early' when ended by an operator) or 'skipped' ('skipped_by_operator'
+// or 'superseded' when another drop was activated now). status_change carries finalStatus as its type.
+export async function completeActiveDrop(shop, dropId, { endedEarly = false, reason = null, finalStatus = 'completed', audit = SCHEDULER_AUDIT } = {}) {
+    console.log(`[StatusMonitor] Ending drop ${dropId} for ${shop} as ${finalStatus} at ${new Date().toISOString()}${endedEarly ? ' (ended early)' : ''}`);
     try {
-        const { data: completedDrop, error: updateError } = await supabase
-            .from('drops')
-            .update({ status: 'completed' }) // end_time should have been set at activation or by trigger
-            .eq('id', dropId)
-            .eq('shop', shop)
-            .eq('status', 'active') // Only complete if it was active
-            .select()
-            .single();
-
-        if (updateError) {
-            console.error(`[StatusMonitor] Error updating drop ${dropId} to completed for ${shop}:`, updateError.message);
-            return null;
-        }
-        if (!completedDrop) {
-            console.warn(`[StatusMonitor] Drop ${dropId} was not found or not active when trying to complete for ${shop}.`);
-            return null;
-        }
+        const completedAt = new Date().toISOString();
+        const completionUpdate = endedEarly
+            ? { end_time: completedAt, completed_at: completedAt }
+            : { completed_at: completedAt }; // end_time should have been set at activation or by trigger
+        // Only ends a drop that is still active; a lost race (already ended elsewhere) returns null
+        const { drop: completedDrop, lostRace } = await transitionDrop(shop, dropId, 'active', finalStatus, { reason, changes: completionUpdate, audit });
+        if (lostRace) return null;
 
         console.log(`[StatusMonitor] Successfully completed drop ${dropId} (${completedDrop.title}) for shop ${shop}.`);
 
         if (ioInstance) {
             ioInstance.to(shop).emit('active_drop', null);
-            ioInstance.to(shop).emit('status_change', { type: 'completed', id: completedDrop.id, title: completedDrop.title, timestamp: new Date().toISOString() });
+            ioInstance.to(shop).emit('status_change', { type: finalStatus, id: completedDrop.id, title: completedDrop.title, ended_early: endedEarly, reason, timestamp: new Date().toISOString() });
         }
         if (sharedBroadcastFunctions.broadcastCompletedDrops) sharedBroadcastFunctions.broadcastCompletedDrops(shop);
         if (sharedBroadcastFunctions.broadcastRefreshInstruction) sharedBroadcastFunctions.broadcastRefreshInstruction(shop); // Notify for general UI update
 
-        const session = getValidShopSession(shop);
+        const session = await loadShopSession(shop);
         if (session) {
             await updateShopMetafield(shop, session, true, 'completeActiveDrop');
         } else {
             console.warn(`[StatusMonitor] No valid session found for shop ${shop} when trying to update metafield after completion.`);
         }
+        // A last drop that ended (completed or skipped) starts the next rotation round, if the shop rotates its queue
+        const rotatedDrops = await rotateQueueIfDry(shop, completedDrop);
+        if (rotatedDrops.length > 0) {
+            if (sharedBroadcastFunctions.broadcastScheduledDrops) sharedBroadcastFunctions.broadcastScheduledDrops(shop);
+            requestScheduleCheck('rotation');
+        }
         return completedDrop;
     } catch (error) {
         console.error(`[StatusMonitor] Overall error in completeActiveDrop for ${dropId}, shop ${shop}:`, error.message, error.stack);
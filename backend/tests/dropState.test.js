@@ -0,0 +1,119 @@
+import test, { beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { transitionDrop, transitionDrops, historyStatusesFor, DROP_STATUSES, LIVE_STATUSES, TERMINAL_STATUSES } from '../dropState.js';
+
+const SHOP = 'state-test.myshopify.com';
+const drop = (id, status, shop = SHOP) => ({ id, shop, title: id, status, status_reason: null });
+
+let db;
+
+beforeEach(() => {
+    db = installFakeSupabase({
+        tables: { drops: [drop('q1', 'queued'), drop('q2', 'queued'), drop('q3', 'queued'), drop('other', 'queued', 'other-shop.myshopify.com')], drop_events: [] },
+        // idx_drops_one_live_per_shop (migrations/add_drop_status_reason.sql)
+        uniqueIndexes: { drops: [{ columns: ['shop'], where: row => LIVE_STATUSES.includes(row.status) }] }
+    });
+});
+
+afterEach(() => db.restore());
+
+const statusOf = (id) => db.tables.drops.find(d => d.id === id).status;
+
+test('a transition applies while the drop is still in the expected status', async () => {
+    const { drop: moved, lostRace } = await transitionDrop(SHOP, 'q1', 'queued', 'active', { changes: { activated_at: '2026-03-02T10:00:00.000Z' } });
+    assert.equal(lostRace, null);
+    assert.equal(moved.status, 'active');
+    assert.equal(moved.activated_at, '2026-03-02T10:00:00.000Z');
+    assert.equal(statusOf('q1'), 'active');
+});
+
+test('a transition from a status the drop already left loses the race and changes nothing', async () => {
+    await transitionDrop(SHOP, 'q1', 'queued', 'cancelled', { reason: 'deleted' });
+    assert.deepEqual(await transitionDrop(SHOP, 'q1', 'queued', 'active'), { drop: null, lostRace: 'status_changed' });
+    assert.deepEqual(await transitionDrop(SHOP, 'missing', 'queued', 'active'), { drop: null, lostRace: 'status_changed' });
+    assert.deepEqual(await transitionDrop('other-shop.myshopify.com', 'q2', 'queued', 'active'), { drop: null, lostRace: 'status_changed' });
+    assert.equal(statusOf('q1'), 'cancelled');
+    assert.equal(db.tables.drop_events.length, 1);
+});
+
+test('a second drop cannot go live while the shop already has one', async () => {
+    await transitionDrop(SHOP, 'q1', 'queued', 'active');
+    assert.deepEqual(await transitionDrop(SHOP, 'q2', 'queued', 'active'), { drop: null, lostRace: 'already_active' });
+    assert.equal(statusOf('q2'), 'queued');
+
+    // Racing activations: exactly one wins
+    await transitionDrop(SHOP, 'q1', 'active', 'completed');
+    const results = await Promise.all([transitionDrop(SHOP, 'q2', 'queued', 'active'), transitionDrop(SHOP, 'q3', 'queued', 'active')]);
+    assert.deepEqual(results.map(r => r.lostRace).sort(), ['already_active', null]);
+    assert.equal(db.tables.drops.filter(d => d.shop === SHOP && LIVE_STATUSES.includes(d.status)).length, 1);
+});
+
+test('another shop\'s live drop doesn\'t block activation', async () => {
+    await transitionDrop('other-shop.myshopify.com', 'other', 'queued', 'active');
+    assert.equal((await transitionDrop(SHOP, 'q1', 'queued', 'active')).lostRace, null);
+});
+
+test('transitionDrops moves only the drops still in the expected status', async () => {
+    await transitionDrop(SHOP, 'q1', 'queued', 'active');
+    const moved = await transitionDrops(SHOP, ['q1', 'q2'], 'queued', 'cancelled', { reason: 'deleted' });
+    assert.deepEqual(moved.map(d => d.id), ['q2']);
+    assert.equal(statusOf('q1'), 'active');
+
+    const cleared = await transitionDrops(SHOP, null, 'queued', 'cancelled', { reason: 'queue_cleared' });
+    assert.deepEqual(cleared.map(d => d.id), ['q3']);
+    assert.equal(statusOf('other'), 'queued');
+});
+
+// --- The full lifecycle ---
+const ALLOWED = [
+    ['queued', 'active'], ['queued', 'cancelled'], ['queued', 'missed'], ['queued', 'failed'],
+    ['active', 'paused'], ['active', 'completed'], ['active', 'skipped'], ['active', 'cancelled'],
+    ['paused', 'active'], ['paused', 'completed'], ['paused', 'skipped'], ['paused', 'cancelled'],
+    ['cancelled', 'queued']
+];
+
+test('only the lifecycle\'s transitions are allowed', async () => {
+    for (const from of DROP_STATUSES) {
+        for (const to of DROP_STATUSES) {
+            if (ALLOWED.some(([a, b]) => a === from && b === to)) continue;
+            await assert.rejects(transitionDrop(SHOP, 'q1', from, to), /Invalid drop status transition/, `${from} -> ${to}`);
+        }
+    }
+    assert.equal(statusOf('q1'), 'queued');
+    await assert.rejects(transitionDrops(SHOP, null, 'completed', 'queued'), /Invalid drop status transition/);
+});
+
+test('a drop runs through its lifecycle with status reasons and audit events', async () => {
+    const audit = { source: 'api', actor: 'staff@example.com' };
+    await transitionDrop(SHOP, 'q1', 'queued', 'active');
+    await transitionDrop(SHOP, 'q1', 'active', 'paused');
+    await transitionDrop(SHOP, 'q1', 'paused', 'active');
+    const { drop: ended } = await transitionDrop(SHOP, 'q1', 'active', 'completed', { reason: 'ended_early', audit });
+    assert.deepEqual([ended.status, ended.status_reason], ['completed', 'ended_early']);
+
+    await transitionDrop(SHOP, 'q2', 'queued', 'cancelled', { reason: 'deleted' });
+    await transitionDrop(SHOP, 'q2', 'cancelled', 'queued');
+
+    assert.deepEqual(db.tables.drop_events.map(e => [e.drop_id, e.event_type]), [
+        ['q1', 'activated'], ['q1', 'paused'], ['q1', 'resumed'], ['q1', 'completed'], ['q2', 'cancelled'], ['q2', 'restored']
+    ]);
+    const endedEvent = db.tables.drop_events[3];
+    assert.deepEqual([endedEvent.source, endedEvent.actor, endedEvent.details], ['api', 'staff@example.com', { from: 'active', reason: 'ended_early' }]);
+});
+
+test('transitionDrops only makes terminal moves and audits each drop', async () => {
+    await assert.rejects(transitionDrops(SHOP, ['q1'], 'queued', 'active'), /Use transitionDrop/);
+    await transitionDrops(SHOP, ['q1', 'q2'], 'queued', 'missed', { reason: 'missed_during_downtime' });
+    assert.deepEqual(db.tables.drop_events.map(e => [e.drop_id, e.event_type, e.details.reason]), [
+        ['q1', 'missed', 'missed_during_downtime'], ['q2', 'missed', 'missed_during_downtime']
+    ]);
+});
+
+test('historyStatusesFor maps a history filter to terminal statuses', () => {
+    assert.deepEqual(historyStatusesFor(), TERMINAL_STATUSES);
+    assert.deepEqual(historyStatusesFor('all'), TERMINAL_STATUSES);
+    assert.deepEqual(historyStatusesFor('missed'), ['missed']);
+    assert.equal(historyStatusesFor('queued'), null);
+    assert.equal(historyStatusesFor('bogus'), null);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { withTiming, summarizePunctuality } from '../dropTiming.js';
+
+const BASE_MS = Date.parse('2026-03-02T10:00:00.000Z');
+const at = (minutes) => new Date(BASE_MS + minutes * 60 * 1000).toISOString();
+
+// A completed hour-long drop scheduled at minute 0, activated and completed at the given minutes
+const ran = (activatedAt, completedAt) => ({
+    status: 'completed',
+    scheduled_start_time: at(0),
+    scheduled_end_time: at(60),
+    activated_at: at(activatedAt),
+    completed_at: at(completedAt)
+});
+
+test('withTiming compares the scheduled slot with what really happened', () => {
+    const timed = withTiming(ran(5, 45));
+    assert.deepEqual([timed.delay_seconds, timed.planned_duration_minutes, timed.actual_duration_minutes, timed.cut_short], [300, 60, 40, true]);
+    assert.equal(withTiming(ran(0.5, 60.5)).cut_short, false);
+});
+
+test('withTiming leaves fields null for drops without timing records', () => {
+    const timed = withTiming({ status: 'completed' });
+    assert.deepEqual([timed.delay_seconds, timed.planned_duration_minutes, timed.actual_duration_minutes, timed.cut_short], [null, null, null, false]);
+});
+
+test('summarizePunctuality counts on-time and late activations within the grace period', () => {
+    const summary = summarizePunctuality([
+        ran(0.5, 60.5),  // 30s late: on time
+        ran(-10, 50),    // activated early by an operator: no delay
+        ran(10, 70),     // 10 min late
+        ran(2, 30),      // 2 min late and cut short
+        { status: 'completed' },
+        { status: 'skipped' },
+        { status: 'missed' },
+        { status: 'missed' },
+        { status: 'failed' }
+    ]);
+    assert.deepEqual(summary, {
+        completed_count: 5,
+        measured_count: 4,
+        on_time_count: 2,
+        late_count: 2,
+        average_delay_seconds: Math.round((30 + 0 + 600 + 120) / 4),
+        max_delay_seconds: 600,
+        cut_short_count: 1,
+        skipped_count: 1,
+        missed_count: 2,
+        failed_count: 1
+    });
+});
+
+test('summarizePunctuality reports null averages when nothing was measured', () => {
+    const summary = summarizePunctuality([]);
+    assert.equal(summary.completed_count, 0);
+    assert.equal(summary.average_delay_seconds, null);
+    assert.equal(summary.max_delay_seconds, null);
+});
@@ -0,0 +1,178 @@
+import { supabase } from '../../supabaseClient.js';
+
+// In-memory stand-in for the Supabase client, covering the query shapes the backend modules use (select/insert/
+// update/delete with eq, neq, in, is, lt/lte/gt/gte, order, limit, maybeSingle/single, and rpc). It swaps the
+// methods on the shared client, so the modules under test run unchanged. Options:
+//   tables        - { table: [row, ...] } initial rows (copied)
+//   defaults      - { table: { column: value } } column defaults for inserted rows (id and created_at are always set)
+//   uniqueIndexes - { table: [{ columns, where? }] } inserts/updates that break one fail with Postgres code 23505
+//   beforeWrite   - { table: (row) => row } stands in for triggers (e.g. the drops end_time calculation)
+//   rpc           - { name: (args, db) => ({ data, error }) }
+// Returns db: { tables, restore() }.
+const UNIQUE_VIOLATION = { code: '23505', message: 'duplicate key value violates unique constraint' };
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T/;
+
+function compareValues(a, b) {
+    if (typeof a === 'string' && typeof b === 'string' && ISO_TIMESTAMP.test(a) && ISO_TIMESTAMP.test(b)) {
+        return new Date(a).getTime() - new Date(b).getTime();
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function project(row, columns) {
+    if (!columns || columns.trim() === '*') return { ...row };
+    return Object.fromEntries(columns.split(',').map(column => column.trim()).map(column => [column, row[column] ?? null]));
+}
+
+class FakeQuery {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.action = 'select';
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.returning = null;
+        this.singleMode = null;
+    }
+
+    select(columns = '*') {
+        this.returning = columns;
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.payload = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    eq(column, value) { return this.where(row => compareValues(row[column], value) === 0); }
+    neq(column, value) { return this.where(row => compareValues(row[column], value) !== 0); }
+    in(column, values) { return this.where(row => values.includes(row[column])); }
+    is(column, value) { return this.where(row => (row[column] ?? null) === value); }
+    lt(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) < 0); }
+    lte(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) <= 0); }
+    gt(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) > 0); }
+    gte(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) >= 0); }
+
+    where(predicate) {
+        this.filters.push(predicate);
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybe';
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+
+    rows() {
+        return (this.db.tables[this.table] ||= []);
+    }
+
+    matching() {
+        return this.rows().filter(row => this.filters.every(predicate => predicate(row)));
+    }
+
+    violatesUniqueIndex(candidateRows) {
+        return (this.db.uniqueIndexes[this.table] || []).some(({ columns, where = () => true }) => {
+            const keys = candidateRows.filter(where).map(row => JSON.stringify(columns.map(column => row[column])));
+            return new Set(keys).size !== keys.length;
+        });
+    }
+
+    execute() {
+        let affected;
+        if (this.action === 'select') {
+            affected = this.matching();
+            for (const { column, ascending } of [...this.orders].reverse()) {
+                affected = [...affected].sort((a, b) => (ascending ? 1 : -1) * compareValues(a[column], b[column]));
+            }
+            if (this.limitCount !== null) affected = affected.slice(0, this.limitCount);
+        } else if (this.action === 'insert') {
+            const trigger = this.db.beforeWrite[this.table] || (row => row);
+            affected = this.payload.map(row => trigger({
+                id: `${this.table}-${++this.db.nextId}`,
+                created_at: new Date().toISOString(),
+                ...this.db.defaults[this.table],
+                ...row
+            }));
+            if (this.violatesUniqueIndex([...this.rows(), ...affected])) return { data: null, error: UNIQUE_VIOLATION };
+            this.rows().push(...affected);
+        } else if (this.action === 'update') {
+            const trigger = this.db.beforeWrite[this.table] || (row => row);
+            const targets = this.matching();
+            const updatedById = new Map(targets.map(row => [row, trigger({ ...row, ...this.payload })]));
+            const nextRows = this.rows().map(row => updatedById.get(row) || row);
+            if (this.violatesUniqueIndex(nextRows)) return { data: null, error: UNIQUE_VIOLATION };
+            this.db.tables[this.table] = nextRows;
+            affected = [...updatedById.values()];
+        } else {
+            affected = this.matching();
+            this.db.tables[this.table] = this.rows().filter(row => !affected.includes(row));
+        }
+
+        if (this.returning === null) return { data: null, error: null };
+        const data = affected.map(row => project(row, this.returning));
+        if (this.singleMode === 'maybe') {
+            if (data.length > 1) return { data: null, error: { code: 'PGRST116', message: 'Results contain more than one row' } };
+            return { data: data[0] || null, error: null };
+        }
+        if (this.singleMode === 'single') {
+            if (data.length !== 1) return { data: null, error: { code: 'PGRST116', message: `Expected one row, got ${data.length}` } };
+            return { data: data[0], error: null };
+        }
+        return { data, error: null };
+    }
+}
+
+export function installFakeSupabase({ tables = {}, defaults = {}, uniqueIndexes = {}, beforeWrite = {}, rpc = {} } = {}) {
+    const original = { from: supabase.from, rpc: supabase.rpc };
+    const db = {
+        tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.map(row => ({ ...row }))])),
+        defaults,
+        uniqueIndexes,
+        beforeWrite,
+        nextId: 0,
+        restore() {
+            supabase.from = original.from;
+            supabase.rpc = original.rpc;
+        }
+    };
+    supabase.from = (table) => new FakeQuery(db, table);
+    supabase.rpc = async (name, args) => {
+        if (!rpc[name]) return { data: null, error: { message: `Unknown rpc ${name}` } };
+        return rpc[name](args, db);
+    };
+    return db;
+}
@@ -0,0 +1,96 @@
+import test, { beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import {
+    claimIdempotencyKey,
+    saveIdempotentResponse,
+    releaseIdempotencyKey,
+    purgeExpiredIdempotencyKeys,
+    IDEMPOTENCY_KEY_RETENTION_HOURS
+} from '../idempotencyManager.js';
+
+const SHOP = 'idempotency-test.myshopify.com';
+const KEY = 'key-1';
+const REQUEST = { method: 'POST', path: '/api/drops/schedule-all', hash: 'hash-a' };
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+let db;
+
+beforeEach(() => {
+    db = installFakeSupabase({
+        tables: { idempotency_keys: [] },
+        defaults: { idempotency_keys: { response_status: null, response_body: null, completed_at: null } },
+        uniqueIndexes: { idempotency_keys: [{ columns: ['shop', 'idempotency_key'] }] }
+    });
+});
+
+afterEach(() => db.restore());
+
+test('the first request claims the key', async () => {
+    assert.deepEqual(await claimIdempotencyKey(SHOP, KEY, REQUEST), { claimed: true });
+    assert.equal(db.tables.idempotency_keys.length, 1);
+    assert.equal(db.tables.idempotency_keys[0].request_hash, 'hash-a');
+});
+
+test('a repeat while the first request is still running gets 409 in progress', async () => {
+    await claimIdempotencyKey(SHOP, KEY, REQUEST);
+    const repeat = await claimIdempotencyKey(SHOP, KEY, REQUEST);
+    assert.equal(repeat.status, 409);
+    assert.equal(repeat.inProgress, true);
+});
+
+test('a repeat after the response was stored replays it', async () => {
+    await claimIdempotencyKey(SHOP, KEY, REQUEST);
+    await saveIdempotentResponse(SHOP, KEY, 202, { message: 'Scheduling started.' });
+    assert.deepEqual(await claimIdempotencyKey(SHOP, KEY, REQUEST), { replay: { status: 202, body: { message: 'Scheduling started.' } } });
+});
+
+test('a key reused for a different request is rejected with 422', async () => {
+    await claimIdempotencyKey(SHOP, KEY, REQUEST);
+    await saveIdempotentResponse(SHOP, KEY, 200, { ok: true });
+    for (const other of [{ ...REQUEST, hash: 'hash-b' }, { ...REQUEST, method: 'DELETE' }, { ...REQUEST, path: '/api/drops/append' }]) {
+        const result = await claimIdempotencyKey(SHOP, KEY, other);
+        assert.equal(result.status, 422);
+        assert.equal(result.replay, undefined);
+    }
+});
+
+test('keys are scoped to the shop', async () => {
+    await claimIdempotencyKey(SHOP, KEY, REQUEST);
+    assert.deepEqual(await claimIdempotencyKey('other-shop.myshopify.com', KEY, REQUEST), { claimed: true });
+});
+
+test('a released key (after a 5xx) can be claimed again', async () => {
+    await claimIdempotencyKey(SHOP, KEY, REQUEST);
+    await releaseIdempotencyKey(SHOP, KEY);
+    assert.deepEqual(await claimIdempotencyKey(SHOP, KEY, REQUEST), { claimed: true });
+});
+
+test('releasing with createdAt leaves a newer claim of the key alone', async () => {
+    await claimIdempotencyKey(SHOP, KEY, REQUEST);
+    await releaseIdempotencyKey(SHOP, KEY, hoursAgo(1));
+    assert.equal(db.tables.idempotency_keys.length, 1);
+});
+
+test('an abandoned claim is taken over', async () => {
+    const abandonedAt = hoursAgo(0.5); // longer ago than the in-progress timeout
+    db.tables.idempotency_keys.push({ shop: SHOP, idempotency_key: KEY, request_method: 'POST', request_path: REQUEST.path, request_hash: 'hash-a', response_status: null, created_at: abandonedAt });
+    assert.deepEqual(await claimIdempotencyKey(SHOP, KEY, REQUEST), { claimed: true });
+    assert.equal(db.tables.idempotency_keys.length, 1);
+    assert.notEqual(db.tables.idempotency_keys[0].created_at, abandonedAt);
+});
+
+test('an expired key starts over, even for a different request', async () => {
+    db.tables.idempotency_keys.push({ shop: SHOP, idempotency_key: KEY, request_method: 'POST', request_path: REQUEST.path, request_hash: 'hash-old', response_status: 200, response_body: { ok: true }, created_at: hoursAgo(IDEMPOTENCY_KEY_RETENTION_HOURS + 1) });
+    assert.deepEqual(await claimIdempotencyKey(SHOP, KEY, REQUEST), { claimed: true });
+    assert.equal(db.tables.idempotency_keys[0].request_hash, 'hash-a');
+});
+
+test('purging removes only keys past the retention window', async () => {
+    db.tables.idempotency_keys.push(
+        { shop: SHOP, idempotency_key: 'old', created_at: hoursAgo(IDEMPOTENCY_KEY_RETENTION_HOURS + 1) },
+        { shop: SHOP, idempotency_key: 'recent', created_at: hoursAgo(1) }
+    );
+    assert.equal(await purgeExpiredIdempotencyKeys(), 1);
+    assert.deepEqual(db.tables.idempotency_keys.map(row => row.idempotency_key), ['recent']);
+});
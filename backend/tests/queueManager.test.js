@@ -0,0 +1,357 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import {
+    moveDropInQueue,
+    swapDropsInQueue,
+    chainStartTimes,
+    assignSlots,
+    chainDailySlots,
+    chainDailySlotsAfter,
+    shiftStartTimes,
+    applyStartTimes,
+    planCatchUp,
+    findScheduleConflicts,
+    resolveScheduleConflicts,
+    insertDropsWithConflictPolicy,
+    placementHash
+} from '../queueManager.js';
+
+const MINUTE_MS = 60 * 1000;
+const BASE_MS = Date.parse('2026-03-02T10:00:00.000Z');
+const at = (minutes) => new Date(BASE_MS + minutes * MINUTE_MS).toISOString();
+
+// Back-to-back hour-long drops a, b, c, d starting at BASE
+const queue = () => ['a', 'b', 'c', 'd'].map((id, index) => ({ id, start_time: at(index * 60), duration_minutes: 60 }));
+const ids = (drops) => drops.map(drop => drop.id);
+
+test('moveDropInQueue moves a drop and reports the first changed index', () => {
+    const { reordered, firstChangedIndex } = moveDropInQueue(queue(), 'd', 1);
+    assert.deepEqual(ids(reordered), ['a', 'd', 'b', 'c']);
+    assert.equal(firstChangedIndex, 1);
+
+    const movedBack = moveDropInQueue(queue(), 'a', 2);
+    assert.deepEqual(ids(movedBack.reordered), ['b', 'c', 'a', 'd']);
+    assert.equal(movedBack.firstChangedIndex, 0);
+});
+
+test('moveDropInQueue clamps the position and leaves the input alone', () => {
+    const drops = queue();
+    assert.deepEqual(ids(moveDropInQueue(drops, 'b', 99).reordered), ['a', 'c', 'd', 'b']);
+    assert.deepEqual(ids(moveDropInQueue(drops, 'c', -5).reordered), ['c', 'a', 'b', 'd']);
+    assert.deepEqual(ids(drops), ['a', 'b', 'c', 'd']);
+    assert.equal(moveDropInQueue(drops, 'missing', 0), null);
+});
+
+test('swapDropsInQueue swaps two drops', () => {
+    const { reordered, firstChangedIndex } = swapDropsInQueue(queue(), 'd', 'b');
+    assert.deepEqual(ids(reordered), ['a', 'd', 'c', 'b']);
+    assert.equal(firstChangedIndex, 1);
+    assert.equal(swapDropsInQueue(queue(), 'a', 'missing'), null);
+});
+
+test('chainStartTimes re-times a reordered queue back to back and returns only the moved drops', () => {
+    const { reordered, firstChangedIndex } = moveDropInQueue(queue(), 'd', 1);
+    assert.deepEqual(chainStartTimes(reordered, firstChangedIndex, at(60)), [
+        { id: 'd', start_time: at(60) },
+        { id: 'b', start_time: at(120) },
+        { id: 'c', start_time: at(180) }
+    ]);
+});
+
+test('chainStartTimes follows each drop\'s own duration', () => {
+    const drops = [
+        { id: 'short', start_time: at(0), duration_minutes: 15 },
+        { id: 'long', start_time: at(60), duration_minutes: 90 },
+        { id: 'last', start_time: at(200), duration_minutes: 30 }
+    ];
+    assert.deepEqual(chainStartTimes(drops, 0, at(0)), [
+        { id: 'long', start_time: at(15) },
+        { id: 'last', start_time: at(105) }
+    ]);
+    assert.deepEqual(chainStartTimes(drops.slice(0, 1), 0, at(0)), []);
+});
+
+// Mondays and Tuesdays 10:00-12:00 UTC; BASE is Monday 10:00
+const MORNINGS = { timeZone: 'UTC', windows: [1, 2].map(weekday => ({ weekday, start: '10:00', end: '12:00' })), blackoutDates: [] };
+
+test('chainStartTimes keeps re-timed drops inside the schedule windows', () => {
+    assert.deepEqual(chainStartTimes(queue(), 0, at(0), MORNINGS), [
+        { id: 'c', start_time: at(24 * 60) },
+        { id: 'd', start_time: at(24 * 60 + 60) }
+    ]);
+});
+
+// Hour-long drops with a half-hour gap before the last one
+const spacedQueue = () => [
+    { id: 'a', start_time: at(0), duration_minutes: 60 },
+    { id: 'b', start_time: at(60), duration_minutes: 60 },
+    { id: 'c', start_time: at(150), duration_minutes: 60 }
+];
+
+test('shiftStartTimes moves the queue by the delta and keeps its spacing', () => {
+    assert.deepEqual(shiftStartTimes(spacedQueue(), 15 * MINUTE_MS), [
+        { id: 'a', start_time: at(15) },
+        { id: 'b', start_time: at(75) },
+        { id: 'c', start_time: at(165) }
+    ]);
+    assert.deepEqual(shiftStartTimes(spacedQueue(), 0), []);
+});
+
+test('shiftStartTimes pulls the queue earlier, but never before notBefore', () => {
+    // The active drop was shortened so it now ends at minute -20; nothing may start before minute -10
+    assert.deepEqual(shiftStartTimes(spacedQueue(), -30 * MINUTE_MS, { notBefore: at(-10) }), [
+        { id: 'a', start_time: at(-10) },
+        { id: 'b', start_time: at(50) },
+        { id: 'c', start_time: at(120) }
+    ]);
+});
+
+test('shiftStartTimes never lets a drop start before the previous one ends', () => {
+    const overlapping = [{ id: 'long', start_time: at(0), duration_minutes: 120 }, { id: 'next', start_time: at(60), duration_minutes: 60 }];
+    assert.deepEqual(shiftStartTimes(overlapping, 0), [{ id: 'next', start_time: at(120) }]);
+});
+
+test('shiftStartTimes lands each drop in the next allowed slot', () => {
+    assert.deepEqual(shiftStartTimes(spacedQueue(), 30 * MINUTE_MS, { constraints: MORNINGS }), [
+        { id: 'a', start_time: at(30) },
+        { id: 'b', start_time: at(24 * 60) },
+        { id: 'c', start_time: at(24 * 60 + 60) }
+    ]);
+});
+
+// --- Daily mode ---
+// One 60-minute drop a day at 10:00 New York time, Nov 2-5 2026 (EST from Nov 1)
+const DAILY = { dropTime: '10:00', durationMinutes: 60, constraints: { timeZone: 'America/New_York', windows: [], blackoutDates: [] } };
+const dailyQueue = () => ['mon', 'tue', 'wed', 'thu'].map((id, index) => ({ id, start_time: `2026-11-0${index + 2}T15:00:00.000Z`, duration_minutes: 60 }));
+const slotsOf = (drops) => drops.map(({ start_time, duration_minutes }) => ({ start_time, duration_minutes }));
+
+test('a reordered daily queue keeps its day slots and only swaps which drop sits in each', () => {
+    const queuedDrops = dailyQueue();
+    const { reordered, firstChangedIndex } = moveDropInQueue(queuedDrops, 'thu', 0);
+    const updates = assignSlots(reordered.slice(firstChangedIndex), slotsOf(queuedDrops.slice(firstChangedIndex)));
+    assert.deepEqual(updates.map(u => [u.id, u.start_time]), [
+        ['thu', '2026-11-02T15:00:00.000Z'],
+        ['mon', '2026-11-03T15:00:00.000Z'],
+        ['tue', '2026-11-04T15:00:00.000Z'],
+        ['wed', '2026-11-05T15:00:00.000Z']
+    ]);
+    assert.ok(updates.every(u => u.duration_minutes === 60));
+    assert.deepEqual(assignSlots(queuedDrops, slotsOf(queuedDrops)), []);
+});
+
+test('a drop moved into a daily slot takes that day\'s length', () => {
+    // Until-the-next-slot drops: Oct 31 is 25h long in New York, Nov 2 is 24h
+    const drops = [{ id: 'long', start_time: '2026-10-31T14:00:00.000Z', duration_minutes: 1500 }, { id: 'short', start_time: '2026-11-02T15:00:00.000Z', duration_minutes: 1440 }];
+    assert.deepEqual(assignSlots([drops[1], drops[0]], slotsOf(drops)), [
+        { id: 'short', start_time: '2026-10-31T14:00:00.000Z', duration_minutes: 1500 },
+        { id: 'long', start_time: '2026-11-02T15:00:00.000Z', duration_minutes: 1440 }
+    ]);
+});
+
+test('chainDailySlots moves the following drops up one per day, skipping blackout dates', () => {
+    const remaining = dailyQueue().slice(1); // mon was deleted
+    assert.deepEqual(chainDailySlots(remaining, 0, '2026-11-02', DAILY).map(u => [u.id, u.start_time]), [
+        ['tue', '2026-11-02T15:00:00.000Z'],
+        ['wed', '2026-11-03T15:00:00.000Z'],
+        ['thu', '2026-11-04T15:00:00.000Z']
+    ]);
+    const withBlackout = { ...DAILY, constraints: { ...DAILY.constraints, blackoutDates: ['2026-11-03'] } };
+    assert.deepEqual(chainDailySlots(remaining, 0, '2026-11-02', withBlackout).map(u => u.id), ['tue']);
+    assert.deepEqual(chainDailySlots(remaining, 3, '2026-11-02', DAILY), []);
+});
+
+test('a drop activated now in daily mode leaves the rest of the daily queue in its slots', () => {
+    // wed went live at 15:00 on Nov 2 for an hour; mon's slot was already used, tue and thu keep theirs
+    const remaining = dailyQueue().filter(d => d.id === 'tue' || d.id === 'thu');
+    assert.deepEqual(chainDailySlotsAfter(remaining, '2026-11-02T21:00:00.000Z', DAILY), []);
+});
+
+test('a live daily drop that runs into the next slot moves the queue back by whole days', () => {
+    // A 24h drop activated at 15:00 on Nov 2 runs until 15:00 on Nov 3, past tue's 10:00 slot
+    const remaining = dailyQueue().slice(1);
+    assert.deepEqual(chainDailySlotsAfter(remaining, '2026-11-03T20:00:00.000Z', DAILY).map(u => [u.id, u.start_time]), [
+        ['tue', '2026-11-04T15:00:00.000Z'],
+        ['wed', '2026-11-05T15:00:00.000Z'],
+        ['thu', '2026-11-06T15:00:00.000Z']
+    ]);
+    assert.deepEqual(chainDailySlotsAfter([], '2026-11-03T20:00:00.000Z', DAILY), []);
+});
+
+// --- Catching up after downtime ---
+// Back online at minute 150: a and b have passed, c (minute 120-180) is running late, d hasn't started
+const NOW_MS = Date.parse(at(150));
+const overdue = () => [
+    { id: 'a', start_time: at(0), end_time: at(60) },
+    { id: 'b', start_time: at(60), end_time: at(120) },
+    { id: 'c', start_time: at(120), end_time: at(180) }
+];
+const catchUp = (drops, policy) => {
+    const plan = planCatchUp(drops, policy, NOW_MS);
+    return { ...plan, missedDrops: ids(plan.missedDrops), dropToActivate: plan.dropToActivate?.id ?? null };
+};
+
+test('run_late runs the oldest overdue drop now and pushes the queue back by its delay', () => {
+    assert.deepEqual(catchUp(overdue(), 'run_late'), { missedDrops: [], dropToActivate: 'a', keepScheduledWindow: false, pushBackMs: 150 * MINUTE_MS });
+});
+
+test('skip_missed marks passed drops missed and runs the current one for its full length', () => {
+    assert.deepEqual(catchUp(overdue(), 'skip_missed'), { missedDrops: ['a', 'b'], dropToActivate: 'c', keepScheduledWindow: false, pushBackMs: 30 * MINUTE_MS });
+});
+
+test('jump_to_current marks passed drops missed and runs the current one in its scheduled window', () => {
+    assert.deepEqual(catchUp(overdue(), 'jump_to_current'), { missedDrops: ['a', 'b'], dropToActivate: 'c', keepScheduledWindow: true, pushBackMs: null });
+});
+
+test('with every overdue window passed, skipping policies activate nothing', () => {
+    for (const policy of ['skip_missed', 'jump_to_current']) {
+        assert.deepEqual(catchUp(overdue().slice(0, 2), policy), { missedDrops: ['a', 'b'], dropToActivate: null, keepScheduledWindow: policy === 'jump_to_current', pushBackMs: null });
+    }
+});
+
+// --- Conflict policies ---
+const SHOP = 'queue-test.myshopify.com';
+const existing = (id, startMinutes, durationMinutes = 60, status = 'queued') => ({
+    id, title: id, status, start_time: at(startMinutes), end_time: at(startMinutes + durationMinutes), duration_minutes: durationMinutes
+});
+const newDrop = (productId, startMinutes, durationMinutes = 60) => ({ product_id: productId, title: productId, start_time: at(startMinutes), duration_minutes: durationMinutes });
+
+test('findScheduleConflicts treats windows as half-open', () => {
+    const occupied = [existing('x', 0), existing('y', 120)];
+    assert.deepEqual(findScheduleConflicts(occupied, [newDrop('p', 60)]), []);
+    const conflicts = findScheduleConflicts(occupied, [newDrop('p', 30), newDrop('q', 90, 60)]);
+    assert.deepEqual(conflicts.map(c => [c.id, c.overlaps.map(o => o.product_id)]), [['x', ['p']], ['y', ['q']]]);
+});
+
+test('the reject policy keeps everything where it is and reports the conflicts', () => {
+    const placement = resolveScheduleConflicts([existing('x', 0)], [newDrop('p', 30)], 'reject');
+    assert.equal(placement.conflicts.length, 1);
+    assert.deepEqual(placement.placedDrops.map(d => d.start_time), [at(30)]);
+    assert.deepEqual(placement.shiftedDrops, []);
+});
+
+test('first_gap moves new drops into the first free gaps, in order', () => {
+    const occupied = [existing('x', 0), existing('y', 90), existing('z', 210)];
+    const placement = resolveScheduleConflicts(occupied, [newDrop('p', 30, 30), newDrop('q', 30, 60)], 'first_gap');
+    assert.deepEqual(placement.placedDrops.map(d => d.start_time), [at(60), at(150)]);
+    assert.deepEqual(placement.shiftedDrops, []);
+});
+
+test('push_back keeps the new block in place and pushes later queued drops back', () => {
+    const occupied = [existing('live', -30, 60, 'active'), existing('x', 30), existing('y', 90), existing('far', 600)];
+    const placement = resolveScheduleConflicts(occupied, [newDrop('p', 30), newDrop('q', 90)], 'push_back');
+    assert.deepEqual(placement.placedDrops.map(d => d.start_time), [at(30), at(90)]);
+    assert.deepEqual(placement.shiftedDrops, [{ id: 'x', start_time: at(150) }, { id: 'y', start_time: at(210) }]);
+});
+
+test('push_back never moves the live drop and starts the block after it', () => {
+    const occupied = [existing('live', 0, 60, 'active'), existing('x', 60)];
+    const placement = resolveScheduleConflicts(occupied, [newDrop('p', 30)], 'push_back');
+    assert.deepEqual(placement.placedDrops.map(d => d.start_time), [at(60)]);
+    assert.deepEqual(placement.shiftedDrops, [{ id: 'x', start_time: at(120) }]);
+});
+
+test('first_gap only places drops inside the schedule windows', () => {
+    const placement = resolveScheduleConflicts([existing('x', 0)], [newDrop('p', 0, 90)], 'first_gap', MORNINGS);
+    assert.deepEqual(placement.placedDrops.map(d => d.start_time), [at(24 * 60)]);
+});
+
+test('push_back moves pushed drops into the next allowed slot', () => {
+    const placement = resolveScheduleConflicts([existing('x', 0), existing('y', 60)], [newDrop('p', 0)], 'push_back', MORNINGS);
+    assert.deepEqual(placement.shiftedDrops, [{ id: 'x', start_time: at(60) }, { id: 'y', start_time: at(24 * 60) }]);
+});
+
+const withEndTime = (row) => ({ ...row, end_time: new Date(new Date(row.start_time).getTime() + row.duration_minutes * MINUTE_MS).toISOString() });
+const installQueue = (drops) => installFakeSupabase({
+    tables: { drops: drops.map(drop => ({ ...drop, shop: SHOP })), drop_events: [] },
+    beforeWrite: { drops: withEndTime }
+});
+
+test('push_back inserts the new drops before moving the existing ones', async (t) => {
+    const db = installQueue([existing('x', 0), existing('y', 60)]);
+    t.after(() => db.restore());
+
+    const result = await insertDropsWithConflictPolicy(SHOP, [{ ...newDrop('p', 0), shop: SHOP, status: 'queued' }], 'push_back', '[test]');
+    assert.equal(result.insertedDrops.length, 1);
+    assert.equal(result.shiftedCount, 2);
+    const startById = Object.fromEntries(db.tables.drops.map(d => [d.id === 'x' || d.id === 'y' ? d.id : d.product_id, d.start_time]));
+    assert.deepEqual(startById, { x: at(60), y: at(120), p: at(0) });
+    const eventTypes = db.tables.drop_events.map(e => e.event_type);
+    assert.deepEqual(eventTypes, ['created', 'rescheduled', 'rescheduled']);
+});
+
+test('a cancelled bulk insert only pushes existing drops back as far as the inserted drops need', async (t) => {
+    const db = installQueue([existing('x', 0)]);
+    t.after(() => db.restore());
+
+    const dropsToInsert = Array.from({ length: 120 }, (_, index) => ({ ...newDrop(`p${index}`, index * 60), shop: SHOP, status: 'queued' }));
+    let batches = 0;
+    const result = await insertDropsWithConflictPolicy(SHOP, dropsToInsert, 'push_back', '[test]', null, undefined, {
+        onBatchInserted: () => { batches++; },
+        isCancelled: () => batches >= 1
+    });
+    assert.equal(result.cancelled, true);
+    assert.equal(result.insertedDrops.length, 50);
+    assert.equal(result.shiftedCount, 1);
+    assert.equal(db.tables.drops.find(d => d.id === 'x').start_time, at(50 * 60));
+});
+
+test('the reject policy writes nothing when the new drops overlap', async (t) => {
+    const db = installQueue([existing('x', 0)]);
+    t.after(() => db.restore());
+
+    const result = await insertDropsWithConflictPolicy(SHOP, [{ ...newDrop('p', 30), shop: SHOP, status: 'queued' }], 'reject', '[test]');
+    assert.equal(result.rejected, true);
+    assert.equal(db.tables.drops.length, 1);
+    assert.equal(db.tables.drop_events.length, 0);
+});
+
+// --- Confirming a preview ---
+test('placementHash changes when any drop would be placed or moved differently', () => {
+    const placement = { placedDrops: [newDrop('p', 0), newDrop('q', 60)], shiftedDrops: [{ id: 'x', start_time: at(120) }] };
+    const hash = placementHash(placement);
+    assert.equal(placementHash({ ...placement }), hash);
+    assert.notEqual(placementHash({ ...placement, placedDrops: [newDrop('p', 0), newDrop('q', 90)] }), hash);
+    assert.notEqual(placementHash({ ...placement, placedDrops: [newDrop('p', 0), newDrop('q', 60, 30)] }), hash);
+    assert.notEqual(placementHash({ ...placement, shiftedDrops: [] }), hash);
+});
+
+test('a plan laid out from now hashes the same once the clock moves on', () => {
+    const laidOutAt = (minutes) => ({ placedDrops: [newDrop('p', minutes), newDrop('q', minutes + 60)], shiftedDrops: [] });
+    assert.equal(placementHash(laidOutAt(5), { startsNow: true }), placementHash(laidOutAt(0), { startsNow: true }));
+    assert.notEqual(placementHash(laidOutAt(5)), placementHash(laidOutAt(0)));
+});
+
+test('a confirmed preview writes nothing when the placement has changed', async (t) => {
+    const db = installQueue([existing('x', 0)]);
+    t.after(() => db.restore());
+
+    const dropsToInsert = [{ ...newDrop('p', 0), shop: SHOP, status: 'queued' }];
+    const previewed = placementHash({ placedDrops: dropsToInsert, shiftedDrops: [] }); // before x was scheduled
+    const result = await insertDropsWithConflictPolicy(SHOP, dropsToInsert, 'push_back', '[test]', null, undefined, { expectedPlan: { hash: previewed } });
+    assert.deepEqual([result.rejected, result.planChanged], [true, true]);
+    assert.equal(db.tables.drops.length, 1);
+    assert.equal(db.tables.drops[0].start_time, at(0));
+});
+
+test('a confirmed preview goes ahead when the placement is unchanged', async (t) => {
+    const db = installQueue([existing('x', 0)]);
+    t.after(() => db.restore());
+
+    const dropsToInsert = [{ ...newDrop('p', 0), shop: SHOP, status: 'queued' }];
+    const previewed = placementHash({ placedDrops: dropsToInsert, shiftedDrops: [{ id: 'x', start_time: at(60) }] });
+    const result = await insertDropsWithConflictPolicy(SHOP, dropsToInsert, 'push_back', '[test]', null, undefined, { expectedPlan: { hash: previewed } });
+    assert.equal(result.rejected, false);
+    assert.equal(result.insertedDrops.length, 1);
+});
+
+test('applyStartTimes saves a new duration along with the start time when given one', async (t) => {
+    const db = installQueue([existing('x', 0), existing('y', 60)]);
+    t.after(() => db.restore());
+
+    assert.equal(await applyStartTimes(SHOP, [{ id: 'x', start_time: at(120), duration_minutes: 30 }, { id: 'y', start_time: at(0) }]), 2);
+    const byId = Object.fromEntries(db.tables.drops.map(d => [d.id, d]));
+    assert.deepEqual([byId.x.start_time, byId.x.duration_minutes, byId.x.end_time], [at(120), 30, at(150)]);
+    assert.deepEqual([byId.y.start_time, byId.y.duration_minutes], [at(0), 60]);
+    assert.deepEqual(db.tables.drop_events.map(e => e.details), [{ start_time: at(120), duration_minutes: 30 }, { start_time: at(0) }]);
+});
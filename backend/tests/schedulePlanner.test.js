@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { nextAllowedStart, planBackToBackSlots, planDailySlots, nextCadenceDate } from '../schedulePlanner.js';
+
+const NEW_YORK = 'America/New_York';
+// Monday to Friday, 09:00-17:00 shop time
+const OFFICE_HOURS = [1, 2, 3, 4, 5].map(weekday => ({ weekday, start: '09:00', end: '17:00' }));
+const officeHours = (blackoutDates = []) => ({ timeZone: NEW_YORK, windows: OFFICE_HOURS, blackoutDates });
+const iso = (date) => date.toISOString();
+
+// --- Schedule windows and blackout dates ---
+test('nextAllowedStart leaves the time alone without schedule rules', () => {
+    assert.equal(iso(nextAllowedStart('2026-06-06T03:00:00.000Z', 60, { timeZone: NEW_YORK, windows: [], blackoutDates: [] })), '2026-06-06T03:00:00.000Z');
+    assert.equal(iso(nextAllowedStart('2026-06-06T03:00:00.000Z', 60, null)), '2026-06-06T03:00:00.000Z');
+});
+
+test('nextAllowedStart moves a drop that doesn\'t fit to the next window', () => {
+    // Friday 2026-06-05 15:00 fits an hour; at 16:30 it would run past 17:00, so it moves to Monday 09:00
+    assert.equal(iso(nextAllowedStart('2026-06-05T19:00:00.000Z', 60, officeHours())), '2026-06-05T19:00:00.000Z');
+    assert.equal(iso(nextAllowedStart('2026-06-05T20:30:00.000Z', 60, officeHours())), '2026-06-08T13:00:00.000Z');
+    // Saturday night moves to Monday's opening, or Tuesday's when Monday is blacked out
+    assert.equal(iso(nextAllowedStart('2026-06-06T23:00:00.000Z', 60, officeHours())), '2026-06-08T13:00:00.000Z');
+    assert.equal(iso(nextAllowedStart('2026-06-06T23:00:00.000Z', 60, officeHours(['2026-06-08']))), '2026-06-09T13:00:00.000Z');
+});
+
+test('a drop longer than its window may only start when the window opens', () => {
+    assert.equal(iso(nextAllowedStart('2026-06-01T13:00:00.000Z', 600, officeHours())), '2026-06-01T13:00:00.000Z');
+    assert.equal(iso(nextAllowedStart('2026-06-01T14:00:00.000Z', 600, officeHours())), '2026-06-02T13:00:00.000Z');
+});
+
+test('nextAllowedStart gives up when nothing within a year is allowed', () => {
+    const everyDay = Array.from({ length: 400 }, (_, i) => new Date(Date.UTC(2026, 5, 1 + i)).toISOString().slice(0, 10));
+    assert.throws(() => nextAllowedStart('2026-06-01T12:00:00.000Z', 60, officeHours(everyDay)), /No allowed drop slot/);
+});
+
+test('planBackToBackSlots skips closed hours and blackout dates', () => {
+    const slots = planBackToBackSlots({ startTime: '2026-06-05T19:00:00.000Z', count: 3, durationMinutes: 60, ...officeHours(['2026-06-08']) });
+    assert.deepEqual(slots, [
+        { start_time: '2026-06-05T19:00:00.000Z', duration_minutes: 60 },
+        { start_time: '2026-06-05T20:00:00.000Z', duration_minutes: 60 },
+        { start_time: '2026-06-09T13:00:00.000Z', duration_minutes: 60 }
+    ]);
+});
+
+test('planBackToBackSlots steps on the wall clock across DST', () => {
+    const slots = planBackToBackSlots({ startTime: '2026-03-07T15:00:00.000Z', count: 3, durationMinutes: 1440, timeZone: NEW_YORK });
+    assert.deepEqual(slots, [
+        { start_time: '2026-03-07T15:00:00.000Z', duration_minutes: 1380 },
+        { start_time: '2026-03-08T14:00:00.000Z', duration_minutes: 1440 },
+        { start_time: '2026-03-09T14:00:00.000Z', duration_minutes: 1440 }
+    ]);
+});
+
+// --- Daily cadence ---
+test('planDailySlots runs each drop until the next day\'s slot, 23h on the spring-forward day', () => {
+    const slots = planDailySlots({ firstDate: '2026-03-07', dropTime: '10:00', count: 3, timeZone: NEW_YORK });
+    assert.deepEqual(slots, [
+        { start_time: '2026-03-07T15:00:00.000Z', duration_minutes: 1380 },
+        { start_time: '2026-03-08T14:00:00.000Z', duration_minutes: 1440 },
+        { start_time: '2026-03-09T14:00:00.000Z', duration_minutes: 1440 }
+    ]);
+});
+
+test('planDailySlots caps an explicit duration at the next day\'s slot', () => {
+    const slots = planDailySlots({ firstDate: '2026-10-31', dropTime: '10:00', count: 2, durationMinutes: 1440, timeZone: NEW_YORK });
+    assert.deepEqual(slots.map(s => s.duration_minutes), [1440, 1440]);
+    const short = planDailySlots({ firstDate: '2026-03-07', dropTime: '10:00', count: 2, durationMinutes: 1440, timeZone: NEW_YORK });
+    assert.deepEqual(short.map(s => s.duration_minutes), [1380, 1440]);
+    const explicit = planDailySlots({ firstDate: '2026-03-07', dropTime: '10:00', count: 1, durationMinutes: 90, timeZone: NEW_YORK });
+    assert.equal(explicit[0].duration_minutes, 90);
+});
+
+test('planDailySlots skips blackout dates and days whose windows miss the drop time', () => {
+    const withBlackout = planDailySlots({ firstDate: '2026-06-01', dropTime: '10:00', count: 2, timeZone: NEW_YORK, blackoutDates: ['2026-06-02'] });
+    assert.deepEqual(withBlackout.map(s => s.start_time), ['2026-06-01T14:00:00.000Z', '2026-06-03T14:00:00.000Z']);
+
+    // Only Mondays 09:00-12:00 and Wednesdays 12:00-18:00: Wednesday's window doesn't include 10:00
+    const windows = [{ weekday: 1, start: '09:00', end: '12:00' }, { weekday: 3, start: '12:00', end: '18:00' }];
+    const mondaysOnly = planDailySlots({ firstDate: '2026-06-01', dropTime: '10:00', count: 2, timeZone: NEW_YORK, windows });
+    assert.deepEqual(mondaysOnly.map(s => s.start_time), ['2026-06-01T14:00:00.000Z', '2026-06-08T14:00:00.000Z']);
+});
+
+test('planDailySlots gives up when no day within a year is allowed', () => {
+    assert.throws(
+        () => planDailySlots({ firstDate: '2026-06-01', dropTime: '20:00', count: 1, timeZone: NEW_YORK, windows: [{ weekday: 1, start: '09:00', end: '12:00' }] }),
+        /No allowed daily drop slot/
+    );
+});
+
+test('nextCadenceDate continues the day after the last drop, or from the next slot that hasn\'t started', () => {
+    const now = new Date('2026-06-01T15:00:00.000Z'); // 11:00 in New York
+    assert.equal(nextCadenceDate({ dropTime: '12:00', timeZone: NEW_YORK, now }), '2026-06-01');
+    assert.equal(nextCadenceDate({ dropTime: '10:00', timeZone: NEW_YORK, now }), '2026-06-02');
+    assert.equal(nextCadenceDate({ lastStartTime: '2026-06-05T14:00:00.000Z', dropTime: '10:00', timeZone: NEW_YORK, now }), '2026-06-06');
+    assert.equal(nextCadenceDate({ lastStartTime: '2026-05-20T14:00:00.000Z', dropTime: '12:00', timeZone: NEW_YORK, now }), '2026-06-01');
+});
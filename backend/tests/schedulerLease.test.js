@@ -0,0 +1,135 @@
+import test, { beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { transitionDrop, LIVE_STATUSES } from '../dropState.js';
+
+// Two scheduler instances sharing one database. Each instance is its own copy of schedulerLease.js (the query string
+// gives it a separate module record, so a separate INSTANCE_ID); both talk to the same fake database.
+process.env.SCHEDULER_INSTANCE_ID = 'instance-a';
+const instanceA = await import('../schedulerLease.js?instance=a');
+process.env.SCHEDULER_INSTANCE_ID = 'instance-b';
+const instanceB = await import('../schedulerLease.js?instance=b');
+delete process.env.SCHEDULER_INSTANCE_ID;
+
+const SHOP = 'lease-test.myshopify.com';
+const MINUTE_MS = 60 * 1000;
+
+// Same rules as acquire_scheduler_lease in migrations/create_scheduler_leases.sql: take a missing or expired lease,
+// renew one we hold, otherwise report the current holder. Synchronous, so as atomic as the single SQL statement.
+function acquireSchedulerLease({ p_shop, p_holder, p_ttl_seconds }, db) {
+    const leases = (db.tables.scheduler_leases ||= []);
+    const expiresAt = new Date(Date.now() + p_ttl_seconds * 1000).toISOString();
+    let lease = leases.find(l => l.shop === p_shop);
+    if (!lease) {
+        lease = { shop: p_shop, holder: p_holder, expires_at: expiresAt };
+        leases.push(lease);
+    } else if (lease.holder === p_holder || new Date(lease.expires_at).getTime() < Date.now()) {
+        Object.assign(lease, { holder: p_holder, expires_at: expiresAt });
+    }
+    return { data: [{ lease_holder: lease.holder, lease_expires_at: lease.expires_at }], error: null };
+}
+
+const queuedDrop = (id, startOffsetMinutes) => {
+    const start = Date.now() + startOffsetMinutes * MINUTE_MS;
+    return { id, shop: SHOP, title: id, status: 'queued', start_time: new Date(start).toISOString(), end_time: new Date(start + MINUTE_MS).toISOString(), duration_minutes: 1 };
+};
+
+// The lease gate of statusMonitor's runSchedulerTick for one shop: only the lease holder completes what has ended
+// and, with nothing left live, activates the earliest due drop, then releases the lease. Returns what this instance did.
+async function schedulerTick(instance) {
+    const nowMs = Date.now();
+    const lease = await instance.acquireShopLease(SHOP);
+    if (!lease.acquired) return { instance: instance.INSTANCE_ID, skipped: true, holder: lease.holder, activated: [] };
+    for (const drop of db.tables.drops.filter(d => LIVE_STATUSES.includes(d.status) && new Date(d.end_time).getTime() <= nowMs)) {
+        await transitionDrop(SHOP, drop.id, drop.status, 'completed');
+    }
+    const due = db.tables.drops.filter(d => d.status === 'queued' && new Date(d.start_time).getTime() <= nowMs)
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    const activated = [];
+    if (due.length > 0 && !db.tables.drops.some(d => LIVE_STATUSES.includes(d.status))) {
+        const { drop } = await transitionDrop(SHOP, due[0].id, 'queued', 'active');
+        if (drop) activated.push(drop.id);
+    }
+    await instance.releaseShopLease(SHOP);
+    return { instance: instance.INSTANCE_ID, skipped: false, activated };
+}
+
+let db;
+
+beforeEach(() => {
+    db = installFakeSupabase({
+        tables: { drops: [], drop_events: [], scheduler_leases: [] },
+        uniqueIndexes: { drops: [{ columns: ['shop'], where: row => LIVE_STATUSES.includes(row.status) }] },
+        rpc: { acquire_scheduler_lease: acquireSchedulerLease }
+    });
+});
+
+afterEach(() => db.restore());
+
+test('the two instances have different ids', () => {
+    assert.notEqual(instanceA.INSTANCE_ID, instanceB.INSTANCE_ID);
+});
+
+test('only one of two concurrent scheduler loops holds the lease and activates drops', async () => {
+    db.tables.drops.push(queuedDrop('drop-1', -0.5), queuedDrop('drop-2', -0.25), queuedDrop('drop-3', 5));
+
+    const results = [];
+    for (let round = 0; round < 5; round++) {
+        results.push(...await Promise.all([schedulerTick(instanceA), schedulerTick(instanceB)]));
+    }
+
+    for (let round = 0; round < results.length; round += 2) {
+        const [a, b] = results.slice(round, round + 2);
+        assert.equal([a, b].filter(r => !r.skipped).length, 1, `exactly one instance drove the shop in round ${round / 2}`);
+        const skipped = a.skipped ? a : b;
+        assert.notEqual(skipped.holder, skipped.instance);
+    }
+    assert.deepEqual(results.flatMap(r => r.activated), ['drop-1']);
+    assert.deepEqual(db.tables.scheduler_leases, [], 'the driver released the lease after each tick');
+});
+
+test('a drop due after one instance drove the shop is driven by the other without waiting for the lease', async () => {
+    db.tables.drops.push(queuedDrop('drop-1', -0.5));
+    assert.deepEqual((await schedulerTick(instanceA)).activated, ['drop-1']);
+    db.tables.drops[0].end_time = new Date(Date.now() - 1000).toISOString(); // drop-1 has ended
+    db.tables.drops.push(queuedDrop('drop-2', -0.1));
+
+    const next = await schedulerTick(instanceB);
+    assert.equal(next.skipped, false);
+    assert.deepEqual(next.activated, ['drop-2']);
+    assert.equal(db.tables.drops.find(d => d.id === 'drop-1').status, 'completed');
+});
+
+test('a crashed holder fails over once its lease expires', async () => {
+    db.tables.drops.push(queuedDrop('drop-1', -0.5));
+    await transitionDrop(SHOP, 'drop-1', 'queued', 'active');
+    db.tables.drops[0].end_time = new Date(Date.now() - 1000).toISOString(); // drop-1 has ended
+    db.tables.drops.push(queuedDrop('drop-2', -0.1));
+
+    // instance-a crashes mid-tick, after claiming the lease and before releasing it; the lease is still valid
+    assert.equal((await instanceA.acquireShopLease(SHOP)).acquired, true);
+    assert.equal((await schedulerTick(instanceB)).skipped, true);
+    assert.equal(db.tables.drops.find(d => d.id === 'drop-2').status, 'queued');
+
+    db.tables.scheduler_leases[0].expires_at = new Date(Date.now() - 1000).toISOString(); // one TTL later
+    const takeover = await schedulerTick(instanceB);
+    assert.equal(takeover.skipped, false);
+    assert.deepEqual(takeover.activated, ['drop-2']);
+    assert.equal(db.tables.drops.find(d => d.id === 'drop-1').status, 'completed');
+    assert.deepEqual(db.tables.scheduler_leases, []);
+});
+
+test('releasing on shutdown hands the shop over without waiting for expiry', async () => {
+    assert.equal((await instanceA.acquireShopLease(SHOP)).acquired, true);
+    assert.equal((await instanceB.acquireShopLease(SHOP)).acquired, false);
+
+    assert.equal(await instanceB.releaseShopLeases(), 0, 'an instance only releases its own leases');
+    assert.equal(await instanceA.releaseShopLeases(), 1);
+    assert.equal((await instanceB.acquireShopLease(SHOP)).acquired, true);
+});
+
+test('the lease fails closed when it cannot be checked', async () => {
+    db.restore();
+    db = installFakeSupabase({ rpc: { acquire_scheduler_lease: () => ({ data: null, error: { message: 'connection refused' } }) } });
+    assert.deepEqual(await instanceA.acquireShopLease(SHOP), { acquired: false, holder: null, expiresAt: null });
+});
@@ -0,0 +1,5 @@
+// Loaded before every test file (see the test script in package.json). supabaseClient.js exits without these; the
+// values are dummies on purpose so a test that forgets to install tests/helpers/fakeSupabase.js can't reach a real
+// project.
+process.env.SUPABASE_PROJECT_URL = 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
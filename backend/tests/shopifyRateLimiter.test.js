@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpThrottlingError, GraphqlQueryError } from '@shopify/shopify-api';
+import { callWithRetries, graphqlQueryCost, getShopifyApiMetrics } from '../shopifyRateLimiter.js';
+
+// Each test uses its own shop, so buckets and metrics don't carry over
+let shopCount = 0;
+const newShop = () => `rate-limit-${++shopCount}.myshopify.com`;
+const QUERY = 'query { shop { name } }';
+
+const rest = (shop, call) => callWithRetries(shop, 'rest', () => 1, null, call);
+const graphql = (shop, call) => callWithRetries(shop, 'graphql', () => graphqlQueryCost(shop, QUERY), QUERY, call);
+const restResponse = (callLimit) => ({ body: {}, headers: { 'X-Shopify-Shop-Api-Call-Limit': [callLimit] } });
+const graphqlResponse = (cost) => ({ data: {}, extensions: { cost } });
+const throttleStatus = (currentlyAvailable, restoreRate = 1000) => ({ maximumAvailable: 1000, currentlyAvailable, restoreRate });
+
+test('the REST bucket follows Shopify\'s call limit header and waits when it is full', async () => {
+    const shop = newShop();
+    await rest(shop, async () => restResponse('39/40'));
+    assert.deepEqual(getShopifyApiMetrics(shop).rest_bucket, { used: 39, capacity: 40 });
+
+    const startedAt = Date.now();
+    const finishedAfterMs = await Promise.all([1, 2].map(() => rest(shop, async () => Date.now() - startedAt)));
+    assert.ok(finishedAfterMs[0] < 100, 'the first call fits the last free slot');
+    assert.ok(finishedAfterMs[1] >= 450, 'the second call waits for one request to leak out (2/s)');
+    const metrics = getShopifyApiMetrics(shop);
+    assert.equal(metrics.rest_calls, 3);
+    assert.ok(metrics.wait_ms > 400 && metrics.wait_ms <= 500);
+});
+
+test('a GraphQL query reserves what it cost last time', async () => {
+    const shop = newShop();
+    assert.equal(graphqlQueryCost(shop, QUERY), 50);
+    await graphql(shop, async () => graphqlResponse({ requestedQueryCost: 120, actualQueryCost: 100, throttleStatus: throttleStatus(880) }));
+    assert.equal(graphqlQueryCost(shop, QUERY), 120);
+    assert.equal(graphqlQueryCost(shop, 'query { other }'), 50);
+
+    const metrics = getShopifyApiMetrics(shop);
+    assert.deepEqual([metrics.graphql_cost_requested, metrics.graphql_cost_actual], [120, 100]);
+    assert.deepEqual(metrics.graphql_budget, { available: 880, maximum: 1000, restore_rate: 1000 });
+});
+
+test('a GraphQL query waits until the budget restores enough for its cost', async () => {
+    const shop = newShop();
+    await graphql(shop, async () => graphqlResponse({ requestedQueryCost: 200, actualQueryCost: 200, throttleStatus: throttleStatus(100) }));
+
+    const startedAt = Date.now();
+    await graphql(shop, async () => graphqlResponse({ requestedQueryCost: 200 }));
+    assert.ok(Date.now() - startedAt >= 50, 'waited for about 100 points at 1000/s');
+    assert.ok(getShopifyApiMetrics(shop).wait_ms > 0);
+});
+
+test('a throttled call is retried after a backoff', async () => {
+    const shop = newShop();
+    const attempts = [];
+    const response = await graphql(shop, async () => {
+        attempts.push(Date.now());
+        if (attempts.length === 1) {
+            throw new GraphqlQueryError({
+                message: 'Throttled',
+                response: {},
+                body: { errors: { graphQLErrors: [{ extensions: { code: 'THROTTLED' } }] }, extensions: { cost: { requestedQueryCost: 300, throttleStatus: throttleStatus(0) } } }
+            });
+        }
+        return graphqlResponse({ requestedQueryCost: 300 });
+    });
+    assert.deepEqual(response.data, {});
+    assert.equal(attempts.length, 2);
+    assert.ok(attempts[1] - attempts[0] >= 1000, 'backs off at least BASE_BACKOFF_MS');
+    const metrics = getShopifyApiMetrics(shop);
+    assert.deepEqual([metrics.graphql_calls, metrics.throttled, metrics.retries, metrics.failures], [2, 1, 1, 0]);
+    assert.ok(metrics.last_throttled_at);
+});
+
+test('a REST 429 fills the bucket before retrying', async () => {
+    const shop = newShop();
+    let attempts = 0;
+    let usedOnRetry = null;
+    await rest(shop, async () => {
+        if (++attempts === 1) throw new HttpThrottlingError({ message: 'Too many requests', code: 429, statusText: 'Too Many Requests' });
+        usedOnRetry = getShopifyApiMetrics(shop).rest_bucket.used;
+        return restResponse('1/40');
+    });
+    assert.equal(attempts, 2);
+    // Full at the 429, then leaking 2/s through the ~1s backoff before the retry took its slot
+    assert.ok(usedOnRetry >= 36 && usedOnRetry <= 39, `bucket at ${usedOnRetry} on retry`);
+    const metrics = getShopifyApiMetrics(shop);
+    assert.deepEqual([metrics.throttled, metrics.retries], [1, 1]);
+    assert.ok(metrics.rest_bucket.used <= 1, 'synced from the retry\'s call limit header');
+});
+
+test('other errors fail straight away', async () => {
+    const shop = newShop();
+    let attempts = 0;
+    await assert.rejects(rest(shop, async () => { attempts++; throw new Error('Not Found'); }), /Not Found/);
+    assert.equal(attempts, 1);
+    assert.deepEqual([getShopifyApiMetrics(shop).failures, getShopifyApiMetrics(shop).retries], [1, 0]);
+    assert.equal(getShopifyApiMetrics('unknown-shop.myshopify.com'), null);
+});
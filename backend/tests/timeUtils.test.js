@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isValidTimeZone,
+    getZonedParts,
+    zonedWallTimeToUtc,
+    isValidDateString,
+    zonedDateTimeToUtc,
+    addWallClockMinutes,
+    formatZonedDate,
+    addDaysToDateString,
+    formatZonedTime
+} from '../timeUtils.js';
+
+const NEW_YORK = 'America/New_York';
+const iso = (date) => date.toISOString();
+
+test('zonedWallTimeToUtc converts an ordinary wall-clock time', () => {
+    assert.equal(iso(zonedWallTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9, minute: 0 }, NEW_YORK)), '2026-01-15T14:00:00.000Z');
+    assert.equal(iso(zonedWallTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9, minute: 0 }, NEW_YORK)), '2026-07-15T13:00:00.000Z');
+    assert.equal(iso(zonedWallTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9, minute: 0 }, 'UTC')), '2026-07-15T09:00:00.000Z');
+});
+
+test('a time skipped by spring-forward moves forward by the gap', () => {
+    // 2026-03-08 02:00 EST jumps to 03:00 EDT, so 02:30 does not exist
+    const skipped = zonedWallTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NEW_YORK);
+    assert.equal(iso(skipped), '2026-03-08T07:30:00.000Z');
+    assert.equal(formatZonedTime(skipped, NEW_YORK), '03:30');
+});
+
+test('a time repeated by fall-back resolves to the first occurrence', () => {
+    // 2026-11-01 02:00 EDT falls back to 01:00 EST, so 01:30 happens twice
+    const repeated = zonedWallTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, NEW_YORK);
+    assert.equal(iso(repeated), '2026-11-01T05:30:00.000Z');
+    assert.equal(getZonedParts(repeated, NEW_YORK).hour, 1);
+});
+
+test('addWallClockMinutes keeps the wall-clock time across DST switches', () => {
+    const beforeSpring = zonedDateTimeToUtc('2026-03-07', '10:00', NEW_YORK);
+    const nextDay = addWallClockMinutes(beforeSpring, 24 * 60, NEW_YORK);
+    assert.equal(formatZonedTime(nextDay, NEW_YORK), '10:00');
+    assert.equal(nextDay.getTime() - beforeSpring.getTime(), 23 * 60 * 60 * 1000);
+
+    const beforeFall = zonedDateTimeToUtc('2026-10-31', '10:00', NEW_YORK);
+    const afterFall = addWallClockMinutes(beforeFall, 24 * 60, NEW_YORK);
+    assert.equal(formatZonedDate(afterFall, NEW_YORK), '2026-11-01');
+    assert.equal(afterFall.getTime() - beforeFall.getTime(), 25 * 60 * 60 * 1000);
+});
+
+test('isValidDateString rejects malformed and non-existent dates', () => {
+    assert.equal(isValidDateString('2026-02-28'), true);
+    assert.equal(isValidDateString('2028-02-29'), true);
+    for (const invalid of ['2026-02-29', '2026-02-31', '2026-13-01', '2026-00-10', '2026-1-5', '', null, undefined]) {
+        assert.equal(isValidDateString(invalid), false, String(invalid));
+    }
+});
+
+test('zonedDateTimeToUtc returns null for invalid dates and times', () => {
+    assert.equal(iso(zonedDateTimeToUtc('2026-06-01', '18:45', NEW_YORK)), '2026-06-01T22:45:00.000Z');
+    assert.equal(zonedDateTimeToUtc('2026-02-31', '10:00', NEW_YORK), null);
+    assert.equal(zonedDateTimeToUtc('2026-06-01', '24:00', NEW_YORK), null);
+    assert.equal(zonedDateTimeToUtc('2026-06-01', '10:60', NEW_YORK), null);
+    assert.equal(zonedDateTimeToUtc('2026-06-01', '10am', NEW_YORK), null);
+});
+
+test('calendar helpers work in the shop\'s timezone', () => {
+    const lateEvening = new Date('2026-06-02T02:30:00.000Z'); // 22:30 on June 1 in New York
+    assert.equal(formatZonedDate(lateEvening, NEW_YORK), '2026-06-01');
+    assert.equal(formatZonedTime(lateEvening, NEW_YORK), '22:30');
+    assert.equal(getZonedParts(lateEvening, NEW_YORK).weekday, 1);
+    assert.equal(addDaysToDateString('2026-02-27', 3), '2026-03-02');
+    assert.equal(addDaysToDateString('2026-01-01', -1), '2025-12-31');
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+    assert.equal(isValidTimeZone(NEW_YORK), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(null), false);
+});
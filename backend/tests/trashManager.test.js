@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+import { restoreFromTrash } from '../trashManager.js';
+
+const MINUTE_MS = 60 * 1000;
+const SHOP = 'trash-test.myshopify.com';
+const BASE_MS = Math.ceil(Date.now() / (60 * MINUTE_MS)) * 60 * MINUTE_MS + 24 * 60 * MINUTE_MS; // Tomorrow, on the hour
+const at = (minutes) => new Date(BASE_MS + minutes * MINUTE_MS).toISOString();
+
+const withEndTime = (row) => ({ ...row, end_time: new Date(new Date(row.start_time).getTime() + row.duration_minutes * MINUTE_MS).toISOString() });
+const queued = (id, startMinutes) => withEndTime({ id, shop: SHOP, title: id, status: 'queued', start_time: at(startMinutes), duration_minutes: 60 });
+const trashed = (id, startMinutes) => ({
+    ...queued(id, startMinutes),
+    status: 'cancelled',
+    deleted_at: new Date().toISOString(),
+    deleted_batch_id: 'batch-1',
+    deleted_from_status: 'queued'
+});
+
+// x and y were deleted from 60-180; z was scheduled at 90 since, so restoring them pushes z back
+const installTrash = (beforeWrite) => installFakeSupabase({
+    tables: { drops: [trashed('x', 60), trashed('y', 120), queued('z', 90)], drop_events: [] },
+    beforeWrite: { drops: beforeWrite }
+});
+
+test('restoring queue drops puts them back before pushing the rest of the queue', async (t) => {
+    const queuedWhenZMoved = [];
+    const db = installTrash((row) => {
+        if (row.id === 'z') queuedWhenZMoved.push(...db.tables.drops.filter(d => d.status === 'queued' && d.id !== 'z').map(d => d.id));
+        return withEndTime(row);
+    });
+    t.after(() => db.restore());
+
+    const result = await restoreFromTrash(SHOP, { batchId: 'batch-1', conflictPolicy: 'push_back' });
+    assert.deepEqual({ restored: result.queueRestoredCount, shifted: result.shiftedCount }, { restored: 2, shifted: 1 });
+    assert.deepEqual(queuedWhenZMoved.sort(), ['x', 'y']);
+    const startById = Object.fromEntries(db.tables.drops.map(d => [d.id, d.start_time]));
+    assert.deepEqual(startById, { x: at(60), y: at(120), z: at(180) });
+});
+
+test('the queue is only pushed back for the drops that were actually restored', async (t) => {
+    // y is purged while x is being restored, so only x comes back
+    const db = installTrash((row) => {
+        if (row.id === 'x' && row.status === 'queued') db.tables.drops = db.tables.drops.filter(d => d.id !== 'y');
+        return withEndTime(row);
+    });
+    t.after(() => db.restore());
+
+    const result = await restoreFromTrash(SHOP, { batchId: 'batch-1', conflictPolicy: 'push_back' });
+    assert.deepEqual({ restored: result.queueRestoredCount, shifted: result.shiftedCount }, { restored: 1, shifted: 1 });
+    const startById = Object.fromEntries(db.tables.drops.map(d => [d.id, d.start_time]));
+    assert.deepEqual(startById, { x: at(60), z: at(120) });
+});
@@ -0,0 +1,113 @@
+// Timezone helpers built on Intl so shop-local wall-clock times survive DST switches without extra dependencies.
+
+const formatterCache = {};
+
+function getFormatter(timeZone) {
+    if (!formatterCache[timeZone]) {
+        formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            weekday: 'short'
+        });
+    }
+    return formatterCache[timeZone];
+}
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Wall-clock parts of an instant in a timezone: { year, month, day, hour, minute, second, weekday (0 = Sunday) }
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) parts[type] = value;
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+// Offset (local minus UTC) in ms for the given instant
+function getOffsetMs(timestampMs, timeZone) {
+    const p = getZonedParts(timestampMs, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(timestampMs / 1000) * 1000;
+}
+
+// Converts a shop-local wall-clock time to a UTC Date.
+// Times skipped by a spring-forward switch move forward by the gap (02:30 -> 03:30);
+// times repeated by a fall-back switch resolve to the first occurrence.
+export function zonedWallTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+    const firstGuess = wallMs - getOffsetMs(wallMs, timeZone);
+    const firstGuessOffset = getOffsetMs(firstGuess, timeZone);
+    if (wallMs - firstGuessOffset === firstGuess) return new Date(firstGuess);
+    const secondGuess = wallMs - firstGuessOffset;
+    if (getOffsetMs(secondGuess, timeZone) === firstGuessOffset) return new Date(secondGuess);
+    return new Date(Math.max(firstGuess, secondGuess)); // Inside a DST gap
+}
+
+// Whether a 'YYYY-MM-DD' string is a real calendar date (rejects e.g. 2026-02-31, which Date.UTC would roll into March)
+export function isValidDateString(dateString) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+    if (!match) return false;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Parses 'YYYY-MM-DD' and 'HH:MM' strings in the shop's timezone. Returns null when either is malformed or the date
+// doesn't exist.
+export function zonedDateTimeToUtc(dateString, timeString, timeZone) {
+    const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(timeString || '');
+    if (!isValidDateString(dateString) || !timeMatch) return null;
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [, hour, minute] = timeMatch.map(Number);
+    if (hour > 23 || minute > 59) return null;
+    return zonedWallTimeToUtc({ year, month, day, hour, minute }, timeZone);
+}
+
+// Adds minutes on the shop's wall clock, so a 24h step from 10:00 lands on 10:00 the next day across DST
+export function addWallClockMinutes(date, minutes, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const shifted = new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute + minutes));
+    return zonedWallTimeToUtc({
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes()
+    }, timeZone);
+}
+
+// 'YYYY-MM-DD' for the instant's calendar date in the shop's timezone
+export function formatZonedDate(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings (no timezone involved)
+export function addDaysToDateString(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return date.toISOString().slice(0, 10);
+}
+
+// 'HH:MM' (24h) for the instant's wall-clock time in the shop's timezone
+export function formatZonedTime(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
@@ -0,0 +1,195 @@
+import { randomUUID } from 'crypto';
+import { supabase } from './supabaseClient.js';
+import { transitionDrop, transitionDrops } from './dropState.js';
+import { planDropPlacement, resolveScheduleConflicts, shiftStartTimes, applyStartTimes, DEFAULT_CONFLICT_POLICY } from './queueManager.js';
+import { recordDropEvents, SCHEDULER_AUDIT } from './auditLog.js';
+
+// Per-shop trash for destructive queue operations (see migrations/add_drop_soft_delete.sql). Deleting queued drops,
+// clearing the queue and clearing the history don't remove rows: each operation stamps its drops with deleted_at and
+// one deleted_batch_id, so it can be undone as a whole (or drop by drop) for TRASH_RETENTION_DAYS. The purge then
+// removes them for good.
+//   queue drops   - cancelled ('deleted' / 'queue_cleared') with deleted_from_status 'queued'; restoring puts them
+//                   back in the queue at their original times and in their original order
+//   history drops - keep their finished status and are only hidden from the history; restoring un-hides them
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 7;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CLEARED_TRASH_FIELDS = { deleted_at: null, deleted_batch_id: null, deleted_from_status: null };
+const retentionCutoff = () => new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+const newTrashStamp = () => ({ deleted_at: new Date().toISOString(), deleted_batch_id: randomUUID() });
+
+let purgeTimer = null;
+
+// Cancels queued drops into one trash batch (dropIds null means the whole queue). Returns { batchId, drops }.
+export async function trashQueuedDrops(shop, dropIds, reason, audit = SCHEDULER_AUDIT) {
+    const stamp = newTrashStamp();
+    const drops = await transitionDrops(shop, dropIds, 'queued', 'cancelled', {
+        reason,
+        audit,
+        changes: { ...stamp, deleted_from_status: 'queued' }
+    });
+    return { batchId: drops.length > 0 ? stamp.deleted_batch_id : null, drops };
+}
+
+// Hides the shop's finished drops in the given statuses from the history, as one trash batch. Returns { batchId, drops }.
+export async function trashHistoryDrops(shop, statuses, audit = SCHEDULER_AUDIT) {
+    const stamp = newTrashStamp();
+    const { data, error } = await supabase
+        .from('drops')
+        .update(stamp)
+        .eq('shop', shop)
+        .in('status', statuses)
+        .is('deleted_at', null)
+        .select('id, title, status');
+    if (error) throw error;
+    const drops = data || [];
+    await recordDropEvents(shop, drops.map(drop => ({
+        dropId: drop.id,
+        eventType: 'trashed',
+        details: { title: drop.title, status: drop.status }
+    })), audit);
+    return { batchId: drops.length > 0 ? stamp.deleted_batch_id : null, drops };
+}
+
+// Restorable batches, newest first: [{ batch_id, kind: 'queue' | 'history', deleted_at, expires_at, drops }]
+export async function listTrash(shop) {
+    const { data, error } = await supabase
+        .from('drops')
+        .select('id, title, thumbnail_url, status, status_reason, start_time, end_time, duration_minutes, deleted_at, deleted_batch_id, deleted_from_status')
+        .eq('shop', shop)
+        .gte('deleted_at', retentionCutoff())
+        .order('deleted_at', { ascending: false })
+        .order('start_time', { ascending: true });
+    if (error) throw error;
+
+    const batches = new Map();
+    for (const drop of data || []) {
+        if (!batches.has(drop.deleted_batch_id)) {
+            batches.set(drop.deleted_batch_id, {
+                batch_id: drop.deleted_batch_id,
+                kind: drop.deleted_from_status === 'queued' ? 'queue' : 'history',
+                deleted_at: drop.deleted_at,
+                expires_at: new Date(new Date(drop.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString(),
+                drops: []
+            });
+        }
+        batches.get(drop.deleted_batch_id).drops.push(drop);
+    }
+    return [...batches.values()];
+}
+
+// Puts trashed queue drops back in the queue. Their original slots are kept; if the earliest one has passed, the
+// whole set moves forward to now with its spacing intact. Overlaps with drops scheduled since (e.g. a queue that was
+// compacted after the delete) are resolved with conflictPolicy, like any other new drops. The drops are restored
+// before anything else moves, and the queue is only shifted around the ones that were actually restored (one purged
+// or restored elsewhere in the meantime must not push the rest of the queue back).
+async function restoreQueueDrops(shop, drops, conflictPolicy, constraints, audit) {
+    const originalStartById = new Map(drops.map(drop => [drop.id, drop.start_time]));
+    const ordered = [...drops].sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    const nowMs = Date.now();
+    const lateByMs = nowMs - new Date(ordered[0].start_time).getTime();
+    const movedStartById = new Map(
+        lateByMs > 0 ? shiftStartTimes(ordered, lateByMs, { notBefore: new Date(nowMs), constraints }).map(u => [u.id, u.start_time]) : []
+    );
+    const candidates = ordered.map(drop => ({ ...drop, start_time: movedStartById.get(drop.id) || drop.start_time }));
+
+    const placement = await planDropPlacement(shop, candidates, conflictPolicy, constraints);
+    if (placement.rejected) return { rejected: true, conflicts: placement.conflicts };
+
+    // start_time is rewritten even when unchanged so the calculate_end_time trigger recomputes end_time
+    const results = await Promise.all(placement.placedDrops.map(drop =>
+        transitionDrop(shop, drop.id, 'cancelled', 'queued', {
+            audit,
+            changes: { ...CLEARED_TRASH_FIELDS, start_time: drop.start_time }
+        })
+    ));
+    const restoredDrops = placement.placedDrops.filter((drop, index) => results[index].drop);
+    const { shiftedDrops } = restoredDrops.length > 0
+        ? resolveScheduleConflicts(placement.occupiedDrops, restoredDrops, conflictPolicy, constraints)
+        : { shiftedDrops: [] };
+    if (shiftedDrops.length > 0) await applyStartTimes(shop, shiftedDrops, { audit });
+    return {
+        rejected: false,
+        restoredCount: restoredDrops.length,
+        movedCount: restoredDrops.filter(drop => drop.start_time !== originalStartById.get(drop.id)).length,
+        shiftedCount: shiftedDrops.length
+    };
+}
+
+async function restoreHistoryDrops(shop, drops, audit) {
+    const { data, error } = await supabase
+        .from('drops')
+        .update(CLEARED_TRASH_FIELDS)
+        .eq('shop', shop)
+        .in('id', drops.map(drop => drop.id))
+        .not('deleted_at', 'is', null)
+        .select('id');
+    if (error) throw error;
+    await recordDropEvents(shop, (data || []).map(drop => ({ dropId: drop.id, eventType: 'restored', details: { from: 'trash' } })), audit);
+    return (data || []).length;
+}
+
+// Restores a whole batch (batchId) or individual drops (dropIds) from the trash. Returns
+// { restoredCount, movedCount, shiftedCount } or { status, error[, conflicts] } for the route to send.
+export async function restoreFromTrash(shop, { batchId = null, dropIds = null, conflictPolicy = DEFAULT_CONFLICT_POLICY, constraints = null, audit = SCHEDULER_AUDIT }) {
+    let query = supabase
+        .from('drops')
+        .select('*')
+        .eq('shop', shop)
+        .gte('deleted_at', retentionCutoff());
+    query = batchId ? query.eq('deleted_batch_id', batchId) : query.in('id', dropIds);
+    const { data, error } = await query;
+    if (error) throw error;
+    if (!data || data.length === 0) return { status: 404, error: 'Nothing to restore. The drops may have been restored already or purged from the trash.' };
+
+    const queueDrops = data.filter(drop => drop.deleted_from_status === 'queued' && drop.status === 'cancelled');
+    const historyDrops = data.filter(drop => drop.deleted_from_status !== 'queued');
+    let queueResult = { restoredCount: 0, movedCount: 0, shiftedCount: 0 };
+    if (queueDrops.length > 0) {
+        queueResult = await restoreQueueDrops(shop, queueDrops, conflictPolicy, constraints, audit);
+        if (queueResult.rejected) return { status: 409, conflicts: queueResult.conflicts };
+    }
+    const historyRestoredCount = historyDrops.length > 0 ? await restoreHistoryDrops(shop, historyDrops, audit) : 0;
+    console.log(`[Trash] Restored ${queueResult.restoredCount} queued and ${historyRestoredCount} finished drop(s) for shop ${shop}.`);
+    return {
+        restoredCount: queueResult.restoredCount + historyRestoredCount,
+        queueRestoredCount: queueResult.restoredCount,
+        movedCount: queueResult.movedCount,
+        shiftedCount: queueResult.shiftedCount
+    };
+}
+
+// Permanently deletes drops that have been in the trash longer than the retention window, for every shop
+export async function purgeExpiredTrash() {
+    try {
+        const { data, error } = await supabase
+            .from('drops')
+            .delete()
+            .lt('deleted_at', retentionCutoff())
+            .select('id, shop, title');
+        if (error) throw error;
+        if (!data || data.length === 0) return 0;
+        const byShop = new Map();
+        for (const drop of data) byShop.set(drop.shop, [...(byShop.get(drop.shop) || []), drop]);
+        for (const [shop, drops] of byShop) {
+            await recordDropEvents(shop, drops.map(drop => ({ dropId: drop.id, eventType: 'purged', details: { title: drop.title } })));
+        }
+        console.log(`[Trash] Purged ${data.length} drop(s) older than ${TRASH_RETENTION_DAYS} day(s) from the trash.`);
+        return data.length;
+    } catch (error) {
+        console.error('[Trash] Error purging expired trash:', error.message);
+        return 0;
+    }
+}
+
+export function startTrashPurge() {
+    if (purgeTimer) return;
+    purgeExpiredTrash();
+    purgeTimer = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+}
+
+export function stopTrashPurge() {
+    if (purgeTimer) clearInterval(purgeTimer);
+    purgeTimer = null;
+}
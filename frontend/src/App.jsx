@@ -25,11 +25,20 @@ import {
   Badge,
   Pagination,
   Icon,
-  Modal
+  Modal,
+  Checkbox,
+  InlineStack,
+  Tag,
+  Banner,
+  ProgressBar
 } from '@shopify/polaris';
 import { 
   RefreshIcon,
-  DeleteIcon
+  DeleteIcon,
+  DragHandleIcon,
+  EditIcon,
+  PlayIcon,
+  ClockIcon
 } from '@shopify/polaris-icons';
 import enTranslations from "@shopify/polaris/locales/en.json";
 import '@shopify/polaris/build/esm/styles.css';
@@ -37,6 +46,9 @@ import '@shopify/polaris/build/esm/styles.css';
 
 // --- Define Backend URL --- 
 const backendBaseUrl = import.meta.env.VITE_BACKEND_URL || ''; // Use env var or empty string for local dev
+// Sent on every drop-changing request (see fetchWithIdempotencyKey in App): the backend replays the first response for
+// a repeated key, so a double submit or a retried request can't schedule (or delete) the same drops twice
+const newIdempotencyKey = () => (window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
 console.log(`[App.jsx] Using backend base URL: ${backendBaseUrl || '(current origin)'}`);
 // ------------------------
 
@@ -60,6 +72,152 @@ function PageMark({ isVisible }) {
   );
 }
 
+const viewerTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_WEEKDAY_WINDOWS = WEEKDAY_LABELS.map(() => ({ enabled: true, start: '09:00', end: '21:00' }));
+
+// Settings card form state (one window per weekday) <-> schedule_windows array stored with the shop's settings
+function toWeekdayWindows(scheduleWindows) {
+  if (!Array.isArray(scheduleWindows) || scheduleWindows.length === 0) return DEFAULT_WEEKDAY_WINDOWS;
+  return WEEKDAY_LABELS.map((_, weekday) => {
+    const window = scheduleWindows.find(w => w.weekday === weekday);
+    return window ? { enabled: true, start: window.start, end: window.end } : { ...DEFAULT_WEEKDAY_WINDOWS[weekday], enabled: false };
+  });
+}
+
+// Splits an ISO timestamp into the date/time field values used by the edit form, in the shop's timezone
+function toDateTimeFields(isoString, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(new Date(isoString)).forEach(({ type, value }) => { parts[type] = value; });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+// Delay between a drop's scheduled start and when it went live, e.g. "On time", "+4m", "+1h 05m"
+function formatDelay(seconds) {
+  if (seconds === null || seconds === undefined) return '-';
+  if (seconds <= 60) return 'On time';
+  const minutes = Math.round(seconds / 60);
+  return minutes < 60 ? `+${minutes}m` : `+${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// The collection's products arrive in full (the backend pages through Shopify); the table shows them a page at a time
+const QUEUED_PRODUCTS_PAGE_SIZE = 25;
+
+// Title and status badge [tone, label] of the background schedule-all/append job card
+const BULK_JOB_TITLES = { schedule_all: 'Scheduling all queued products', append: 'Appending new products' };
+const BULK_JOB_STATUS_BADGES = { running: ['info', 'Running'], completed: ['success', 'Completed'], rejected: ['warning', 'Conflicts'], cancelled: ['attention', 'Cancelled'], failed: ['critical', 'Failed'] };
+
+// Why schedule-all/append left a product out of a plan
+const SKIP_REASON_LABELS = { inactive: 'Not active', already_queued: 'Already queued', status_unknown: 'Status unavailable', just_finished: 'Just finished' };
+
+// Badge for each status a drop can finish in, and readable forms of the backend's status_reason values
+const HISTORY_STATUS_BADGES = {
+  completed: { tone: 'success', progress: 'complete', label: 'Completed' },
+  skipped: { tone: 'attention', label: 'Skipped' },
+  cancelled: { label: 'Cancelled' },
+  missed: { tone: 'warning', label: 'Missed' },
+  failed: { tone: 'critical', label: 'Failed' }
+};
+const HISTORY_FILTER_OPTIONS = [
+  { label: 'All statuses', value: 'all' },
+  ...Object.entries(HISTORY_STATUS_BADGES).map(([value, { label }]) => ({ label, value }))
+];
+const STATUS_REASON_LABELS = {
+  ended_early: 'Ended early',
+  skipped_by_operator: 'Skipped by operator',
+  superseded: 'Replaced by another drop',
+  deleted: 'Deleted from queue',
+  queue_cleared: 'Queue cleared',
+  queue_stopped: 'Queue stopped',
+  missed_during_downtime: 'Scheduler offline',
+  product_not_found: 'Product not found',
+  product_inactive: 'Product not active'
+};
+
+// Audit log entries shown in the drop detail timeline
+const DROP_EVENT_LABELS = {
+  created: 'Created',
+  edited: 'Edited',
+  rescheduled: 'Rescheduled',
+  reordered: 'Reordered',
+  activated: 'Went live',
+  paused: 'Paused',
+  resumed: 'Resumed',
+  completed: 'Completed',
+  skipped: 'Skipped',
+  cancelled: 'Cancelled',
+  missed: 'Missed',
+  failed: 'Failed',
+  trashed: 'Moved to trash',
+  restored: 'Restored from trash',
+  purged: 'Purged from trash',
+  metafield_written: 'Storefront updated',
+  metafield_failed: 'Storefront update failed'
+};
+const DROP_EVENTS_PAGE_SIZE = 50;
+
+// Who did it and from where, e.g. "staff via api:POST /api/drops/reorder" or "system via scheduler"
+function describeEventOrigin(event) {
+  return `${event.actor} via ${event.source}`;
+}
+
+// One-line summary of an event's details: the previous status and reason for status changes, otherwise the
+// changed fields (times in the shop's timezone)
+function describeEventDetails(event, timeZone) {
+  if (!event.details) return null;
+  const reasonLabel = STATUS_REASON_LABELS[event.details.reason] || event.details.reason;
+  if (event.details.from) return `From ${event.details.from}${reasonLabel ? ` · ${reasonLabel}` : ''}`;
+  return Object.entries(event.details)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => (/_time$/.test(key) ? `${key}: ${formatDropTimestamp(value, timeZone, 'date')} ${formatDropTimestamp(value, timeZone)}` : `${key}: ${value}`))
+    .join(' · ');
+}
+
+// Formats a timestamp as a date or time in the given timezone (viewer's timezone when none is given)
+function formatDropTimestamp(isoString, timeZone, part) {
+  if (!isoString) return '-';
+  const date = new Date(isoString);
+  return part === 'date'
+    ? date.toLocaleDateString([], { timeZone: timeZone || undefined })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true, timeZoneName: 'short', timeZone: timeZone || undefined });
+}
+
+// Shows a drop timestamp in shop time, with the viewer's own time underneath when it differs
+function ZonedTime({ value, shopTimeZone, part = 'time' }) {
+  const shopText = formatDropTimestamp(value, shopTimeZone, part);
+  const viewerText = formatDropTimestamp(value, viewerTimeZone, part);
+  if (!value || !shopTimeZone || shopText === viewerText) return shopText;
+  return (
+    <BlockStack gap="050">
+      <span>{shopText}</span>
+      <Text as="span" variant="bodySm" tone="subdued">{viewerText} (your time)</Text>
+    </BlockStack>
+  );
+}
+
+// Status badge for a finished drop, with its status_reason underneath
+function HistoryStatus({ drop }) {
+  const badge = HISTORY_STATUS_BADGES[drop.status] || { label: drop.status };
+  const showCutShort = drop.status === 'completed' && drop.cut_short;
+  const reasonLabel = STATUS_REASON_LABELS[drop.status_reason] || drop.status_reason;
+  return (
+    <BlockStack gap="050">
+      {showCutShort
+        ? <Badge tone="attention">Cut short</Badge>
+        : <Badge tone={badge.tone} progress={badge.progress}>{badge.label}</Badge>}
+      {reasonLabel && !showCutShort && <Text as="span" variant="bodySm" tone="subdued">{reasonLabel}</Text>}
+    </BlockStack>
+  );
+}
+
 function App() {
   // --- State Variables (Minimal Base) ---
   const [isLoading, setIsLoading] = useState(true);
@@ -76,11 +234,26 @@ function App() {
   const [queuedCollection, setQueuedCollection] = useState('placeholder');
   console.log('[App.jsx Render] queuedCollection state is currently:', queuedCollection);
   const [dropDateString, setDropDateString] = useState('');
+  const [shopTimeZone, setShopTimeZone] = useState(null); // IANA timezone from the shop's Shopify settings
+  const [scheduleMode, setScheduleMode] = useState('back_to_back'); // 'back_to_back' | 'daily'
+  const [catchUpPolicy, setCatchUpPolicy] = useState('run_late'); // 'run_late' | 'skip_missed' | 'jump_to_current'
+  const [rotationMode, setRotationMode] = useState('off'); // 'off' | 'collection' | 'replay'
+  const [cadenceDuration, setCadenceDuration] = useState(''); // Daily mode; empty runs until the next day's drop
+  const [restrictToWindows, setRestrictToWindows] = useState(false);
+  const [weekdayWindows, setWeekdayWindows] = useState(DEFAULT_WEEKDAY_WINDOWS);
+  const [blackoutDates, setBlackoutDates] = useState([]);
+  const [newBlackoutDate, setNewBlackoutDate] = useState('');
+  const [queueState, setQueueState] = useState({ paused: false, paused_at: null, freeze_active: false });
+  const [isTogglingPause, setIsTogglingPause] = useState(false);
+  const [activeAdjustMinutes, setActiveAdjustMinutes] = useState('30');
+  const [isAdjustingActive, setIsAdjustingActive] = useState(false);
   const [dropTime, setDropTime] = useState('10:00');
   const [dropDuration, setDropDuration] = useState('60'); // Keep as string for input field
 
   // State for fetched product data - ensure default values
   const [queuedProductsData, setQueuedProductsData] = useState([]);
+  const [queuedProductsTotalCount, setQueuedProductsTotalCount] = useState(0);
+  const [queuedProductsPage, setQueuedProductsPage] = useState(1);
   const [isFetchingQueuedProducts, setIsFetchingQueuedProducts] = useState(false);
   const [scheduledDropsData, setScheduledDropsData] = useState([]);
   const [isFetchingScheduledDrops, setIsFetchingScheduledDrops] = useState(false);
@@ -93,14 +266,22 @@ function App() {
   const [toastActive, setToastActive] = useState(false);
   const [toastMessage, setToastMessage] = useState('');
   const [toastIsError, setToastIsError] = useState(false);
+  const [toastAction, setToastAction] = useState(null); // e.g. { content: 'Undo', onAction } after a destructive operation
   
   // State for save button loading state
   const [isSaving, setIsSaving] = useState(false);
   const [isBulkScheduling, setIsBulkScheduling] = useState(false); 
   const [isAppending, setIsAppending] = useState(false); 
+  const [schedulePreview, setSchedulePreview] = useState(null); // Dry-run plan from schedule-all/append awaiting confirmation
+  const [bulkJob, setBulkJob] = useState(null); // Latest schedule-all/append background job, kept current by 'bulk_job' events
+  const [isCancellingBulkJob, setIsCancellingBulkJob] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false); 
   const [isClearingCompleted, setIsClearingCompleted] = useState(false);
   const [isStoppingQueue, setIsStoppingQueue] = useState(false); // ADDED for new button
+  const [isReordering, setIsReordering] = useState(false);
+  const [draggedDropId, setDraggedDropId] = useState(null); // Scheduled drop row currently being dragged
+  const [editingDrop, setEditingDrop] = useState(null); // { id, title, date, time, duration } while the edit modal is open
+  const [isSavingDropEdit, setIsSavingDropEdit] = useState(false);
   
   // --- Confirmation Modal State ---
   const [isConfirmModalOpen, setIsConfirmModalOpen] = useState(false);
@@ -109,7 +290,9 @@ function App() {
     body: '',
     confirmAction: () => {},
     confirmLabel: '',
-    destructive: false
+    destructive: false,
+    alternateAction: null, // Optional { content, onAction } shown next to Cancel
+    idempotencyAction: null // Optional action whose Idempotency-Key is dropped when the modal is cancelled
   });
 
   // --- Pagination State ---
@@ -117,6 +300,16 @@ function App() {
   const [scheduledTotalCount, setScheduledTotalCount] = useState(0);
   const [completedPage, setCompletedPage] = useState(1);
   const [completedTotalCount, setCompletedTotalCount] = useState(0);
+  const [historyFilter, setHistoryFilter] = useState('all'); // 'all' or one finished status
+  const [punctualityStats, setPunctualityStats] = useState(null); // GET /api/drops/stats over the last 30 days
+  const [detailDrop, setDetailDrop] = useState(null); // Drop shown in the detail panel, with its audit timeline
+  const [dropEvents, setDropEvents] = useState([]);
+  const [dropEventsNextBeforeId, setDropEventsNextBeforeId] = useState(null);
+  const [isFetchingDropEvents, setIsFetchingDropEvents] = useState(false);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [trash, setTrash] = useState(null); // GET /api/drops/trash: { batches, retention_days }
+  const [isFetchingTrash, setIsFetchingTrash] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
   const [rowsPerPage, setRowsPerPage] = useState(5); // Default page size
 
   // Add this right after the rowsPerPage state
@@ -125,8 +318,10 @@ function App() {
   // Create refs for fetch functions
   const fetchScheduledDropsRef = useRef(null);
   const fetchCompletedDropsRef = useRef(null);
+  const historyFilterRef = useRef('all'); // Read by the socket handlers without re-subscribing
   const fetchActiveDropRef = useRef(null);
   const fetchQueuedProductsRef = useRef(null);
+  const bulkJobRetryRef = useRef({}); // Job id -> retry with another conflict policy, for jobs started from this page
 
   const { smUp } = useBreakpoints();
 
@@ -150,9 +345,10 @@ function App() {
   // --- Toast Utilities (Define Before Use) ---
   const toggleToastActive = useCallback(() => setToastActive((active) => !active), []);
 
-  const showToast = useCallback((message, isError = false) => {
+  const showToast = useCallback((message, isError = false, action = null) => {
     setToastMessage(message);
     setToastIsError(isError);
+    setToastAction(action);
     setToastActive(true);
   }, []);
 
@@ -160,6 +356,7 @@ function App() {
   const showRefreshToast = useCallback((dataType) => {
     setToastMessage(`${dataType} refreshed successfully`);
     setToastIsError(false);
+    setToastAction(null);
     setToastActive(true);
   }, []);
 
@@ -232,7 +429,7 @@ function App() {
       console.log(`[App.jsx WebSocket] Requesting completed drops page ${page}, limit ${limit}`);
       setIsFetchingCompletedDrops(true);
       setCompletedPage(page);
-      socketInstance.emit('get_completed_drops', { page, limit });
+      socketInstance.emit('get_completed_drops', { page, limit, status: historyFilterRef.current });
     };
     
     const fetchActiveDrop = () => {
@@ -463,12 +660,20 @@ function App() {
     
     const handleCompletedDrops = (data) => {
       console.log('[App.jsx WebSocket] Received completed drops update:', data);
+      // Broadcasts carry the unfiltered list; fetch the filtered page instead
+      if (data?.status && data.status !== historyFilterRef.current) {
+        if (fetchCompletedDropsRef.current) fetchCompletedDropsRef.current(completedPage, rowsPerPage);
+        return;
+      }
       handleCompletedDropsUpdate(data);
     };
     
     const handleQueuedProducts = (data) => {
       console.log('[App.jsx WebSocket] Received queued products update:', data);
-      setQueuedProductsData(Array.isArray(data) ? data : []);
+      const products = Array.isArray(data?.products) ? data.products : [];
+      setQueuedProductsData(products);
+      setQueuedProductsTotalCount(data?.totalCount ?? products.length);
+      setQueuedProductsPage(1);
       setIsFetchingQueuedProducts(false);
     };
     
@@ -491,6 +696,14 @@ function App() {
         setDropTime(newDropTime);
         setDropDuration(String(data.default_drop_duration_minutes || '60')); 
         setDropDateString(data.default_drop_date || '');
+        setShopTimeZone(data.timezone || null);
+        setScheduleMode(data.schedule_mode || 'back_to_back');
+        setCatchUpPolicy(data.catch_up_policy || 'run_late');
+        setRotationMode(data.rotation_mode || 'off');
+        setCadenceDuration(data.cadence_duration_minutes ? String(data.cadence_duration_minutes) : '');
+        setRestrictToWindows(Array.isArray(data.schedule_windows) && data.schedule_windows.length > 0);
+        setWeekdayWindows(toWeekdayWindows(data.schedule_windows));
+        setBlackoutDates(Array.isArray(data.blackout_dates) ? data.blackout_dates : []);
 
         // --- ADDED: Log state in next tick ---
         setTimeout(() => {
@@ -566,6 +779,11 @@ function App() {
       }, 200);
     };
     
+    const handleQueueState = (data) => {
+      console.log('[App.jsx WebSocket] Received queue state:', data);
+      if (data) setQueueState(data);
+    };
+
     const handleStatusChange = (data) => {
       if (!data || !data.type) return;
       
@@ -587,9 +805,14 @@ function App() {
         // Set a timer to hide the updating indicator
         setTimeout(() => setIsUpdating(false), 1000);
       } 
-      else if (data.type === 'completed') {
-        console.log('[App.jsx WebSocket] Received automatic completion:', data);
-        showToast(`Product "${data.title || 'Unknown'}" has completed its drop period`);
+      else if (['completed', 'skipped', 'cancelled', 'failed'].includes(data.type)) {
+        console.log(`[App.jsx WebSocket] Drop ${data.type}:`, data);
+        if (data.type === 'completed') {
+          showToast(`Product "${data.title || 'Unknown'}" has completed its drop period`);
+        } else {
+          const reasonLabel = STATUS_REASON_LABELS[data.reason];
+          showToast(`Drop "${data.title || 'Unknown'}" ${data.type}${reasonLabel ? `: ${reasonLabel}` : ''}`, data.type === 'failed');
+        }
         
         // Refresh all data by fetching it
         setIsUpdating(true);
@@ -609,6 +832,22 @@ function App() {
         // Set a timer to hide the updating indicator
         setTimeout(() => setIsUpdating(false), 1000);
       }
+      else if (data.type === 'missed') {
+        console.log('[App.jsx WebSocket] Drops missed while the scheduler was down:', data);
+        showToast(`${data.count || 0} drop(s) were missed while the scheduler was offline`, true);
+        if (fetchScheduledDropsRef.current) {
+          fetchScheduledDropsRef.current(scheduledPage, rowsPerPage);
+        }
+        if (fetchCompletedDropsRef.current) {
+          fetchCompletedDropsRef.current(completedPage, rowsPerPage);
+        }
+      }
+      else if (data.type === 'extended' || data.type === 'shortened') {
+        console.log('[App.jsx WebSocket] Active drop end time changed:', data);
+        if (fetchActiveDropRef.current) {
+          fetchActiveDropRef.current();
+        }
+      }
     };
 
     // Register all event handlers
@@ -623,6 +862,7 @@ function App() {
     socketInstance.on('settings', handleSettings);
     socketInstance.on('refresh_needed', handleRefreshNeeded);
     socketInstance.on('status_change', handleStatusChange);
+    socketInstance.on('queue_state', handleQueueState);
     
     // Set socket state
     setSocket(socketInstance);
@@ -652,6 +892,7 @@ function App() {
       socketInstance.off('settings', handleSettings);
       socketInstance.off('refresh_needed', handleRefreshNeeded);
       socketInstance.off('status_change', handleStatusChange);
+      socketInstance.off('queue_state', handleQueueState);
       
       if (socketInstance) {
         socketInstance.disconnect();
@@ -675,6 +916,9 @@ function App() {
       
       socket.emit('get_settings');
       await new Promise(r => setTimeout(r, 300));
+
+      socket.emit('get_queue_state');
+      await new Promise(r => setTimeout(r, 300));
       
       // Always fetch active drop on initial load
       console.log('[App.jsx WebSocket] Requesting active drop');
@@ -688,7 +932,7 @@ function App() {
       
       // Always fetch completed drops on initial load
       console.log('[App.jsx WebSocket] Requesting completed drops');
-      socket.emit('get_completed_drops', { page: completedPage, limit: rowsPerPage });
+      socket.emit('get_completed_drops', { page: completedPage, limit: rowsPerPage, status: historyFilterRef.current });
       
       // Mark loading as complete even if we're still waiting for some data
       setIsLoading(false);
@@ -697,6 +941,25 @@ function App() {
     loadInitialData();
   }, [socket, socketConnected, scheduledPage, completedPage, rowsPerPage]);
 
+  // --- Bulk scheduling jobs: progress and the final summary arrive as 'bulk_job' events ---
+  useEffect(() => {
+    if (!socket || !socketConnected) return;
+    const handleBulkJob = (job) => {
+      if (job) setBulkJob(job);
+    };
+    // After a reload, pick up a job that is still running (or the last summary)
+    const handleBulkJobs = (jobs) => {
+      if (Array.isArray(jobs) && jobs.length > 0) setBulkJob(prev => prev || jobs[0]);
+    };
+    socket.on('bulk_job', handleBulkJob);
+    socket.on('bulk_jobs', handleBulkJobs);
+    socket.emit('get_bulk_jobs');
+    return () => {
+      socket.off('bulk_job', handleBulkJob);
+      socket.off('bulk_jobs', handleBulkJobs);
+    };
+  }, [socket, socketConnected]);
+
   // --- Effect to fetch queued products when collection changes ---
   useEffect(() => {
     if (!socket || !socketConnected || !queuedCollection || queuedCollection === 'placeholder') return;
@@ -726,7 +989,15 @@ function App() {
         queued_collection_id: queuedCollection === 'placeholder' ? null : queuedCollection,
         drop_time: dropTime,
         default_drop_duration_minutes: parseInt(dropDuration, 10) || 60, // <-- Send duration to settings
-        default_drop_date: dropDateString || null // <-- Send date to settings
+        default_drop_date: dropDateString || null, // <-- Send date to settings
+        schedule_mode: scheduleMode,
+        cadence_duration_minutes: cadenceDuration ? parseInt(cadenceDuration, 10) : null,
+        schedule_windows: restrictToWindows
+          ? weekdayWindows.flatMap((w, weekday) => (w.enabled ? [{ weekday, start: w.start, end: w.end }] : []))
+          : [],
+        blackout_dates: blackoutDates,
+        catch_up_policy: catchUpPolicy,
+        rotation_mode: rotationMode
     };
 
     console.log('[App.jsx Settings] Saving Settings Payload:', settingsPayload);
@@ -771,11 +1042,143 @@ function App() {
     queuedCollection, 
     dropTime,
     dropDuration,
-    dropDateString
+    dropDateString,
+    scheduleMode,
+    cadenceDuration,
+    restrictToWindows,
+    weekdayWindows,
+    blackoutDates,
+    catchUpPolicy,
+    rotationMode
   ]);
 
+  // --- Schedule windows / blackout dates form helpers ---
+  const updateWeekdayWindow = useCallback((weekday, changes) => {
+    setWeekdayWindows(prev => prev.map((w, i) => (i === weekday ? { ...w, ...changes } : w)));
+  }, []);
+
+  const handleAddBlackoutDate = useCallback(() => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(newBlackoutDate)) {
+      showToast('Please pick a valid blackout date.', true);
+      return;
+    }
+    setBlackoutDates(prev => (prev.includes(newBlackoutDate) ? prev : [...prev, newBlackoutDate].sort()));
+    setNewBlackoutDate('');
+  }, [newBlackoutDate, showToast]);
+
+  // --- Idempotency keys: one per user action, reused every time that same request is sent again ---
+  // A double submit, or trying again after a network error or a 5xx, repeats the key so the backend runs the action
+  // once. A key belongs to one request body (the backend refuses it for another), so picking a different option, such
+  // as a conflict policy, starts a new key. The key is dropped once the backend has answered for good (anything but a
+  // 5xx or a 409 for a repeat that is still running) or the action is cancelled.
+  const idempotencyKeysRef = useRef({}); // Structure: { action: { body, key } }
+  const forgetIdempotencyKey = useCallback((action) => {
+    if (action) delete idempotencyKeysRef.current[action];
+  }, []);
+  const fetchWithIdempotencyKey = useCallback(async (action, url, options = {}) => {
+    const body = options.body ?? '';
+    let pending = idempotencyKeysRef.current[action];
+    if (!pending || pending.body !== body) {
+      pending = { body, key: newIdempotencyKey() };
+      idempotencyKeysRef.current[action] = pending;
+    }
+    const response = await fetch(url, { ...options, headers: { ...options.headers, 'Idempotency-Key': pending.key } });
+    const isStillRunning = response.status === 409 && (await response.clone().json().catch(() => ({}))).in_progress;
+    if (response.status < 500 && !isStillRunning && idempotencyKeysRef.current[action] === pending) forgetIdempotencyKey(action);
+    return response;
+  }, [forgetIdempotencyKey]);
+
+  // --- Shown when a create request returns 409: retry with push_back (primary) or first_gap (alternate) ---
+  const openScheduleConflictModal = useCallback((result, retryWithPolicy) => {
+    const conflicts = Array.isArray(result.conflicts) ? result.conflicts : [];
+    const conflictSummary = conflicts.slice(0, 3)
+      .map(c => `"${c.title}" (${formatDropTimestamp(c.start_time, shopTimeZone, 'date')} ${formatDropTimestamp(c.start_time, shopTimeZone)} – ${formatDropTimestamp(c.end_time, shopTimeZone)})`)
+      .join(', ');
+    const moreCount = conflicts.length > 3 ? ` and ${conflicts.length - 3} more` : '';
+    setConfirmModalContent({
+      title: 'Schedule Conflict',
+      body: `${result.error || 'The new drops overlap existing drops.'} Conflicts: ${conflictSummary}${moreCount}. Push the existing drops back to make room, or fit the new drops into the first free gaps?`,
+      confirmAction: () => { setIsConfirmModalOpen(false); retryWithPolicy('push_back'); },
+      confirmLabel: 'Push Existing Back',
+      destructive: false,
+      alternateAction: { content: 'Fit Into Free Gaps', onAction: () => { setIsConfirmModalOpen(false); retryWithPolicy('first_gap'); } }
+    });
+    setIsConfirmModalOpen(true);
+  }, [shopTimeZone]);
+
+  // --- Trash: every delete/clear is soft and can be restored as a batch ({ batch_id }) or drop by drop ({ drop_ids }) ---
+  const fetchTrash = useCallback(async () => {
+    const shop = getShop();
+    if (!shop || !sessionToken || !isAuthenticated) return;
+    setIsFetchingTrash(true);
+    try {
+      const response = await fetch(`${backendBaseUrl}/api/drops/trash?shop=${encodeURIComponent(shop)}`, {
+        headers: { 'Authorization': `Bearer ${sessionToken}` },
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      setTrash(result);
+    } catch (error) {
+      console.error('[App.jsx Trash] Error fetching trash:', error);
+      showToast(`Error loading the trash: ${error.message}`, true);
+    } finally {
+      setIsFetchingTrash(false);
+    }
+  }, [getShop, sessionToken, isAuthenticated, showToast]);
+
+  const handleRestoreFromTrash = useCallback(async (target, conflictPolicy = 'reject') => {
+    const shop = getShop();
+    if (!shop || !sessionToken || !isAuthenticated) {
+      showToast('Authentication error. Cannot restore drops.', true);
+      return;
+    }
+    setIsRestoring(true);
+    try {
+      const response = await fetchWithIdempotencyKey(`restore:${JSON.stringify(target)}`, `${backendBaseUrl}/api/drops/trash/restore`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${sessionToken}`,
+        },
+        body: JSON.stringify({ shop, ...target, conflict_policy: conflictPolicy }),
+      });
+      const result = await response.json();
+      // Drops scheduled since the delete (e.g. a compacted queue) can be in the way of the original slots
+      if (response.status === 409 && result.conflicts) {
+        openScheduleConflictModal(result, (policy) => handleRestoreFromTrash(target, policy));
+        return;
+      }
+      if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      showToast(result.message || 'Drops restored.');
+      // Tables update via WebSocket (scheduled_drops / completed_drops)
+    } catch (error) {
+      console.error('[App.jsx Trash] Error restoring drops:', error);
+      showToast(`Error restoring drops: ${error.message}`, true);
+    } finally {
+      setIsRestoring(false);
+    }
+  }, [getShop, sessionToken, isAuthenticated, showToast, openScheduleConflictModal, fetchWithIdempotencyKey]);
+
+  const openTrash = useCallback(() => {
+    setIsTrashOpen(true);
+    fetchTrash();
+  }, [fetchTrash]);
+
+  // Restores from the trash modal, then reloads it
+  const restoreFromTrashModal = useCallback(async (target) => {
+    await handleRestoreFromTrash(target);
+    fetchTrash();
+  }, [handleRestoreFromTrash, fetchTrash]);
+
+  // Undo action for the toast after a destructive operation; null when nothing went to the trash
+  const undoActionFor = useCallback((batchId) => (
+    batchId ? { content: 'Undo', onAction: () => handleRestoreFromTrash({ batch_id: batchId }) } : null
+  ), [handleRestoreFromTrash]);
+
   // --- NEW: Callback to schedule ALL queued drops --- 
-  const handleScheduleAllDrops = useCallback(async () => {
+  // preview=true asks the backend for the plan only; the review modal confirms it with preview=false
+  // planHash: the preview's plan_hash when confirming it, so the backend refuses a plan that changed since
+  const handleScheduleAllDrops = useCallback(async (conflictPolicy = 'reject', preview = true, planHash = null) => {
     const shop = getShop();
     if (!shop || !sessionToken || !isAuthenticated) {
       showToast('Authentication error. Cannot schedule drops.', true);
@@ -787,12 +1190,13 @@ function App() {
       showToast('Please select a "Queued Products Collection" first.', true);
       return;
     }
-    if (!dropDateString || !dropTime || !dropDuration) {
-      showToast('Please set Drop Date, Time, and Duration before scheduling.', true);
+    const isDailyMode = scheduleMode === 'daily';
+    if (!dropDateString || !dropTime || (!isDailyMode && !dropDuration)) {
+      showToast(isDailyMode ? 'Please set Drop Date and Time before scheduling.' : 'Please set Drop Date, Time, and Duration before scheduling.', true);
       return;
     }
-    const durationMinutes = parseInt(dropDuration, 10);
-    if (isNaN(durationMinutes) || durationMinutes <= 0) {
+    const durationMinutes = parseInt(isDailyMode ? cadenceDuration : dropDuration, 10);
+    if ((!isDailyMode || cadenceDuration) && (isNaN(durationMinutes) || durationMinutes <= 0)) {
        showToast('Please enter a valid positive number for Duration (mins).', true);
        return;
     }
@@ -800,32 +1204,24 @@ function App() {
 
     setIsBulkScheduling(true);
 
-    // --- MODIFIED: Convert selected date/time to UTC ISO string ---
-    let initialStartTimeUTC = null;
-    try {
-      const localDateTime = new Date(`${dropDateString}T${dropTime}:00`);
-      if (isNaN(localDateTime.getTime())) {
-        throw new Error('Invalid date or time selected.');
-      }
-      initialStartTimeUTC = localDateTime.toISOString();
-    } catch (e) {
-      showToast(`Error preparing start time: ${e.message}`, true);
-      setIsBulkScheduling(false);
-      return;
-    }
-    // --- END MODIFICATION ---
-
     const schedulePayload = {
         shop: shop,
         queued_collection_id: queuedCollection,
-        initial_start_time_utc: initialStartTimeUTC,
-        duration_minutes: durationMinutes
+        drop_date: dropDateString, // Shop-local date/time; the backend converts using the shop's timezone
+        drop_time: dropTime,
+        schedule_mode: scheduleMode,
+        ...(isDailyMode
+          ? { cadence_duration_minutes: cadenceDuration ? durationMinutes : null }
+          : { duration_minutes: durationMinutes }),
+        conflict_policy: conflictPolicy,
+        preview,
+        ...(planHash ? { plan_hash: planHash } : {})
     };
 
     console.log('[App.jsx Schedule All] Scheduling Drops Payload:', schedulePayload);
 
     try {
-      const response = await fetch(`${backendBaseUrl}/api/drops/schedule-all`, { // <-- Use backendBaseUrl
+      const response = await fetchWithIdempotencyKey('schedule-all', `${backendBaseUrl}/api/drops/schedule-all`, { // <-- Use backendBaseUrl
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -836,19 +1232,25 @@ function App() {
 
       const result = await response.json(); // Try to parse JSON regardless of status for error messages
 
+      if (response.status === 409 && result.conflicts) {
+        setSchedulePreview(null);
+        openScheduleConflictModal(result, (policy) => handleScheduleAllDrops(policy));
+        return;
+      }
       if (!response.ok) {
+        if (result.job) setBulkJob(result.job); // Another job is still running for the shop
         throw new Error(result.error || `HTTP error! status: ${response.status}`);
       }
+      if (result.preview) {
+        setSchedulePreview({ ...result, source: 'schedule-all' });
+        return;
+      }
 
-      console.log('[App.jsx Schedule All] Drops scheduled successfully:', result);
-      showToast(result.message || `${result.scheduled_count || 0} drops scheduled successfully!`);
-      
-      // Refetch scheduled drops to update the UI
-      fetchScheduledDropsRef.current(1, rowsPerPage);
-      fetchActiveDropRef.current(); // <-- ADD THIS LINE
-      
-      // Clear the Queued Products list as they are now scheduled
-      setQueuedProductsData([]); 
+      // The drops are scheduled by a background job; the effect on bulkJob reports how it finished
+      setSchedulePreview(null);
+      console.log('[App.jsx Schedule All] Scheduling job started:', result.job);
+      bulkJobRetryRef.current[result.job.id] = (policy) => handleScheduleAllDrops(policy);
+      setBulkJob(result.job);
       
       // Optional: Clear schedule fields after success?
       // setDropDateString(''); setDropTime('10:00'); setDropDuration('60');
@@ -866,13 +1268,17 @@ function App() {
     dropDateString,
     dropTime,
     dropDuration,
+    scheduleMode,
+    cadenceDuration,
     showToast, 
     fetchScheduledDropsRef,
-    rowsPerPage // Add rowsPerPage
+    rowsPerPage, // Add rowsPerPage
+    openScheduleConflictModal,
+    fetchWithIdempotencyKey
   ]);
 
   // --- NEW: Callback to append NEW queued drops --- 
-  const handleAppendDrops = useCallback(async () => {
+  const handleAppendDrops = useCallback(async (conflictPolicy = 'reject', preview = true, planHash = null) => {
     const shop = getShop();
     if (!shop || !sessionToken || !isAuthenticated) {
       showToast('Authentication error. Cannot append drops.', true);
@@ -897,14 +1303,17 @@ function App() {
 
     const appendPayload = {
         shop: shop,
-        queued_collection_id: queuedCollection
+        queued_collection_id: queuedCollection,
+        conflict_policy: conflictPolicy,
+        preview,
+        ...(planHash ? { plan_hash: planHash } : {})
         // Duration is removed - backend gets it from settings
     };
 
     console.log('[App.jsx Append] Appending Drops Payload:', appendPayload);
 
     try {
-      const response = await fetch(`${backendBaseUrl}/api/drops/append`, { // <-- Use backendBaseUrl
+      const response = await fetchWithIdempotencyKey('append', `${backendBaseUrl}/api/drops/append`, { // <-- Use backendBaseUrl
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -915,21 +1324,25 @@ function App() {
 
       const result = await response.json(); // Try to parse JSON regardless of status
 
+      if (response.status === 409 && result.conflicts) {
+        setSchedulePreview(null);
+        openScheduleConflictModal(result, (policy) => handleAppendDrops(policy));
+        return;
+      }
       if (!response.ok) {
+        if (result.job) setBulkJob(result.job); // Another job is still running for the shop
         throw new Error(result.error || `HTTP error! status: ${response.status}`);
       }
+      if (result.preview) {
+        setSchedulePreview({ ...result, source: 'append' });
+        return;
+      }
 
-      console.log('[App.jsx Append] Drops appended successfully:', result);
-      showToast(result.message || `${result.scheduled_count || 0} new drops appended successfully!`);
-      
-      // Refetch scheduled drops to update the UI
-      fetchScheduledDropsRef.current(1, rowsPerPage);
-      fetchActiveDropRef.current(); // <-- ADD THIS LINE
-      
-      // We probably don't need to clear QueuedProductsData here, 
-      // as some might still be legitimately queued and not yet scheduled.
-      // Maybe trigger a refetch of queued products instead?
-      // For now, just refetch scheduled drops.
+      // Appended by a background job; the effect on bulkJob reports how it finished
+      setSchedulePreview(null);
+      console.log('[App.jsx Append] Append job started:', result.job);
+      bulkJobRetryRef.current[result.job.id] = (policy) => handleAppendDrops(policy);
+      setBulkJob(result.job);
 
     } catch (error) {
       console.error('[App.jsx Append] Error appending drops:', error);
@@ -944,9 +1357,66 @@ function App() {
     dropDuration, // Keep dropDuration dependency for validation check
     showToast, 
     fetchScheduledDropsRef,
-    rowsPerPage // Add rowsPerPage
+    rowsPerPage, // Add rowsPerPage
+    openScheduleConflictModal,
+    fetchWithIdempotencyKey
   ]);
 
+  // Once a job started from this page finishes: report it, offer the conflict choices if it was rejected, and refresh
+  useEffect(() => {
+    if (!bulkJob || bulkJob.status === 'running' || !bulkJobRetryRef.current[bulkJob.id]) return;
+    const retryWithPolicy = bulkJobRetryRef.current[bulkJob.id];
+    delete bulkJobRetryRef.current[bulkJob.id];
+
+    if (bulkJob.status === 'rejected' && bulkJob.result?.plan_changed) {
+      // Products, the queue or settings changed after the preview: show the new plan for review instead
+      showToast(bulkJob.result.error, true);
+      retryWithPolicy(bulkJob.result.conflict_policy);
+      return;
+    }
+    if (bulkJob.status === 'rejected') {
+      openScheduleConflictModal(bulkJob.result || {}, retryWithPolicy);
+      return;
+    }
+    if (bulkJob.status === 'failed') {
+      showToast(`Error scheduling drops: ${bulkJob.error || 'Unknown error'}`, true);
+      return;
+    }
+    showToast(bulkJob.result?.message || `${bulkJob.result?.scheduled_count || 0} drops scheduled.`);
+    fetchScheduledDropsRef.current?.(1, rowsPerPage);
+    fetchActiveDropRef.current?.();
+    if (bulkJob.kind === 'schedule_all' && bulkJob.status === 'completed') {
+      // Clear the Queued Products list as they are now scheduled
+      setQueuedProductsData([]);
+      setQueuedProductsTotalCount(0);
+    }
+  }, [bulkJob, rowsPerPage, showToast, openScheduleConflictModal]);
+
+  // Drops the job already inserted stay scheduled; the job's final 'bulk_job' event carries the summary
+  const handleCancelBulkJob = useCallback(async () => {
+    const shop = getShop();
+    if (!shop || !sessionToken || !isAuthenticated || !bulkJob) return;
+    setIsCancellingBulkJob(true);
+    try {
+      const response = await fetchWithIdempotencyKey(`cancel-job:${bulkJob.id}`, `${backendBaseUrl}/api/drops/jobs/${bulkJob.id}/cancel?shop=${encodeURIComponent(shop)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${sessionToken}`,
+        },
+        body: JSON.stringify({ shop }),
+      });
+      const result = await response.json();
+      if (result.job) setBulkJob(result.job);
+      if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    } catch (error) {
+      console.error('[App.jsx Bulk Job] Error cancelling job:', error);
+      showToast(`Error cancelling: ${error.message}`, true);
+    } finally {
+      setIsCancellingBulkJob(false);
+    }
+  }, [getShop, sessionToken, isAuthenticated, bulkJob, showToast, fetchWithIdempotencyKey]);
+
   // --- NEW: Function to handle deletion of selected drops ---
   const handleDeleteSelectedDrops = useCallback(async (dropIdsToDelete) => {
     if (!dropIdsToDelete || dropIdsToDelete.length === 0) {
@@ -954,42 +1424,156 @@ function App() {
       return;
     }
 
+    // compact: true asks the backend to pull the following drops forward into the freed slots
+    const deleteAction = `delete:${dropIdsToDelete.join(',')}`;
+    const deleteDrops = async (compact) => {
+        setIsConfirmModalOpen(false);
+        setIsDeleting(true);
+        console.log('[App.jsx Delete] Deleting drop IDs:', dropIdsToDelete, 'compact:', compact);
+        const shop = getShop(); // Get shop inside confirmAction
+        try {
+            const response = await fetchWithIdempotencyKey(deleteAction, `${backendBaseUrl}/api/drops?shop=${encodeURIComponent(shop)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${sessionToken}`,
+                },
+                body: JSON.stringify({ dropIds: dropIdsToDelete, compact }),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+            console.log('[App.jsx Delete] Drops deleted successfully:', result);
+            showToast(`${result.deleted_count} drop(s) moved to the trash.`, false, undoActionFor(result.batch_id));
+            fetchScheduledDropsRef.current(1, rowsPerPage);
+        } catch (error) {
+            console.error('[App.jsx Delete] Error deleting drops:', error);
+            showToast(`Error deleting drops: ${error.message}`, true);
+        } finally {
+            setIsDeleting(false);
+        }
+    };
+
     // --- Open Confirmation Modal --- 
     setConfirmModalContent({
         title: 'Delete Scheduled Drops?',
-        body: `Are you sure you want to delete ${dropIdsToDelete.length} selected queued drop(s)? This action cannot be undone.`,
-        confirmAction: async () => { // Wrap the actual deletion logic
-            setIsConfirmModalOpen(false);
-            setIsDeleting(true);
-            console.log('[App.jsx Delete] Deleting drop IDs:', dropIdsToDelete);
-            const shop = getShop(); // Get shop inside confirmAction
-            try {
-                const response = await fetch(`${backendBaseUrl}/api/drops?shop=${encodeURIComponent(shop)}`, {
-                    method: 'DELETE',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${sessionToken}`,
-                    },
-                    body: JSON.stringify({ drop_ids: dropIdsToDelete }),
-                });
-                const result = await response.json();
-                if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
-                console.log('[App.jsx Delete] Drops deleted successfully:', result);
-                fetchScheduledDropsRef.current(1, rowsPerPage);
-            } catch (error) {
-                console.error('[App.jsx Delete] Error deleting drops:', error);
-                showToast(`Error deleting drops: ${error.message}`, true);
-            } finally {
-                setIsDeleting(false);
-            }
-        },
-        confirmLabel: 'Delete Drops',
-        destructive: true
+        body: `Are you sure you want to delete ${dropIdsToDelete.length} selected queued drop(s)? They can be restored from the trash. "Delete & Close Gap" moves the following drops earlier to fill the freed slots (back to back, or one per day in daily mode).`,
+        confirmAction: () => deleteDrops(true),
+        confirmLabel: 'Delete & Close Gap',
+        destructive: true,
+        alternateAction: { content: 'Delete Only', onAction: () => deleteDrops(false) },
+        idempotencyAction: deleteAction
     });
     setIsConfirmModalOpen(true);
-    // --- Actual deletion logic moved inside confirmAction --- 
 
-  }, [sessionToken, isAuthenticated, showToast, fetchScheduledDropsRef, rowsPerPage]);
+  }, [sessionToken, isAuthenticated, showToast, fetchScheduledDropsRef, rowsPerPage, undoActionFor, fetchWithIdempotencyKey]);
+
+  // --- Reorder queued drops: { drop_id, position } moves one drop, { swap: [idA, idB] } swaps two ---
+  const handleReorderDrops = useCallback(async (reorderPayload) => {
+    const shop = getShop();
+    if (!shop || !sessionToken || !isAuthenticated) {
+      showToast('Authentication error. Cannot reorder drops.', true);
+      return;
+    }
+    setIsReordering(true);
+    console.log('[App.jsx Reorder] Reorder payload:', reorderPayload);
+    try {
+      const response = await fetchWithIdempotencyKey('reorder', `${backendBaseUrl}/api/drops/reorder`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${sessionToken}`,
+        },
+        body: JSON.stringify({ shop, ...reorderPayload }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      console.log('[App.jsx Reorder] Queue reordered:', result);
+      showToast(result.message || 'Queue reordered.');
+      // Backend broadcasts scheduled_drops; refetch the current page in case this socket missed it
+      fetchScheduledDropsRef.current(scheduledPage, rowsPerPage);
+    } catch (error) {
+      console.error('[App.jsx Reorder] Error reordering drops:', error);
+      showToast(`Error reordering drops: ${error.message}`, true);
+    } finally {
+      setIsReordering(false);
+    }
+  }, [sessionToken, isAuthenticated, getShop, showToast, scheduledPage, rowsPerPage, fetchWithIdempotencyKey]);
+
+  // Dropping a dragged row onto another row moves it to that row's position in the whole queue
+  const handleScheduledRowDrop = useCallback((targetIndex) => {
+    const dropId = draggedDropId;
+    setDraggedDropId(null);
+    if (!dropId) return;
+    const targetPosition = (scheduledPage - 1) * rowsPerPage + targetIndex + 1;
+    const currentIndex = scheduledDropsData.findIndex(d => d.id === dropId);
+    if (currentIndex === targetIndex) return;
+    handleReorderDrops({ drop_id: dropId, position: targetPosition });
+  }, [draggedDropId, scheduledPage, rowsPerPage, scheduledDropsData, handleReorderDrops]);
+
+  // --- Edit a single queued drop ---
+  const openEditDropModal = useCallback((drop) => {
+    setEditingDrop({
+      id: drop.id,
+      title: drop.title || '',
+      ...toDateTimeFields(drop.start_time, shopTimeZone),
+      duration: String(drop.duration_minutes || '')
+    });
+  }, [shopTimeZone]);
+
+  const handleSaveDropEdit = useCallback(async (conflictPolicy = 'reject') => {
+    if (!editingDrop) return;
+    const shop = getShop();
+    if (!shop || !sessionToken || !isAuthenticated) {
+      showToast('Authentication error. Cannot edit drop.', true);
+      return;
+    }
+    const durationMinutes = parseInt(editingDrop.duration, 10);
+    if (!editingDrop.title.trim() || isNaN(durationMinutes) || durationMinutes <= 0) {
+      showToast('Please enter a title and a valid positive duration.', true);
+      return;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(editingDrop.date) || !/^\d{1,2}:\d{2}$/.test(editingDrop.time)) {
+      showToast('Please enter a valid date and time.', true);
+      return;
+    }
+
+    setIsSavingDropEdit(true);
+    const editPayload = {
+      shop,
+      title: editingDrop.title,
+      drop_date: editingDrop.date,
+      drop_time: editingDrop.time,
+      duration_minutes: durationMinutes,
+      conflict_policy: conflictPolicy
+    };
+    console.log('[App.jsx Edit Drop] Saving drop edit:', editingDrop.id, editPayload);
+    try {
+      const response = await fetchWithIdempotencyKey(`edit:${editingDrop.id}`, `${backendBaseUrl}/api/drops/${encodeURIComponent(editingDrop.id)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${sessionToken}`,
+        },
+        body: JSON.stringify(editPayload),
+      });
+      const result = await response.json();
+      if (response.status === 409 && result.conflicts) {
+        openScheduleConflictModal(result, (policy) => handleSaveDropEdit(policy));
+        return;
+      }
+      // 400 covers a start outside the schedule windows or on a blackout date; the error names the next allowed start
+      if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      console.log('[App.jsx Edit Drop] Drop updated:', result);
+      showToast(`Drop "${result.title}" updated.`);
+      setEditingDrop(null);
+      fetchScheduledDropsRef.current(scheduledPage, rowsPerPage);
+    } catch (error) {
+      console.error('[App.jsx Edit Drop] Error updating drop:', error);
+      showToast(`Error updating drop: ${error.message}`, true);
+    } finally {
+      setIsSavingDropEdit(false);
+    }
+  }, [editingDrop, sessionToken, isAuthenticated, getShop, showToast, scheduledPage, rowsPerPage, openScheduleConflictModal, fetchWithIdempotencyKey]);
 
   // --- NEW: Callback to clear ALL completed drops --- 
   const handleClearCompletedDrops = useCallback(async () => {
@@ -1005,7 +1589,7 @@ function App() {
     console.log('[App.jsx Clear Completed] Clearing completed drops...');
 
     try {
-      const response = await fetch(`${backendBaseUrl}/api/drops/completed?shop=${encodeURIComponent(shop)}`, { // <-- Use backendBaseUrl
+      const response = await fetchWithIdempotencyKey('clear-completed', `${backendBaseUrl}/api/drops/completed?shop=${encodeURIComponent(shop)}`, { // <-- Use backendBaseUrl
         method: 'DELETE',
         headers: {
           'Authorization': `Bearer ${sessionToken}`,
@@ -1019,7 +1603,7 @@ function App() {
       }
 
       console.log('[App.jsx Clear Completed] Drops cleared successfully:', result);
-      showToast(`${result.deleted_count ?? 0} completed drop(s) cleared successfully!`);
+      showToast(`${result.deleted_count ?? 0} finished drop(s) moved to the trash.`, false, undoActionFor(result.batch_id));
 
       // Refetch completed drops to update the UI
       fetchCompletedDropsRef.current(1, rowsPerPage); 
@@ -1030,16 +1614,17 @@ function App() {
     } finally {
       setIsClearingCompleted(false); 
     }
-  }, [sessionToken, isAuthenticated, showToast, fetchCompletedDropsRef, rowsPerPage]);
+  }, [sessionToken, isAuthenticated, showToast, fetchCompletedDropsRef, rowsPerPage, undoActionFor, fetchWithIdempotencyKey]);
 
   // --- Callback to open confirm modal for clearing completed drops --- 
   const openClearCompletedConfirmModal = useCallback(() => {
     setConfirmModalContent({
-      title: 'Clear Completed Drops?',
-      body: 'Are you sure you want to clear ALL completed drops? This action cannot be undone.',
+      title: 'Clear Drop History?',
+      body: 'Are you sure you want to clear ALL finished drops (completed, skipped, cancelled, missed and failed)? They can be restored from the trash.',
       confirmAction: handleClearCompletedDrops, // Point to the clearing function
-      confirmLabel: 'Clear Completed',
-      destructive: true
+      confirmLabel: 'Clear History',
+      destructive: true,
+      idempotencyAction: 'clear-completed'
     });
     setIsConfirmModalOpen(true);
   }, [handleClearCompletedDrops]);
@@ -1059,17 +1644,20 @@ function App() {
           disabled: selectedResources.length === 0 || isDeleting, // Keep disabled state
           // Remove loading state from here as it's handled after confirmation
       },
+      {
+          content: 'Swap selected drops',
+          onAction: () => handleReorderDrops({ swap: selectedResources }),
+          disabled: selectedResources.length !== 2 || isReordering,
+      },
   ];
 
   // --- Define Row Markup for IndexTable ---
   const scheduledDropsRowMarkup = scheduledDropsData.map(
       (
-          { id, thumbnail_url, title, start_time, end_time, status }, // Add status here
+          drop,
           index,
       ) => {
-          const startDate = start_time ? new Date(start_time).toLocaleDateString() : '-';
-          const startTime = start_time ? new Date(start_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true }) : '-';
-          const endTime = end_time ? new Date(end_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true }) : '-';
+          const { id, thumbnail_url, title, start_time, end_time, status } = drop;
           
           // Determine Badge status - only show for queued for clarity with delete action
           let statusBadge = null;
@@ -1088,7 +1676,22 @@ function App() {
                   key={id}
                   selected={selectedResources.includes(id)}
                   position={index}
+                  tone={draggedDropId === id ? 'subdued' : undefined}
               >
+                  <IndexTable.Cell>
+                      <div
+                          draggable={!isReordering}
+                          onDragStart={(event) => { event.dataTransfer.effectAllowed = 'move'; setDraggedDropId(id); }}
+                          onDragEnd={() => setDraggedDropId(null)}
+                          onDragOver={(event) => { if (draggedDropId) event.preventDefault(); }}
+                          onDrop={(event) => { event.preventDefault(); handleScheduledRowDrop(index); }}
+                          onClick={(event) => event.stopPropagation()}
+                          style={{ cursor: isReordering ? 'progress' : 'grab', padding: '8px 4px' }}
+                          aria-label={`Drag to reorder ${title || 'drop'}`}
+                      >
+                          <Icon source={DragHandleIcon} tone="subdued" />
+                      </div>
+                  </IndexTable.Cell>
                   <IndexTable.Cell>
                       <Thumbnail
                           source={thumbnail_url || 'https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_medium.png?format=webp&v=1530129081'}
@@ -1097,17 +1700,47 @@ function App() {
                       />
                   </IndexTable.Cell>
                   <IndexTable.Cell>{title || 'N/A'}</IndexTable.Cell>
-                  <IndexTable.Cell>{startDate}</IndexTable.Cell>
-                  <IndexTable.Cell>{startTime}</IndexTable.Cell>
-                  <IndexTable.Cell>{endTime}</IndexTable.Cell>
+                  <IndexTable.Cell><ZonedTime value={start_time} shopTimeZone={shopTimeZone} part="date" /></IndexTable.Cell>
+                  <IndexTable.Cell><ZonedTime value={start_time} shopTimeZone={shopTimeZone} /></IndexTable.Cell>
+                  <IndexTable.Cell><ZonedTime value={end_time} shopTimeZone={shopTimeZone} /></IndexTable.Cell>
                   <IndexTable.Cell>{statusBadge}</IndexTable.Cell> 
+                  <IndexTable.Cell>
+                      <div onClick={(event) => event.stopPropagation()}>
+                          <InlineStack gap="100" wrap={false}>
+                              <Button
+                                  icon={EditIcon}
+                                  variant="tertiary"
+                                  accessibilityLabel={`Edit ${title || 'drop'}`}
+                                  onClick={() => openEditDropModal(drop)}
+                                  disabled={status !== 'queued'}
+                              />
+                              <Button
+                                  icon={PlayIcon}
+                                  variant="tertiary"
+                                  accessibilityLabel={`Activate ${title || 'drop'} now`}
+                                  onClick={() => handleActivateDropNow(drop)}
+                                  disabled={status !== 'queued' || isAdjustingActive || queueState.paused}
+                              />
+                              <Button
+                                  icon={ClockIcon}
+                                  variant="tertiary"
+                                  accessibilityLabel={`History of ${title || 'drop'}`}
+                                  onClick={() => openDropDetail(drop)}
+                              />
+                          </InlineStack>
+                      </div>
+                  </IndexTable.Cell>
               </IndexTable.Row>
           );
       },
   );
 
   // --- Define Row Markup for Queued Products Table ---
-  const queuedProductsRowMarkup = queuedProductsData.map(
+  const queuedProductsPageData = queuedProductsData.slice(
+    (queuedProductsPage - 1) * QUEUED_PRODUCTS_PAGE_SIZE,
+    queuedProductsPage * QUEUED_PRODUCTS_PAGE_SIZE
+  );
+  const queuedProductsRowMarkup = queuedProductsPageData.map(
     (product, index) => (
       <IndexTable.Row
         id={product.id} // Assuming product has a unique ID from Shopify
@@ -1123,15 +1756,16 @@ function App() {
           />
         </IndexTable.Cell>
         <IndexTable.Cell>{product.title}</IndexTable.Cell>
+        <IndexTable.Cell>{product.totalInventory ?? '-'}</IndexTable.Cell>
       </IndexTable.Row>
     )
   );
 
+  // A drop frozen by "Pause & Freeze" is hidden from the storefront (idle) and can't be adjusted or ended until the queue resumes
+  const activeDropPaused = activeDropData?.status === 'paused';
+
   // --- Define Row Markup for Completed Products Table (Add Link) ---
   const completedDropsRowMarkup = completedDropsData.map(drop => {
-      const startDate = drop.start_time ? new Date(drop.start_time).toLocaleDateString() : '-';
-      const startTime = drop.start_time ? new Date(drop.start_time).toLocaleTimeString([], { hour: '2-digit', minute:'2-digit', hour12: true }) : '-';
-      const endTime = drop.end_time ? new Date(drop.end_time).toLocaleTimeString([], { hour: '2-digit', minute:'2-digit', hour12: true }) : '-';
       const productIdNumeric = drop.product_id ? drop.product_id.split('/').pop() : null; // Extract numeric ID
       const productAdminUrl = productIdNumeric ? `/admin/products/${productIdNumeric}` : null;
 
@@ -1151,9 +1785,21 @@ function App() {
               drop.title || 'N/A' // Fallback if no ID/URL
           ),
           // --- END LINK ---
-          startDate,
-          startTime,
-          endTime
+          <ZonedTime value={drop.start_time} shopTimeZone={shopTimeZone} part="date" key={`${drop.id}-date`} />,
+          <ZonedTime value={drop.start_time} shopTimeZone={shopTimeZone} key={`${drop.id}-start`} />,
+          <ZonedTime value={drop.end_time} shopTimeZone={shopTimeZone} key={`${drop.id}-end`} />,
+          formatDelay(drop.delay_seconds),
+          drop.actual_duration_minutes === null || drop.actual_duration_minutes === undefined
+              ? '-'
+              : `${drop.actual_duration_minutes}${drop.planned_duration_minutes ? ` of ${drop.planned_duration_minutes}` : ''} min`,
+          <HistoryStatus drop={drop} key={`${drop.id}-status`} />,
+          <Button
+              icon={ClockIcon}
+              variant="tertiary"
+              accessibilityLabel={`History of ${drop.title || 'drop'}`}
+              onClick={() => openDropDetail(drop)}
+              key={`${drop.id}-history`}
+          />
       ];
   });
 
@@ -1177,6 +1823,14 @@ function App() {
     }
   }, [scheduledPage, rowsPerPage, showRefreshToast]);
 
+  const handleHistoryFilterChange = useCallback((value) => {
+    historyFilterRef.current = value;
+    setHistoryFilter(value);
+    if (fetchCompletedDropsRef.current) {
+      fetchCompletedDropsRef.current(1, rowsPerPage);
+    }
+  }, [rowsPerPage]);
+
   const refreshCompletedDrops = useCallback(() => {
     if (fetchCompletedDropsRef.current) {
       fetchCompletedDropsRef.current(completedPage, rowsPerPage);
@@ -1191,6 +1845,56 @@ function App() {
     }
   }, [showRefreshToast]);
 
+  // --- Punctuality stats for the Completed Drops card; refetched whenever the completed list changes ---
+  const fetchPunctualityStats = useCallback(async () => {
+    const shop = getShop();
+    if (!shop || !sessionToken || !isAuthenticated) return;
+    try {
+      const response = await fetch(`${backendBaseUrl}/api/drops/stats?shop=${encodeURIComponent(shop)}&days=30`, {
+        headers: { 'Authorization': `Bearer ${sessionToken}` },
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      setPunctualityStats(result);
+    } catch (error) {
+      console.error('[App.jsx Stats] Error fetching punctuality stats:', error);
+    }
+  }, [getShop, sessionToken, isAuthenticated]);
+
+  useEffect(() => {
+    fetchPunctualityStats();
+  }, [fetchPunctualityStats, completedDropsData]);
+
+  // --- Drop detail panel: GET /api/drops/:id/events, newest first; beforeId loads the next older page ---
+  const fetchDropEvents = useCallback(async (dropId, beforeId = null) => {
+    const shop = getShop();
+    if (!shop || !sessionToken || !isAuthenticated) return;
+    setIsFetchingDropEvents(true);
+    try {
+      const params = new URLSearchParams({ shop, limit: String(DROP_EVENTS_PAGE_SIZE) });
+      if (beforeId) params.set('before_id', String(beforeId));
+      const response = await fetch(`${backendBaseUrl}/api/drops/${encodeURIComponent(dropId)}/events?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${sessionToken}` },
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      setDropEvents(prev => (beforeId ? [...prev, ...result.events] : result.events));
+      setDropEventsNextBeforeId(result.events.length === DROP_EVENTS_PAGE_SIZE ? result.next_before_id : null);
+    } catch (error) {
+      console.error('[App.jsx Drop Events] Error fetching drop events:', error);
+      showToast(`Error loading drop history: ${error.message}`, true);
+    } finally {
+      setIsFetchingDropEvents(false);
+    }
+  }, [getShop, sessionToken, isAuthenticated, showToast]);
+
+  const openDropDetail = useCallback((drop) => {
+    setDetailDrop(drop);
+    setDropEvents([]);
+    setDropEventsNextBeforeId(null);
+    fetchDropEvents(drop.id);
+  }, [fetchDropEvents]);
+
   // --- Error handling and loading timeout ---
   useEffect(() => {
     // Set a maximum loading time to prevent the app from getting stuck
@@ -1226,13 +1930,13 @@ function App() {
 
     setConfirmModalContent({
       title: 'Stop Active Drop & Clear Queue?',
-      body: 'Are you sure you want to stop the current active drop (if any), clear all scheduled drops, and reset the queued collection setting? This action cannot be undone.',
+      body: 'Are you sure you want to stop the current active drop (if any), clear all scheduled drops, and reset the queued collection setting? The cleared drops can be restored from the trash; the stopped drop cannot be put back on air.',
       confirmAction: async () => {
         setIsConfirmModalOpen(false);
         setIsStoppingQueue(true);
         console.log('[App.jsx handleStopAndClearQueue] User confirmed action.');
         try {
-          const response = await fetch(`${backendBaseUrl}/api/drops/stop-and-clear-queue?shop=${encodeURIComponent(shop)}`, {
+          const response = await fetchWithIdempotencyKey('stop-and-clear', `${backendBaseUrl}/api/drops/stop-and-clear-queue?shop=${encodeURIComponent(shop)}`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1245,7 +1949,7 @@ function App() {
             showToast(`Error: ${responseData.error || 'Failed to stop and clear queue.'}`, true);
           } else {
             console.log('[App.jsx handleStopAndClearQueue] Success response from backend:', responseData);
-            showToast(responseData.message || 'Successfully stopped active drop and cleared queue.');
+            showToast(responseData.message || 'Successfully stopped active drop and cleared queue.', false, undoActionFor(responseData.batch_id));
             // Frontend will update via WebSocket messages
           }
         } catch (error) {
@@ -1255,10 +1959,162 @@ function App() {
         setIsStoppingQueue(false);
       },
       confirmLabel: 'Stop & Clear',
-      destructive: true
+      destructive: true,
+      idempotencyAction: 'stop-and-clear'
     });
     setIsConfirmModalOpen(true);
-  }, [sessionToken, getShop, showToast]);
+  }, [sessionToken, getShop, showToast, undoActionFor, fetchWithIdempotencyKey]);
+
+  // --- Pause / resume the queue without clearing it ---
+  const sendQueueStateRequest = useCallback(async (action, body = {}) => {
+    const shop = getShop();
+    if (!shop || !sessionToken) {
+      showToast('Error: Could not determine shop or session token. Please re-authenticate.', true);
+      return;
+    }
+    setIsTogglingPause(true);
+    try {
+      const response = await fetchWithIdempotencyKey(`queue:${action}`, `${backendBaseUrl}/api/drops/${action}?shop=${encodeURIComponent(shop)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${sessionToken}`,
+        },
+        body: JSON.stringify(body),
+      });
+      const responseData = await response.json();
+      if (!response.ok) {
+        throw new Error(responseData.error || `HTTP error! status: ${response.status}`);
+      }
+      console.log(`[App.jsx Queue ${action}] Success response from backend:`, responseData);
+      showToast(responseData.message || (action === 'pause' ? 'Queue paused.' : 'Queue resumed.'));
+      // Banner and tables update via WebSocket (queue_state / scheduled_drops)
+    } catch (error) {
+      console.error(`[App.jsx Queue ${action}] Error:`, error);
+      showToast(`Error: ${error.message}`, true);
+    } finally {
+      setIsTogglingPause(false);
+    }
+  }, [sessionToken, getShop, showToast, fetchWithIdempotencyKey]);
+
+  const handlePauseQueue = useCallback(() => {
+    setConfirmModalContent({
+      title: 'Pause Drop Queue?',
+      body: 'No queued drops will go live while the queue is paused, and the storefront shows no active drop. On resume, every queued drop moves back by the time spent paused. You can also freeze the active drop so its remaining time is kept for later.',
+      confirmAction: () => { setIsConfirmModalOpen(false); sendQueueStateRequest('pause', { freeze_active: false }); },
+      confirmLabel: 'Pause Queue',
+      destructive: false,
+      alternateAction: { content: 'Pause & Freeze Active Drop', onAction: () => { setIsConfirmModalOpen(false); sendQueueStateRequest('pause', { freeze_active: true }); } },
+      idempotencyAction: 'queue:pause'
+    });
+    setIsConfirmModalOpen(true);
+  }, [sendQueueStateRequest]);
+
+  const handleResumeQueue = useCallback(() => sendQueueStateRequest('resume'), [sendQueueStateRequest]);
+
+  // --- Operator actions on the active drop: extend/shorten/end (optionally shifting the queue), skip, activate now ---
+  // path is relative to /api/drops, e.g. 'active/extend' or '<dropId>/activate'
+  const sendActiveDropRequest = useCallback(async (path, body = {}) => {
+    const shop = getShop();
+    if (!shop || !sessionToken) {
+      showToast('Error: Could not determine shop or session token. Please re-authenticate.', true);
+      return;
+    }
+    setIsAdjustingActive(true);
+    try {
+      const response = await fetchWithIdempotencyKey(`active:${path}`, `${backendBaseUrl}/api/drops/${path}?shop=${encodeURIComponent(shop)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${sessionToken}`,
+        },
+        body: JSON.stringify(body),
+      });
+      const responseData = await response.json();
+      if (!response.ok) {
+        throw new Error(responseData.error || `HTTP error! status: ${response.status}`);
+      }
+      console.log(`[App.jsx Active Drop ${path}] Success response from backend:`, responseData);
+      if (path === 'active/extend') {
+        const shiftedNote = body.shift_queue ? ` ${responseData.shifted_count || 0} queued drop(s) shifted.` : '';
+        showToast(`Active drop now ends at ${formatDropTimestamp(responseData.drop?.end_time, shopTimeZone)}.${shiftedNote}`);
+      } else {
+        showToast(responseData.message || 'Done.');
+      }
+      if (fetchActiveDropRef.current) fetchActiveDropRef.current();
+    } catch (error) {
+      console.error(`[App.jsx Active Drop ${path}] Error:`, error);
+      showToast(`Error: ${error.message}`, true);
+    } finally {
+      setIsAdjustingActive(false);
+    }
+  }, [sessionToken, getShop, showToast, shopTimeZone, fetchWithIdempotencyKey]);
+
+  const handleAdjustActiveDrop = useCallback((direction) => {
+    const minutes = parseInt(activeAdjustMinutes, 10);
+    if (isNaN(minutes) || minutes <= 0) {
+      showToast('Please enter a positive number of minutes.', true);
+      return;
+    }
+    const verb = direction > 0 ? 'Extend' : 'Shorten';
+    const request = (shiftQueue) => {
+      setIsConfirmModalOpen(false);
+      sendActiveDropRequest('active/extend', { minutes: direction * minutes, shift_queue: shiftQueue });
+    };
+    setConfirmModalContent({
+      title: `${verb} Active Drop by ${minutes} min?`,
+      body: direction > 0
+        ? `The active drop will run ${minutes} minutes longer. Push the queued drops back by the same amount so they don't overlap?`
+        : `The active drop will end ${minutes} minutes sooner. Move the queued drops up by the same amount?`,
+      confirmAction: () => request(true),
+      confirmLabel: `${verb} & Shift Queue`,
+      destructive: false,
+      alternateAction: { content: `${verb} Only`, onAction: () => request(false) },
+      idempotencyAction: 'active:active/extend'
+    });
+    setIsConfirmModalOpen(true);
+  }, [activeAdjustMinutes, sendActiveDropRequest, showToast]);
+
+  const handleEndActiveDrop = useCallback(() => {
+    const request = (shiftQueue) => {
+      setIsConfirmModalOpen(false);
+      sendActiveDropRequest('active/end', { shift_queue: shiftQueue });
+    };
+    setConfirmModalContent({
+      title: 'End Active Drop Now?',
+      body: `"${activeDropData?.title || 'The active drop'}" will be completed immediately. Move the queued drops up to fill the time it would have run?`,
+      confirmAction: () => request(true),
+      confirmLabel: 'End & Move Queue Up',
+      destructive: true,
+      alternateAction: { content: 'End Only', onAction: () => request(false) },
+      idempotencyAction: 'active:active/end'
+    });
+    setIsConfirmModalOpen(true);
+  }, [activeDropData, sendActiveDropRequest]);
+
+  const handleSkipActiveDrop = useCallback(() => {
+    setConfirmModalContent({
+      title: 'Skip to Next Drop?',
+      body: `"${activeDropData?.title || 'The active drop'}" will be completed now and the next queued drop goes live immediately. The rest of the queue is re-timed to follow it.`,
+      confirmAction: () => { setIsConfirmModalOpen(false); sendActiveDropRequest('active/skip'); },
+      confirmLabel: 'Skip to Next',
+      destructive: true,
+      idempotencyAction: 'active:active/skip'
+    });
+    setIsConfirmModalOpen(true);
+  }, [activeDropData, sendActiveDropRequest]);
+
+  const handleActivateDropNow = useCallback((drop) => {
+    setConfirmModalContent({
+      title: 'Activate Drop Now?',
+      body: `"${drop.title || 'This drop'}" goes live immediately${activeDropData ? ` and "${activeDropData.title || 'the active drop'}" is ended early` : ''}. The rest of the queue is re-timed to follow it.`,
+      confirmAction: () => { setIsConfirmModalOpen(false); sendActiveDropRequest(`${encodeURIComponent(drop.id)}/activate`); },
+      confirmLabel: 'Activate Now',
+      destructive: false,
+      idempotencyAction: `active:${encodeURIComponent(drop.id)}/activate`
+    });
+    setIsConfirmModalOpen(true);
+  }, [activeDropData, sendActiveDropRequest]);
 
   // --- Render Logic ---
 
@@ -1325,7 +2181,13 @@ function App() {
   }
 
   const toastMarkup = toastActive ? (
-    <Toast content={toastMessage} onDismiss={toggleToastActive} error={toastIsError} />
+    <Toast
+      content={toastMessage}
+      onDismiss={toggleToastActive}
+      error={toastIsError}
+      action={toastAction ? { content: toastAction.content, onAction: () => { setToastActive(false); toastAction.onAction(); } } : undefined}
+      duration={toastAction ? 10000 : undefined}
+    />
   ) : null;
 
   console.log('[App.jsx Render Check]', {
@@ -1337,6 +2199,12 @@ function App() {
     // scheduledDropsData, 
   });
 
+  const isBulkJobRunning = bulkJob?.status === 'running';
+  const bulkJobProgress = bulkJob?.progress || {};
+  const bulkJobSkippedSummary = Object.entries(bulkJobProgress.skipped_by_reason || {})
+    .map(([reason, count]) => `${SKIP_REASON_LABELS[reason] || reason}: ${count}`)
+    .join(', ');
+
   // *** DEFINE pageContent HERE, before confirmationModalMarkup ***
   const pageContent = (
     <Page 
@@ -1350,10 +2218,11 @@ function App() {
       secondaryActions={[
           {
               content: "Schedule All Queued",
-              onAction: handleScheduleAllDrops,
-              loading: isBulkScheduling,
+              onAction: () => handleScheduleAllDrops(),
+              loading: isBulkScheduling || (isBulkJobRunning && bulkJob.kind === 'schedule_all'),
               disabled: isSaving || 
                         isAppending ||
+                        isBulkJobRunning ||
                         isStoppingQueue ||
                         queuedCollection === 'placeholder' || 
                         !dropDateString || 
@@ -1363,25 +2232,88 @@ function App() {
           },
           {
             content: "Append New Products",
-            onAction: handleAppendDrops,
-            loading: isAppending,
+            onAction: () => handleAppendDrops(),
+            loading: isAppending || (isBulkJobRunning && bulkJob.kind === 'append'),
             disabled: isSaving || 
                       isBulkScheduling || 
+                      isBulkJobRunning ||
                       isStoppingQueue ||
                       queuedCollection === 'placeholder' || 
                       !dropDuration || 
                       queuedProductsData.length === 0 
           },
+          {
+            content: queueState.paused ? "Resume Queue" : "Pause Queue",
+            onAction: queueState.paused ? handleResumeQueue : handlePauseQueue,
+            loading: isTogglingPause,
+            disabled: isSaving || isBulkScheduling || isAppending || isStoppingQueue
+          },
           {
             content: "Stop Active & Clear Queue",
             onAction: handleStopAndClearQueue,
             loading: isStoppingQueue,
-            disabled: isSaving || isBulkScheduling || isAppending,
+            disabled: isSaving || isBulkScheduling || isAppending || isBulkJobRunning,
             destructive: true,
           }
       ]}
     >
         <Layout>
+            {queueState.paused && (
+              <Layout.Section>
+                <Banner
+                  title="Drop queue paused"
+                  tone="warning"
+                  action={{ content: 'Resume Queue', onAction: handleResumeQueue, loading: isTogglingPause }}
+                >
+                  <p>
+                    Paused since {formatDropTimestamp(queueState.paused_at, shopTimeZone, 'date')} {formatDropTimestamp(queueState.paused_at, shopTimeZone)}.
+                    {' '}No queued drops will go live and the storefront shows no active drop.
+                    {queueState.freeze_active ? ' The active drop is frozen and its remaining time will be restored on resume.' : ''}
+                  </p>
+                </Banner>
+              </Layout.Section>
+            )}
+            {bulkJob && (
+              <Layout.Section>
+                <Card roundedAbove="sm">
+                  <BlockStack gap="300">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="h3" variant="headingMd">{BULK_JOB_TITLES[bulkJob.kind] || 'Bulk scheduling'}</Text>
+                        <Badge tone={(BULK_JOB_STATUS_BADGES[bulkJob.status] || [])[0]}>{(BULK_JOB_STATUS_BADGES[bulkJob.status] || [])[1] || bulkJob.status}</Badge>
+                      </InlineStack>
+                      {isBulkJobRunning ? (
+                        <Button onClick={handleCancelBulkJob} loading={isCancellingBulkJob} disabled={bulkJob.cancel_requested}>
+                          {bulkJob.cancel_requested ? 'Cancelling…' : 'Cancel'}
+                        </Button>
+                      ) : (
+                        <Button variant="plain" onClick={() => setBulkJob(null)}>Dismiss</Button>
+                      )}
+                    </InlineStack>
+                    {(bulkJobProgress.stage === 'inserting' || !isBulkJobRunning) && bulkJobProgress.planned > 0 && (
+                      <ProgressBar progress={Math.round((bulkJobProgress.scheduled / bulkJobProgress.planned) * 100)} size="small" tone={bulkJob.status === 'failed' ? 'critical' : 'primary'} />
+                    )}
+                    <Text as="p" variant="bodyMd">
+                      {bulkJobProgress.fetched} products fetched · {bulkJobProgress.checked} checked · {bulkJobProgress.scheduled} of {bulkJobProgress.planned} scheduled · {bulkJobProgress.skipped} skipped{bulkJobProgress.shifted ? ` · ${bulkJobProgress.shifted} existing pushed back` : ''}
+                    </Text>
+                    {bulkJobSkippedSummary && (
+                      <Text as="p" variant="bodySm" tone="subdued">Skipped — {bulkJobSkippedSummary}</Text>
+                    )}
+                    {!isBulkJobRunning && (
+                      <Text as="p" variant="bodyMd" tone={bulkJob.status === 'failed' ? 'critical' : undefined}>
+                        {bulkJob.status === 'failed'
+                          ? bulkJob.error
+                          : bulkJob.status === 'rejected'
+                            ? (bulkJob.result?.plan_changed
+                              ? 'Nothing was scheduled: the plan changed since it was previewed.'
+                              : `Nothing was scheduled: the new drops overlap ${bulkJob.result?.conflicts?.length || 0} existing drop(s).`)
+                            : `${bulkJob.result?.message || ''}${bulkJob.result?.shifted_count ? ` ${bulkJob.result.shifted_count} existing drop(s) were pushed back.` : ''}`}
+                      </Text>
+                    )}
+                  </BlockStack>
+                </Card>
+              </Layout.Section>
+            )}
             {/* --- Settings Section --- */}
             <Layout.Section>
               <BlockStack gap={{ xs: "800", sm: "400" }}>
@@ -1430,12 +2362,25 @@ function App() {
                           <Text as="p" variant="bodyMd" tone="subdued">
                               Set the date, time, and duration for the drops.
                           </Text>
+                          <Text as="p" variant="bodySm" tone="subdued">
+                              Dates and times are in shop time{shopTimeZone ? ` (${shopTimeZone})` : ''}.
+                              {shopTimeZone && shopTimeZone !== viewerTimeZone ? ` Your timezone is ${viewerTimeZone}.` : ''}
+                          </Text>
                           </BlockStack>
                       </Box>
                       <Card roundedAbove="sm">
                           <BlockStack gap="400">
+                              <Select
+                                  label="Schedule mode"
+                                  options={[
+                                      { label: 'Back to back (chain drops by duration)', value: 'back_to_back' },
+                                      { label: 'Daily (one drop per day at the drop time)', value: 'daily' }
+                                  ]}
+                                  value={scheduleMode}
+                                  onChange={setScheduleMode}
+                              />
                               <TextField
-                                  label="Date"
+                                  label={scheduleMode === 'daily' ? 'First drop date' : 'Date'}
                                   type="date" 
                                   value={dropDateString} 
                                   onChange={setDropDateString}
@@ -1448,15 +2393,124 @@ function App() {
                                   placeholder="Enter time (HH:MM)"
                                   autoComplete="off"
                               />
+                              {scheduleMode === 'daily' ? (
+                                  <TextField
+                                      label="Duration (mins)"
+                                      value={cadenceDuration}
+                                      onChange={setCadenceDuration}
+                                      placeholder="Until the next day's drop"
+                                      helpText="Leave empty to run each drop until the next day's drop."
+                                      type="number"
+                                      autoComplete="off"
+                                  />
+                              ) : (
+                                  <TextField
+                                      label="Duration (mins)"
+                                      value={dropDuration}
+                                      onChange={setDropDuration}
+                                      placeholder="Enter duration in minutes"
+                                      type="number"
+                                      autoComplete="off"
+                                  />
+                              )}
+                              <Select
+                                  label="After downtime"
+                                  options={[
+                                      { label: 'Run overdue drops late and push the queue back', value: 'run_late' },
+                                      { label: 'Skip drops whose slot has passed', value: 'skip_missed' },
+                                      { label: 'Jump to the drop whose slot is now', value: 'jump_to_current' }
+                                  ]}
+                                  value={catchUpPolicy}
+                                  onChange={setCatchUpPolicy}
+                                  helpText="What happens to drops that came due while the scheduler was offline. Skipped drops are marked as missed."
+                              />
+                              <Select
+                                  label="When the queue runs dry"
+                                  options={[
+                                      { label: 'Stop and leave the storefront idle', value: 'off' },
+                                      { label: 'Schedule the queued collection again', value: 'collection' },
+                                      { label: 'Replay completed drops in order', value: 'replay' }
+                                  ]}
+                                  value={rotationMode}
+                                  onChange={setRotationMode}
+                                  helpText="Starts a new round with the default duration and drop windows when the last drop finishes or is skipped, unless the queue is paused. The product that just ended is left out of the round."
+                              />
+                           </BlockStack>
+                      </Card>
+                  </InlineGrid>
+
+                  {smUp ? <Divider /> : null}
+
+                  {/* Schedule Windows & Blackout Dates Group */}
+                  <InlineGrid columns={{ xs: "1fr", md: "2fr 5fr" }} gap="400">
+                      <Box
+                          as="section"
+                          paddingInlineStart={{ xs: 400, sm: 0 }}
+                          paddingInlineEnd={{ xs: 400, sm: 0 }}
+                      >
+                          <BlockStack gap="400">
+                          <Text as="h3" variant="headingMd">
+                              Drop Windows
+                          </Text>
+                          <Text as="p" variant="bodyMd" tone="subdued">
+                              Limit when drops may run and block out holidays or maintenance days. Scheduling, appending and re-timing skip these slots.
+                          </Text>
+                          </BlockStack>
+                      </Box>
+                      <Card roundedAbove="sm">
+                          <BlockStack gap="400">
+                              <Checkbox
+                                  label="Only schedule drops inside these hours (shop time)"
+                                  checked={restrictToWindows}
+                                  onChange={setRestrictToWindows}
+                              />
+                              {restrictToWindows && weekdayWindows.map((window, weekday) => (
+                                  <InlineGrid key={WEEKDAY_LABELS[weekday]} columns={{ xs: "1fr", sm: "2fr 1fr 1fr" }} gap="200" alignItems="center">
+                                      <Checkbox
+                                          label={WEEKDAY_LABELS[weekday]}
+                                          checked={window.enabled}
+                                          onChange={(checked) => updateWeekdayWindow(weekday, { enabled: checked })}
+                                      />
+                                      <TextField
+                                          label={`${WEEKDAY_LABELS[weekday]} start`}
+                                          labelHidden
+                                          value={window.start}
+                                          onChange={(value) => updateWeekdayWindow(weekday, { start: value })}
+                                          placeholder="HH:MM"
+                                          disabled={!window.enabled}
+                                          autoComplete="off"
+                                      />
+                                      <TextField
+                                          label={`${WEEKDAY_LABELS[weekday]} end`}
+                                          labelHidden
+                                          value={window.end}
+                                          onChange={(value) => updateWeekdayWindow(weekday, { end: value })}
+                                          placeholder="HH:MM"
+                                          disabled={!window.enabled}
+                                          autoComplete="off"
+                                      />
+                                  </InlineGrid>
+                              ))}
+                              <Divider />
                               <TextField
-                                  label="Duration (mins)"
-                                  value={dropDuration}
-                                  onChange={setDropDuration}
-                                  placeholder="Enter duration in minutes"
-                                  type="number"
+                                  label="Blackout dates"
+                                  type="date"
+                                  value={newBlackoutDate}
+                                  onChange={setNewBlackoutDate}
                                   autoComplete="off"
+                                  connectedRight={<Button onClick={handleAddBlackoutDate}>Add</Button>}
                               />
-                           </BlockStack>
+                              {blackoutDates.length > 0 ? (
+                                  <InlineStack gap="200">
+                                      {blackoutDates.map(date => (
+                                          <Tag key={date} onRemove={() => setBlackoutDates(prev => prev.filter(d => d !== date))}>{date}</Tag>
+                                      ))}
+                                  </InlineStack>
+                              ) : (
+                                  <Text as="p" variant="bodySm" tone="subdued">No blackout dates.</Text>
+                              )}
+                              <Text as="p" variant="bodySm" tone="subdued">Changes apply after saving settings.</Text>
+                          </BlockStack>
                       </Card>
                   </InlineGrid>
               </BlockStack>
@@ -1466,7 +2520,7 @@ function App() {
               <BlockStack gap="400">
                 {/* Active Product - ADD Refresh Button */} 
                 <LegacyCard 
-                  title={isFetchingActiveDrop ? "Active Product (Loading...)" : "Active Product"}
+                  title={isFetchingActiveDrop ? "Active Product (Loading...)" : activeDropPaused ? "Active Product (Paused)" : "Active Product"}
                   actions={[{ 
                     icon: RefreshIcon, 
                     onAction: refreshActiveDrop,
@@ -1499,20 +2553,45 @@ function App() {
                                 alt={activeDropData.title || 'Active product'}
                                 size="small"
                             />,
-                            activeDropData.title || 'N/A',
-                            activeDropData.start_time ? new Date(activeDropData.start_time).toLocaleDateString() : '-',
-                            activeDropData.start_time ? new Date(activeDropData.start_time).toLocaleTimeString([], { hour: '2-digit', minute:'2-digit' }) : '-',
-                            activeDropData.end_time ? new Date(activeDropData.end_time).toLocaleTimeString([], { hour: '2-digit', minute:'2-digit' }) : '-'
+                            activeDropPaused ? (
+                              <InlineStack gap="200" blockAlign="center" key="active-title">
+                                <span>{activeDropData.title || 'N/A'}</span>
+                                <Badge tone="attention">Paused</Badge>
+                              </InlineStack>
+                            ) : (activeDropData.title || 'N/A'),
+                            <ZonedTime value={activeDropData.start_time} shopTimeZone={shopTimeZone} part="date" key="active-date" />,
+                            <ZonedTime value={activeDropData.start_time} shopTimeZone={shopTimeZone} key="active-start" />,
+                            <ZonedTime value={activeDropData.end_time} shopTimeZone={shopTimeZone} key="active-end" />
                           ]
                         ] : [[<Text tone="subdued" alignment="center" as="span" key="no-active">No active product</Text>, '', '', '', '']]}
                         hideScrollIndicator={!activeDropData}
                       />
                     )}
                   </LegacyCard.Section>
+                  {activeDropData && (
+                    <LegacyCard.Section>
+                      <InlineStack gap="200" blockAlign="end">
+                        <div style={{ width: '120px' }}>
+                          <TextField
+                            label="Minutes"
+                            type="number"
+                            value={activeAdjustMinutes}
+                            onChange={setActiveAdjustMinutes}
+                            autoComplete="off"
+                          />
+                        </div>
+                        <Button onClick={() => handleAdjustActiveDrop(1)} disabled={isAdjustingActive || activeDropPaused}>Extend</Button>
+                        <Button onClick={() => handleAdjustActiveDrop(-1)} disabled={isAdjustingActive || activeDropPaused}>Shorten</Button>
+                        <Button onClick={handleSkipActiveDrop} disabled={isAdjustingActive || queueState.paused}>Skip to Next</Button>
+                        <Button onClick={handleEndActiveDrop} loading={isAdjustingActive} disabled={activeDropPaused} tone="critical">End Now</Button>
+                        <Button icon={ClockIcon} onClick={() => openDropDetail(activeDropData)}>History</Button>
+                      </InlineStack>
+                    </LegacyCard.Section>
+                  )}
                 </LegacyCard>
 
                 {/* Queued Products (Available to Schedule) */}
-                <LegacyCard title={isFetchingQueuedProducts ? "Queued Products (Loading...)" : "Queued Products (Available to Schedule)"}>
+                <LegacyCard title={isFetchingQueuedProducts ? "Queued Products (Loading...)" : `Queued Products (Available to Schedule: ${queuedProductsTotalCount})`}>
                    {isFetchingQueuedProducts ? (
                        <LegacyCard.Section>
                       <Spinner accessibilityLabel="Loading queued products..." size="small" />
@@ -1523,10 +2602,11 @@ function App() {
                            singular: 'available product',
                            plural: 'available products',
                          }}
-                         itemCount={queuedProductsData.length}
+                         itemCount={queuedProductsPageData.length}
                       headings={[
                            { title: 'Image' },
                            { title: 'Product Title' },
+                           { title: 'Inventory' },
                          ]}
                          emptyState={ 
                             <Box paddingBlock="2000" paddingInline="2000" style={{ textAlign: 'center' }}>
@@ -1539,6 +2619,17 @@ function App() {
                          {queuedProductsRowMarkup}
                        </IndexTable>
                    )}
+                   {!isFetchingQueuedProducts && queuedProductsTotalCount > QUEUED_PRODUCTS_PAGE_SIZE && (
+                       <Box paddingBlockStart="400" paddingInlineStart="200" paddingInlineEnd="200">
+                           <Pagination
+                               hasPrevious={queuedProductsPage > 1}
+                               onPrevious={() => setQueuedProductsPage(queuedProductsPage - 1)}
+                               hasNext={queuedProductsPage * QUEUED_PRODUCTS_PAGE_SIZE < queuedProductsData.length}
+                               onNext={() => setQueuedProductsPage(queuedProductsPage + 1)}
+                               label={`Page ${queuedProductsPage} of ${Math.ceil(queuedProductsData.length / QUEUED_PRODUCTS_PAGE_SIZE)}`}
+                           />
+                       </Box>
+                   )}
                 </LegacyCard>
 
                 {/* Scheduled Drops - ADD Refresh Button & Total Count */} 
@@ -1567,12 +2658,14 @@ function App() {
                             onSelectionChange={handleSelectionChange}
                             promotedBulkActions={promotedBulkActions} 
                         headings={[
+                                { title: 'Order' },
                                 { title: 'Image' },
                                 { title: 'Title' },
                                 { title: 'Starts' },
                                 { title: 'Starts At' },
                                 { title: 'Ends At' },
                                 { title: 'Status' }, 
+                                { title: 'Edit' },
                             ]}
                             emptyState={ 
                                 <Box paddingBlock="2000" paddingInline="2000" style={{ textAlign: 'center' }}>
@@ -1604,17 +2697,21 @@ function App() {
                     )}
                 </LegacyCard>
 
-                {/* Completed Products - ADD Refresh & Clear Buttons & Total Count */} 
+                {/* Drop History - finished drops in every terminal status, filterable by status */} 
                 <LegacyCard 
-                  title={`Completed Drops ${isFetchingCompletedDrops ? "(Loading...)" : `(Total: ${completedTotalCount})`}`}
+                  title={`Drop History ${isFetchingCompletedDrops ? "(Loading...)" : `(Total: ${completedTotalCount})`}`}
                   actions={[
                       { 
                           icon: RefreshIcon, 
                           onAction: refreshCompletedDrops,
-                          accessibilityLabel: 'Refresh Completed Drops'
+                          accessibilityLabel: 'Refresh Drop History'
+                      },
+                      {
+                          content: 'Trash',
+                          onAction: openTrash
                       },
                       {
-                          content: 'Clear All Completed', 
+                          content: 'Clear History', 
                           onAction: openClearCompletedConfirmModal, 
                           destructive: true,
                           disabled: completedTotalCount === 0 || isClearingCompleted,
@@ -1622,7 +2719,29 @@ function App() {
                       }
                   ]}
                 >
+                  {punctualityStats && punctualityStats.completed_count + punctualityStats.missed_count + punctualityStats.skipped_count + punctualityStats.failed_count > 0 && (
+                    <LegacyCard.Section subdued>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        Last {punctualityStats.period_days} days: {punctualityStats.on_time_count} of {punctualityStats.measured_count} on time
+                        {' · '}average delay {formatDelay(punctualityStats.average_delay_seconds)}
+                        {' · '}max delay {formatDelay(punctualityStats.max_delay_seconds)}
+                        {' · '}{punctualityStats.cut_short_count} cut short
+                        {' · '}{punctualityStats.skipped_count} skipped
+                        {' · '}{punctualityStats.missed_count} missed
+                        {' · '}{punctualityStats.failed_count} failed
+                      </Text>
+                    </LegacyCard.Section>
+                  )}
                   <LegacyCard.Section>
+                    <div style={{ maxWidth: '260px', marginBottom: 'var(--p-space-300)' }}>
+                      <Select
+                        label="Status"
+                        labelInline
+                        options={HISTORY_FILTER_OPTIONS}
+                        value={historyFilter}
+                        onChange={handleHistoryFilterChange}
+                      />
+                    </div>
                     {isFetchingCompletedDrops ? (
                       <Spinner accessibilityLabel="Loading completed products..." size="small" />
                     ) : (
@@ -1632,17 +2751,25 @@ function App() {
                           'text', 
                           'text', 
                           'text', 
-                          'text'  
+                          'text',
+                          'text',
+                          'text',
+                          'text',
+                          'text'
                         ]}
                         headings={[
                           'Image',
                           'Product Title',
                           'Start Date',
                           'Start Time',
-                          'End Time'
+                          'End Time',
+                          'Delay',
+                          'Ran For',
+                          'Status',
+                          ''
                         ]}
                         rows={completedDropsRowMarkup} 
-                        footerContent={completedDropsData.length === 0 ? 'No completed drops found.' : ``} 
+                        footerContent={completedDropsData.length === 0 ? 'No finished drops found.' : ``} 
                         hideScrollIndicator={completedDropsData.length === 0}
                       />
                     )}
@@ -1677,10 +2804,14 @@ function App() {
   );
   // *** END pageContent DEFINITION ***
 
+  const cancelConfirmModal = () => {
+    forgetIdempotencyKey(confirmModalContent.idempotencyAction);
+    setIsConfirmModalOpen(false);
+  };
   const confirmationModalMarkup = (
     <Modal
       open={isConfirmModalOpen}
-      onClose={() => setIsConfirmModalOpen(false)}
+      onClose={cancelConfirmModal}
       title={confirmModalContent.title}
       primaryAction={{
         content: confirmModalContent.confirmLabel,
@@ -1689,9 +2820,15 @@ function App() {
         loading: isDeleting || isClearingCompleted // Show loading on confirm button
       }}
       secondaryActions={[
+        ...(confirmModalContent.alternateAction ? [{
+          content: confirmModalContent.alternateAction.content,
+          onAction: confirmModalContent.alternateAction.onAction,
+          destructive: confirmModalContent.destructive,
+          disabled: isDeleting || isClearingCompleted
+        }] : []),
         {
           content: 'Cancel',
-          onAction: () => setIsConfirmModalOpen(false),
+          onAction: cancelConfirmModal,
           disabled: isDeleting || isClearingCompleted // Disable cancel while loading
         },
       ]}
@@ -1702,6 +2839,257 @@ function App() {
     </Modal>
   );
 
+  const cancelDropEdit = () => {
+    if (editingDrop) forgetIdempotencyKey(`edit:${editingDrop.id}`);
+    setEditingDrop(null);
+  };
+  const editDropModalMarkup = (
+    <Modal
+      open={!!editingDrop}
+      onClose={cancelDropEdit}
+      title="Edit Scheduled Drop"
+      primaryAction={{
+        content: 'Save',
+        onAction: () => handleSaveDropEdit(),
+        loading: isSavingDropEdit
+      }}
+      secondaryActions={[
+        {
+          content: 'Cancel',
+          onAction: cancelDropEdit,
+          disabled: isSavingDropEdit
+        },
+      ]}
+    >
+      {editingDrop && (
+        <Modal.Section>
+          <BlockStack gap="400">
+            <TextField
+              label="Title"
+              value={editingDrop.title}
+              onChange={(value) => setEditingDrop(prev => ({ ...prev, title: value }))}
+              autoComplete="off"
+            />
+            <TextField
+              label="Start Date"
+              type="date"
+              value={editingDrop.date}
+              onChange={(value) => setEditingDrop(prev => ({ ...prev, date: value }))}
+              autoComplete="off"
+            />
+            <TextField
+              label="Start Time (HH:MM)"
+              helpText={shopTimeZone ? `Shop time (${shopTimeZone})` : undefined}
+              value={editingDrop.time}
+              onChange={(value) => setEditingDrop(prev => ({ ...prev, time: value }))}
+              autoComplete="off"
+            />
+            <TextField
+              label="Duration (mins)"
+              type="number"
+              value={editingDrop.duration}
+              onChange={(value) => setEditingDrop(prev => ({ ...prev, duration: value }))}
+              autoComplete="off"
+            />
+            <Text as="p" variant="bodySm" tone="subdued">
+              The end time is recalculated from the start time and duration. Edits that overlap another drop are rejected.
+            </Text>
+          </BlockStack>
+        </Modal.Section>
+      )}
+    </Modal>
+  );
+
+  // --- Trash: batches from deletes and clears, restorable as a whole or drop by drop until they are purged ---
+  const trashBatchLabel = (batch) => {
+    if (batch.kind === 'history') return `${batch.drops.length} finished drop(s) cleared from the history`;
+    return batch.drops[0]?.status_reason === 'queue_cleared'
+      ? `${batch.drops.length} queued drop(s) cleared with the queue`
+      : `${batch.drops.length} queued drop(s) deleted`;
+  };
+  const trashModalMarkup = (
+    <Modal
+      open={isTrashOpen}
+      onClose={() => setIsTrashOpen(false)}
+      title="Trash"
+      secondaryActions={[{ content: 'Close', onAction: () => setIsTrashOpen(false) }]}
+      large
+    >
+      <Modal.Section>
+        {isFetchingTrash && !trash ? (
+          <Spinner accessibilityLabel="Loading the trash..." size="small" />
+        ) : !trash?.batches?.length ? (
+          <Text as="p" tone="subdued">The trash is empty.</Text>
+        ) : (
+          <BlockStack gap="500">
+            <Text as="p" variant="bodySm" tone="subdued">
+              Deleted and cleared drops stay here for {trash.retention_days} day(s). Queued drops are restored at their original times when those are still ahead.
+            </Text>
+            {trash.batches.map(batch => (
+              <BlockStack gap="200" key={batch.batch_id}>
+                <InlineStack align="space-between" blockAlign="center">
+                  <BlockStack gap="050">
+                    <Text as="span" fontWeight="semibold">{trashBatchLabel(batch)}</Text>
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {formatDropTimestamp(batch.deleted_at, shopTimeZone, 'date')} {formatDropTimestamp(batch.deleted_at, shopTimeZone)}
+                      {' · '}purged {formatDropTimestamp(batch.expires_at, shopTimeZone, 'date')}
+                    </Text>
+                  </BlockStack>
+                  <Button onClick={() => restoreFromTrashModal({ batch_id: batch.batch_id })} loading={isRestoring}>Restore All</Button>
+                </InlineStack>
+                <DataTable
+                  columnContentTypes={['text', 'text', 'text', 'text']}
+                  headings={['Product', 'Start', 'Duration (mins)', '']}
+                  rows={batch.drops.map(drop => [
+                    drop.title || 'N/A',
+                    `${formatDropTimestamp(drop.start_time, shopTimeZone, 'date')} ${formatDropTimestamp(drop.start_time, shopTimeZone)}`,
+                    drop.duration_minutes,
+                    <Button variant="plain" onClick={() => restoreFromTrashModal({ drop_ids: [drop.id] })} disabled={isRestoring} key={`${drop.id}-restore`}>Restore</Button>
+                  ])}
+                />
+                <Divider />
+              </BlockStack>
+            ))}
+          </BlockStack>
+        )}
+      </Modal.Section>
+    </Modal>
+  );
+
+  // --- Drop detail panel: the drop's current state and its audit timeline ---
+  const dropDetailModalMarkup = (
+    <Modal
+      open={!!detailDrop}
+      onClose={() => setDetailDrop(null)}
+      title={detailDrop ? `Drop: ${detailDrop.title || 'Untitled'}` : 'Drop'}
+      secondaryActions={[
+        ...(dropEventsNextBeforeId ? [{
+          content: 'Load Older Events',
+          onAction: () => fetchDropEvents(detailDrop.id, dropEventsNextBeforeId),
+          loading: isFetchingDropEvents
+        }] : []),
+        { content: 'Close', onAction: () => setDetailDrop(null) }
+      ]}
+    >
+      {detailDrop && (
+        <>
+          <Modal.Section>
+            <BlockStack gap="100">
+              {HISTORY_STATUS_BADGES[detailDrop.status]
+                ? <HistoryStatus drop={detailDrop} />
+                : <InlineStack><Badge tone={detailDrop.status === 'queued' ? 'info' : 'success'}>{detailDrop.status}</Badge></InlineStack>}
+              <Text as="p" variant="bodySm" tone="subdued">
+                {formatDropTimestamp(detailDrop.start_time, shopTimeZone, 'date')} {formatDropTimestamp(detailDrop.start_time, shopTimeZone)}
+                {' – '}{formatDropTimestamp(detailDrop.end_time, shopTimeZone)} (shop time)
+              </Text>
+            </BlockStack>
+          </Modal.Section>
+          <Modal.Section>
+            {isFetchingDropEvents && dropEvents.length === 0 ? (
+              <Spinner accessibilityLabel="Loading drop history..." size="small" />
+            ) : dropEvents.length === 0 ? (
+              <Text as="p" tone="subdued">No events recorded for this drop yet.</Text>
+            ) : (
+              <BlockStack gap="300">
+                {dropEvents.map(event => (
+                  <BlockStack gap="050" key={event.id}>
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="span" fontWeight="semibold">{DROP_EVENT_LABELS[event.event_type] || event.event_type}</Text>
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {formatDropTimestamp(event.created_at, shopTimeZone, 'date')} {formatDropTimestamp(event.created_at, shopTimeZone)}
+                      </Text>
+                    </InlineStack>
+                    {describeEventDetails(event, shopTimeZone) && (
+                      <Text as="span" variant="bodySm">{describeEventDetails(event, shopTimeZone)}</Text>
+                    )}
+                    <Text as="span" variant="bodySm" tone="subdued">{describeEventOrigin(event)}</Text>
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            )}
+          </Modal.Section>
+        </>
+      )}
+    </Modal>
+  );
+
+  // --- Review modal for a schedule-all/append dry run. Confirming re-sends the request without preview, with the
+  // preview's plan_hash so nothing is scheduled if the plan changed in the meantime. ---
+  const runSchedulePreviewRequest = (policy, preview) => {
+    const planHash = preview ? null : schedulePreview?.plan_hash;
+    return schedulePreview?.source === 'append' ? handleAppendDrops(policy, preview, planHash) : handleScheduleAllDrops(policy, preview, planHash);
+  };
+  const isSchedulingFromPreview = isBulkScheduling || isAppending;
+  const cancelSchedulePreview = () => {
+    forgetIdempotencyKey(schedulePreview?.source === 'append' ? 'append' : 'schedule-all');
+    setSchedulePreview(null);
+  };
+  const schedulePreviewModalMarkup = (
+    <Modal
+      open={!!schedulePreview}
+      onClose={cancelSchedulePreview}
+      title={schedulePreview?.source === 'append' ? 'Review Appended Drops' : 'Review Schedule'}
+      primaryAction={{
+        content: `Schedule ${schedulePreview?.planned?.length || 0} Drop(s)`,
+        onAction: () => runSchedulePreviewRequest(schedulePreview.conflict_policy, false),
+        loading: isSchedulingFromPreview,
+        disabled: !schedulePreview?.planned?.length || schedulePreview?.rejected
+      }}
+      secondaryActions={[
+        ...(schedulePreview?.rejected ? [
+          { content: 'Push Existing Back', onAction: () => runSchedulePreviewRequest('push_back', true), disabled: isSchedulingFromPreview },
+          { content: 'Fit Into Free Gaps', onAction: () => runSchedulePreviewRequest('first_gap', true), disabled: isSchedulingFromPreview }
+        ] : []),
+        { content: 'Cancel', onAction: cancelSchedulePreview, disabled: isSchedulingFromPreview }
+      ]}
+      large
+    >
+      {schedulePreview && (
+        <Modal.Section>
+          <BlockStack gap="400">
+            <Text as="p">
+              {schedulePreview.planned.length > 0
+                ? `${schedulePreview.planned.length} drop(s) from ${formatDropTimestamp(schedulePreview.planned[0].start_time, shopTimeZone, 'date')} ${formatDropTimestamp(schedulePreview.planned[0].start_time, shopTimeZone)}. The queue will end ${formatDropTimestamp(schedulePreview.queue_end_time, shopTimeZone, 'date')} ${formatDropTimestamp(schedulePreview.queue_end_time, shopTimeZone)} (shop time).`
+                : schedulePreview.message || 'Nothing new to schedule.'}
+            </Text>
+            {schedulePreview.rejected && (
+              <Banner tone="critical" title={`Overlaps ${schedulePreview.conflicts.length} existing drop(s)`}>
+                <p>{schedulePreview.conflicts.map(c => `"${c.title}"`).join(', ')}. Choose how to resolve the overlap to see the adjusted plan.</p>
+              </Banner>
+            )}
+            {schedulePreview.shifted.length > 0 && (
+              <Banner tone="warning" title={`${schedulePreview.shifted.length} existing drop(s) will be pushed back`}>
+                <p>{schedulePreview.shifted.map(d => `"${d.title}" to ${formatDropTimestamp(d.start_time, shopTimeZone, 'date')} ${formatDropTimestamp(d.start_time, shopTimeZone)}`).join(', ')}</p>
+              </Banner>
+            )}
+            {schedulePreview.planned.length > 0 && (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'numeric']}
+                headings={['Product', 'Starts', 'Ends', 'Duration (mins)']}
+                rows={schedulePreview.planned.map(d => [
+                  d.title,
+                  `${formatDropTimestamp(d.start_time, shopTimeZone, 'date')} ${formatDropTimestamp(d.start_time, shopTimeZone)}`,
+                  `${formatDropTimestamp(d.end_time, shopTimeZone, 'date')} ${formatDropTimestamp(d.end_time, shopTimeZone)}`,
+                  d.duration_minutes
+                ])}
+              />
+            )}
+            {schedulePreview.skipped.length > 0 && (
+              <BlockStack gap="200">
+                <Text as="h3" variant="headingSm">Skipped ({schedulePreview.skipped.length})</Text>
+                <DataTable
+                  columnContentTypes={['text', 'text']}
+                  headings={['Product', 'Reason']}
+                  rows={schedulePreview.skipped.map(p => [p.title, SKIP_REASON_LABELS[p.reason] || p.reason])}
+                />
+              </BlockStack>
+            )}
+          </BlockStack>
+        </Modal.Section>
+      )}
+    </Modal>
+  );
+
   // Main App Render
   return (
     <AppProvider i18n={enTranslations}>
@@ -1709,6 +3097,10 @@ function App() {
         {pageContent}
         {toastMarkup}
         {confirmationModalMarkup}
+        {editDropModalMarkup}
+        {schedulePreviewModalMarkup}
+        {dropDetailModalMarkup}
+        {trashModalMarkup}
         <PageMark isVisible={isUpdating} />
       </Frame>
     </AppProvider>